@@ -0,0 +1,48 @@
+// Backfill hourly Curve and Fluid pool prices from historical blocks into the
+// collector's sample file, so the dashboard's depeg stats and backtests can
+// use on-chain history rather than CoinGecko's aggregate alone.
+//
+//   node --env-file=.env collector/backfill.js --days 30
+//   node --env-file=.env collector/backfill.js --from 2024-09-01 --to 2024-10-01
+//
+// Needs an archive RPC (VITE_ETHEREUM_RPC_URL). Writes to COLLECTOR_DATA_FILE
+// (data/samples.jsonl); re-running a range replaces its samples.
+import { parseArgs } from 'node:util'
+import { backfillPoolPrices } from '../src/utils/poolBackfill.js'
+import { createSampleStore } from './sampleStore.js'
+
+const DATA_FILE = process.env.COLLECTOR_DATA_FILE || 'data/samples.jsonl'
+const HOUR_MS = 60 * 60 * 1000
+
+const { values } = parseArgs({
+  options: {
+    days: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    'step-hours': { type: 'string', default: '1' },
+  },
+})
+
+const to = values.to ? Date.parse(values.to) : Date.now()
+const from = values.from ? Date.parse(values.from) : to - Number(values.days || 7) * 24 * HOUR_MS
+const stepMs = Number(values['step-hours']) * HOUR_MS
+
+if (!Number.isFinite(from) || !Number.isFinite(to) || from > to || !(stepMs > 0)) {
+  console.error('Usage: collector/backfill.js [--days N | --from DATE [--to DATE]] [--step-hours N]')
+  process.exit(1)
+}
+
+const store = createSampleStore(DATA_FILE)
+console.log(`[backfill] ${new Date(from).toISOString()} → ${new Date(to).toISOString()} every ${stepMs / HOUR_MS}h into ${DATA_FILE}`)
+
+const samples = await backfillPoolPrices({
+  from,
+  to,
+  stepMs,
+  onSample: async (sample) => {
+    await store.append(sample)
+    console.log(`[backfill] ${new Date(sample.timestamp).toISOString()} block ${sample.blockNumber} ${JSON.stringify(sample.prices)}`)
+  },
+})
+
+console.log(`[backfill] Wrote ${samples.length} samples`)
@@ -0,0 +1,123 @@
+// Local price collector: polls GHO's on-chain price sources (every DEX pool and the
+// Chainlink oracle) on a schedule, appends samples to a JSONL file and serves them
+// to the dashboard over HTTP.
+//
+//   node --env-file=.env collector/index.js
+//
+// Environment: VITE_ETHEREUM_RPC_URL (one URL or a comma-separated fallback list),
+// VITE_ARBITRUM_RPC_URL and VITE_BASE_RPC_URL (L2 pools, collected only when set), COLLECTOR_PORT (8787),
+// COLLECTOR_INTERVAL_MS (60000), COLLECTOR_DATA_FILE (data/samples.jsonl), COLLECTOR_RETENTION_DAYS (30)
+import http from 'node:http'
+import { SOURCE_KINDS, getPriceSources } from '../src/utils/priceSources.js'
+import { COLLECTOR_ASSET_ID } from '../src/utils/collector.js'
+import { DEFAULT_CHAIN_ID, getChain } from '../src/utils/chains.js'
+import { getSnapshot as getRpcHealth, lastEndpointsUsed } from '../src/utils/rpcHealth.js'
+import { createSampleStore } from './sampleStore.js'
+
+const PORT = Number(process.env.COLLECTOR_PORT || 8787)
+const INTERVAL_MS = Number(process.env.COLLECTOR_INTERVAL_MS || 60000)
+const DATA_FILE = process.env.COLLECTOR_DATA_FILE || 'data/samples.jsonl'
+const RETENTION_DAYS = Number(process.env.COLLECTOR_RETENTION_DAYS || 30)
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const store = createSampleStore(DATA_FILE)
+
+// The dashboard's own registry, so collected samples carry every pool and the oracle and
+// route rules (N of M pools, oracle-confirmed) replay the same way over collected time.
+// CoinGecko is left out: it is a reference, not part of the route, and rate-limited.
+// L2 pools are opt-in: without their chain's RPC URL they would poll public endpoints every interval.
+const isCollected = (source) => source.chainId === DEFAULT_CHAIN_ID || Boolean(process.env[getChain(source.chainId).rpcEnvVar])
+const SOURCES = getPriceSources(COLLECTOR_ASSET_ID)
+  .filter(source => source.kind !== SOURCE_KINDS.CEX && isCollected(source))
+
+async function collectSample() {
+  const results = await Promise.all(SOURCES.map(source => source.fetchPrice().catch(error => {
+    // viem's full message spans several lines (request body, docs link)
+    console.warn(`[collector] ${source.name}: ${error.shortMessage ?? error.message}`)
+    return null
+  })))
+
+  return {
+    timestamp: Date.now(),
+    prices: Object.fromEntries(SOURCES.map((source, i) => [source.id, results[i]?.price ?? null])),
+    // Last endpoint used on each chain, as in the dashboard's samples
+    endpoints: lastEndpointsUsed(SOURCES.map(source => source.chainId)),
+  }
+}
+
+async function tick() {
+  try {
+    const sample = await collectSample()
+    if (Object.values(sample.prices).every(price => price === null)) {
+      console.warn(`[collector] ${new Date().toISOString()} no prices returned, skipping sample`)
+      return
+    }
+    await store.append(sample)
+    console.log(`[collector] ${new Date(sample.timestamp).toISOString()} ${JSON.stringify(sample.prices)}`)
+  } catch (error) {
+    console.error('[collector] Error collecting sample:', error)
+  }
+}
+
+const parseTime = (value, fallback) => {
+  if (value === null || value === '') return fallback
+  const number = Number(value)
+  if (Number.isFinite(number)) return number
+  const date = Date.parse(value)
+  return Number.isFinite(date) ? date : fallback
+}
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*', // Dashboard runs on the Vite dev server origin
+  })
+  res.end(JSON.stringify(body))
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`)
+
+  if (req.method !== 'GET') return sendJson(res, 405, { error: 'Method not allowed' })
+
+  if (url.pathname === '/api/health') {
+    // Endpoint labels only: configured URLs may embed API keys
+    const rpcEndpoints = Object.values(getRpcHealth().endpoints).map(({ url, ...endpoint }) => endpoint)
+    return sendJson(res, 200, { ok: true, intervalMs: INTERVAL_MS, dataFile: DATA_FILE, rpcEndpoints })
+  }
+
+  if (url.pathname === '/api/samples') {
+    try {
+      const samples = await store.query({
+        from: parseTime(url.searchParams.get('from'), 0),
+        to: parseTime(url.searchParams.get('to'), Infinity),
+        source: url.searchParams.get('source') || null,
+      })
+      return sendJson(res, 200, { samples })
+    } catch (error) {
+      console.error('[collector] Error reading samples:', error)
+      return sendJson(res, 500, { error: 'Could not read samples' })
+    }
+  }
+
+  sendJson(res, 404, { error: 'Not found' })
+})
+
+const pruneOld = async () => {
+  try {
+    const kept = await store.prune(Date.now() - RETENTION_DAYS * DAY_MS)
+    console.log(`[collector] Retention ${RETENTION_DAYS}d: ${kept} samples kept`)
+  } catch (error) {
+    console.error('[collector] Error pruning samples:', error)
+  }
+}
+
+await pruneOld()
+server.listen(PORT, () => {
+  console.log(`[collector] Serving http://localhost:${PORT}/api/samples, sampling every ${INTERVAL_MS / 1000}s into ${DATA_FILE}`)
+  const skipped = getPriceSources(COLLECTOR_ASSET_ID).filter(source => source.chainId && !isCollected(source))
+  skipped.forEach(source => console.log(`[collector] Skipping ${source.name}: set ${getChain(source.chainId).rpcEnvVar} to collect it`))
+})
+tick()
+setInterval(tick, INTERVAL_MS)
+setInterval(pruneOld, DAY_MS)
@@ -0,0 +1,152 @@
+// Minimal JSON-RPC server that answers the collector's Mainnet reads (Curve, Fluid,
+// Uniswap V3, Balancer and Chainlink) with a fixed (or drifting) GHO price, so the
+// collector can run without a real node.
+//
+//   MOCK_GHO_PRICE=0.9992 node collector/mockRpc.js
+//   VITE_ETHEREUM_RPC_URL=http://localhost:8545 node collector/index.js
+//
+// Environment: MOCK_RPC_PORT (8545), MOCK_GHO_PRICE (0.9992), MOCK_PRICE_JITTER (0.0005)
+import http from 'node:http'
+import {
+  decodeFunctionData,
+  encodeFunctionResult,
+  multicall3Abi,
+  parseAbi,
+  toHex,
+} from 'viem'
+
+const PORT = Number(process.env.MOCK_RPC_PORT || 8545)
+const BASE_PRICE = Number(process.env.MOCK_GHO_PRICE || 0.9992)
+const JITTER = Number(process.env.MOCK_PRICE_JITTER ?? 0.0005)
+const START_BLOCK = 21000000n
+const GHO = '0x40D16FC0246aD3160Ccc09B8D0D3A2cD28aE6C2f'
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48'
+
+// Only the calls the collector makes; anything else reverts
+const MOCK_ABI = parseAbi([
+  'function get_dy(int128 i, int128 j, uint256 dx) view returns (uint256)',
+  'function estimateSwapIn(address dex_, bool swap0to1_, uint256 amountIn_, uint256 amountOutMin_) view returns (uint256)',
+  'function getPoolTokens(address pool_) view returns (address, address)',
+  'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address)',
+  'function slot0() view returns (uint160, int24, uint16, uint16, uint16, uint8, bool)',
+  'function observe(uint32[] secondsAgos) view returns (int56[], uint160[])',
+  'function queryBatchSwap(uint8 kind, (bytes32 poolId, uint256 assetInIndex, uint256 assetOutIndex, uint256 amount, bytes userData)[] swaps, address[] assets, (address sender, bool fromInternalBalance, address recipient, bool toInternalBalance) funds) returns (int256[])',
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80, int256, uint256, uint256, uint80)',
+])
+const MOCK_UNISWAP_POOL = '0x000000000000000000000000000000000000dEaD'
+const CHAINLINK_DECIMALS = 8
+
+// Blocks every 12s, with START_BLOCK mined when the mock starts
+const startedAt = Date.now()
+const currentBlock = () => START_BLOCK + BigInt(Math.floor((Date.now() - startedAt) / 12000))
+const blockTimestamp = (blockNumber) => BigInt(Math.floor(startedAt / 1000)) + (blockNumber - START_BLOCK) * 12n
+
+const getBlock = (blockTag) => {
+  const number = blockTag?.startsWith?.('0x') ? BigInt(blockTag) : currentBlock()
+  if (number > currentBlock()) return null
+  return {
+    number: toHex(number),
+    hash: toHex(number, { size: 32 }),
+    parentHash: toHex(number - 1n, { size: 32 }),
+    timestamp: toHex(blockTimestamp(number)),
+    gasLimit: toHex(30000000n),
+    gasUsed: '0x0',
+    baseFeePerGas: toHex(10000000000n),
+    transactions: [],
+  }
+}
+
+// Slow drift with a period (~80 min) that doesn't line up with hourly samples
+const priceAtBlock = (blockNumber) => BASE_PRICE + JITTER * Math.sin(Number(blockNumber) / 64)
+
+const scale = (amount, price) => (amount * BigInt(Math.round(price * 1e6))) / 1000000n
+
+function callContract(data, price) {
+  const { functionName, args } = decodeFunctionData({ abi: MOCK_ABI, data })
+
+  const result = {
+    get_dy: () => scale(args[2], price), // Curve returns 18-decimal stable amounts
+    estimateSwapIn: () => scale(args[2], price) / 10n ** 12n, // 18-decimal GHO in, 6-decimal USDC out
+    getPoolTokens: () => [GHO, USDC],
+    getPool: () => MOCK_UNISWAP_POOL,
+    // GHO sorts before USDC, so it is token0: raw token1/token0 = price × 10^(6 - 18)
+    slot0: () => {
+      const tick = Math.round(Math.log(price * 1e-12) / Math.log(1.0001))
+      const sqrtPriceX96 = BigInt(Math.round(Math.sqrt(price * 1e-12) * 2 ** 48)) * 2n ** 48n
+      return [sqrtPriceX96, tick, 0, 1, 1, 0, true]
+    },
+    observe: () => {
+      const tick = BigInt(Math.round(Math.log(price * 1e-12) / Math.log(1.0001)))
+      return [args[0].map(secondsAgo => -tick * BigInt(secondsAgo)), args[0].map(() => 0n)]
+    },
+    // Vault deltas: GHO in (positive), 6-decimal stable out (negative)
+    queryBatchSwap: () => [args[1][0].amount, -scale(args[1][0].amount, price) / 10n ** 12n],
+    decimals: () => CHAINLINK_DECIMALS,
+    latestRoundData: () => {
+      const updatedAt = BigInt(Math.floor(Date.now() / 1000))
+      return [1n, BigInt(Math.round(price * 10 ** CHAINLINK_DECIMALS)), updatedAt, updatedAt, 1n]
+    },
+  }[functionName]()
+
+  return encodeFunctionResult({ abi: MOCK_ABI, functionName, result })
+}
+
+function handleCall({ to, data }, blockTag) {
+  const blockNumber = blockTag?.startsWith?.('0x') ? BigInt(blockTag) : currentBlock()
+  const price = priceAtBlock(blockNumber)
+
+  // viem batches reads through Multicall3.aggregate3
+  if (data.startsWith('0x82ad56cb')) {
+    const { args: [calls] } = decodeFunctionData({ abi: multicall3Abi, data })
+    const result = calls.map(({ callData }) => {
+      try {
+        return { success: true, returnData: callContract(callData, price) }
+      } catch (error) {
+        return { success: false, returnData: '0x' }
+      }
+    })
+    return encodeFunctionResult({ abi: multicall3Abi, functionName: 'aggregate3', result })
+  }
+
+  return callContract(data, price)
+}
+
+function handleRequest({ id, method, params = [] }) {
+  try {
+    switch (method) {
+      case 'eth_chainId':
+        return { jsonrpc: '2.0', id, result: '0x1' }
+      case 'eth_blockNumber':
+        return { jsonrpc: '2.0', id, result: toHex(currentBlock()) }
+      case 'eth_getBlockByNumber':
+        return { jsonrpc: '2.0', id, result: getBlock(params[0]) }
+      case 'eth_call':
+        return { jsonrpc: '2.0', id, result: handleCall(params[0], params[1]) }
+      default:
+        return { jsonrpc: '2.0', id, error: { code: -32601, message: `Method ${method} not supported by mock` } }
+    }
+  } catch (error) {
+    return { jsonrpc: '2.0', id, error: { code: 3, message: 'execution reverted', data: '0x' } }
+  }
+}
+
+const server = http.createServer((req, res) => {
+  let body = ''
+  req.on('data', chunk => { body += chunk })
+  req.on('end', () => {
+    let response
+    try {
+      const payload = JSON.parse(body)
+      response = Array.isArray(payload) ? payload.map(handleRequest) : handleRequest(payload)
+    } catch (error) {
+      response = { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } }
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(response))
+  })
+})
+
+server.listen(PORT, () => {
+  console.log(`[mock-rpc] Listening on http://localhost:${PORT} (GHO ≈ ${BASE_PRICE})`)
+})
@@ -0,0 +1,62 @@
+import { promises as fs } from 'node:fs'
+import path from 'node:path'
+
+/**
+ * Append-only JSONL store of { timestamp, prices } samples
+ * @param {string} filePath - Path to the .jsonl file (created on first write)
+ * @returns {Object} - { append, query, prune }
+ */
+export function createSampleStore(filePath) {
+  const readAll = async () => {
+    try {
+      const contents = await fs.readFile(filePath, 'utf8')
+      return contents
+        .split('\n')
+        .filter(Boolean)
+        .map(line => {
+          try {
+            return JSON.parse(line)
+          } catch (error) {
+            return null // Skip a partially written last line
+          }
+        })
+        .filter(sample => sample && Number.isFinite(sample.timestamp))
+    } catch (error) {
+      if (error.code === 'ENOENT') return []
+      throw error
+    }
+  }
+
+  return {
+    async append(sample) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true })
+      await fs.appendFile(filePath, `${JSON.stringify(sample)}\n`)
+    },
+
+    /**
+     * Samples in [from, to], oldest first, optionally reduced to one source
+     * @param {Object} filters - { from, to, source }
+     * @returns {Promise<Object[]>}
+     */
+    async query({ from = 0, to = Infinity, source = null } = {}) {
+      // Backfills append out of order and may be re-run: sort, and let the last write for a timestamp win
+      const byTimestamp = new Map()
+      ;(await readAll())
+        .filter(s => s.timestamp >= from && s.timestamp <= to)
+        .forEach(s => byTimestamp.set(s.timestamp, s))
+      const samples = [...byTimestamp.values()].sort((a, b) => a.timestamp - b.timestamp)
+      if (!source) return samples
+      return samples
+        .filter(s => s.prices[source] !== undefined)
+        .map(s => ({ timestamp: s.timestamp, prices: { [source]: s.prices[source] } }))
+    },
+
+    // Rewrite the file without samples older than the cutoff
+    async prune(before) {
+      const kept = (await readAll()).filter(s => s.timestamp > before)
+      await fs.mkdir(path.dirname(filePath), { recursive: true })
+      await fs.writeFile(filePath, kept.map(s => `${JSON.stringify(s)}\n`).join(''))
+      return kept.length
+    },
+  }
+}
@@ -1,156 +1,172 @@
-import React, { useState, useMemo } from 'react'
+import React, { useState, useMemo, useEffect } from 'react'
 import PriceFeedComparison from './PriceFeedComparison'
-import { useGHOHistoricalData } from './hooks/useGHOHistoricalData'
-import { useMultiSourcePrices } from './hooks/useMultiSourcePrices'
+import DepegEpisodesPanel from './DepegEpisodesPanel'
+import IntradaySimulationChart from './IntradaySimulationChart'
+import MonteCarloPanel from './MonteCarloPanel'
+import BacktestView from './BacktestView'
+import ScenarioManager from './ScenarioManager'
+import GoalSeekPanel from './GoalSeekPanel'
+import TvlVolumeHeatmap from './TvlVolumeHeatmap'
+import DepthCurvePanel from './DepthCurvePanel'
+import SwapDistributionEditor from './SwapDistributionEditor'
+import RouteRuleEditor from './RouteRuleEditor'
+import ChainStatusPanel from './ChainStatusPanel'
+import RpcHealthPanel from './RpcHealthPanel'
+import { useHistoricalData } from './hooks/useHistoricalData'
+import { usePoolHistory } from './hooks/usePoolHistory'
+import { useMultiSourcePrices, RETENTION_OPTIONS } from './hooks/useMultiSourcePrices'
+import { useDepthCurves } from './hooks/useDepthCurves'
+import {
+  calculateReserveMetrics,
+  calculateProtocolFees,
+  PROTOCOL_FEES_SHARE,
+} from './engine/reserveModel'
+import { formatCurrency, formatPercent } from './utils/format'
+import { parseScenarioFromUrl, serializeScenario, buildScenarioUrl } from './utils/scenario'
+import { SOURCE_KINDS, getChainSourcesByKind, getPriceSource } from './utils/priceSources'
+import { ASSETS, getAsset } from './utils/assets'
+import { STATS_WINDOWS } from './engine/sampleStats'
+import { pickRouteRule, thresholdPriceFor, describeRouteRule } from './engine/routeRules'
 
 function App() {
-  // Tab state
-  const [activeTab, setActiveTab] = useState('solver-metrics')
-
-  // Fetch real historical GHO data from CoinGecko (30 days) - for Price Feeds tab
-  const { historicalData, depegStats: coinGeckoDepegStats, loading: historicalLoading, lastUpdate: historicalLastUpdate } = useGHOHistoricalData(30)
+  // Scenario from the URL (validated and clamped), so shared links reopen the same setup
+  const [initialScenario] = useState(() => parseScenarioFromUrl(window.location.search))
 
-  // Fetch real-time prices from all sources (Curve, Fluid, CoinGecko) - for Solver Metrics
-  const { prices: multiSourcePrices, depegMetrics, loading: pricesLoading, lastUpdate: pricesLastUpdate, sampleCount } = useMultiSourcePrices()
+  // Tab state
+  const [activeTab, setActiveTab] = useState(initialScenario.activeTab)
+
+  // Routed asset: drives every price feed, pool list and the reserve sizing below
+  const [assetId, setAssetId] = useState(initialScenario.params.asset)
+  const asset = getAsset(assetId)
+
+  // Mainnet DEX pools drive the route; CEX, oracle and other-chain sources are references only
+  const dexSources = getChainSourcesByKind(assetId, SOURCE_KINDS.DEX)
+  const isDexSource = (id) => dexSources.some(source => source.id === id)
+
+  // Depeg threshold and route-open rule, shared by every tab and saved with scenarios
+  const [routeRule, setRouteRule] = useState(() => pickRouteRule(initialScenario.params))
+  const thresholdBps = routeRule.depegThresholdBps
+
+  // Fetch real historical data for the asset from CoinGecko (30 days) - for Price Feeds tab
+  const { historicalData, loading: historicalLoading, lastUpdate: historicalLastUpdate } = useHistoricalData(assetId, 30, thresholdBps)
+  // Backfilled per-pool hourly history from the local collector, when configured
+  const poolHistory = usePoolHistory(assetId, 30, thresholdBps)
+
+  // Fetch real-time prices from all sources (Curve, Fluid, Uniswap, CoinGecko) - for Solver Metrics
+  // Window of persisted samples behind the depeg % (and so active hours)
+  const [statsWindow, setStatsWindow] = useState('24h')
+  const {
+    prices: multiSourcePrices,
+    depegMetrics,
+    loading: pricesLoading,
+    lastUpdate: pricesLastUpdate,
+    samples: liveSamples,
+    sampleCount,
+    oldestSample,
+    retentionDays,
+    setRetentionDays,
+  } = useMultiSourcePrices({ assetId, statsWindow, routeRule })
 
   // Reserve Parameters
-  const [tvl, setTvl] = useState(250000) // Current TVL
-  const [usdcWeight, setUsdcWeight] = useState(80)
+  const [tvl, setTvl] = useState(initialScenario.params.tvl) // Current TVL
+  const [usdcWeight, setUsdcWeight] = useState(initialScenario.params.usdcWeight)
 
   // Rebalancing Parameters
-  const [rebalanceCyclesPerDay, setRebalanceCyclesPerDay] = useState(12) // How many times reserve can fully cycle
-  const [rebalanceEfficiency, setRebalanceEfficiency] = useState(90) // % of theoretical rebalance achieved
+  const [rebalanceCyclesPerDay, setRebalanceCyclesPerDay] = useState(initialScenario.params.rebalanceCyclesPerDay) // How many times reserve can fully cycle
+  const [rebalanceEfficiency, setRebalanceEfficiency] = useState(initialScenario.params.rebalanceEfficiency) // % of theoretical rebalance achieved
 
-  // Market Parameters - Now using REAL DATA from DEX pools (Curve, Fluid)
-  const depegTimePercent = depegMetrics.aggregated.avgDexDepegPercent // Real % of time DEX pools are depegged
+  // Market Parameters - Now using REAL DATA from DEX pools (Curve, Fluid, Uniswap)
+  const route = depegMetrics.aggregated.route // Route state under the configured rule
+  const depegTimePercent = route.openPercent // Real % of time the route was open under the rule
   const avgDepegBps = depegMetrics.aggregated.maxDexDepegBps || 0 // Current max spread across DEX pools
 
   // IOU Fee Distribution (from the 80% protocol fees portion)
-  const [solverShareOfFees, setSolverShareOfFees] = useState(50) // % of the 80% protocol fees that go to solver
+  const [solverShareOfFees, setSolverShareOfFees] = useState(initialScenario.params.solverShareOfFees) // % of the 80% protocol fees that go to solver
 
   // Volume tracking
-  const [actualDailyVolume, setActualDailyVolume] = useState(0) // Real volume processed (initially 0)
+  const [actualDailyVolume, setActualDailyVolume] = useState(initialScenario.params.actualDailyVolume) // Real volume processed
+
+  // Swap size tiers (editable, importable from CSV)
+  const [swapDistribution, setSwapDistribution] = useState(initialScenario.params.swapDistribution)
+
+  // Size-aware quotes at each swap tier
+  const {
+    curves: depthCurves,
+    tierSpreadsBps,
+    error: depthError,
+    sourceErrors: depthSourceErrors,
+    loading: depthLoading,
+    lastUpdate: depthLastUpdate,
+  } = useDepthCurves(assetId, swapDistribution)
+
+  // Every user-controlled parameter, as encoded in the URL
+  const scenarioParams = useMemo(() => ({
+    asset: assetId,
+    tvl,
+    usdcWeight,
+    rebalanceCyclesPerDay,
+    rebalanceEfficiency,
+    solverShareOfFees,
+    actualDailyVolume,
+    swapDistribution,
+    ...routeRule,
+  }), [assetId, tvl, usdcWeight, rebalanceCyclesPerDay, rebalanceEfficiency, solverShareOfFees, actualDailyVolume, swapDistribution, routeRule])
+
+  // Apply a saved parameter set to every control
+  const applyScenario = (params) => {
+    setAssetId(params.asset)
+    setTvl(params.tvl)
+    setUsdcWeight(params.usdcWeight)
+    setRebalanceCyclesPerDay(params.rebalanceCyclesPerDay)
+    setRebalanceEfficiency(params.rebalanceEfficiency)
+    setSolverShareOfFees(params.solverShareOfFees)
+    setActualDailyVolume(params.actualDailyVolume)
+    setSwapDistribution(params.swapDistribution)
+    setRouteRule(pickRouteRule(params))
+  }
 
-  // Swap Distribution (realistic market data)
-  const swapDistribution = [
-    { label: '<$1k', pctCount: 45, pctVolume: 0.3, avgSize: 500 },
-    { label: '$1k-$10k', pctCount: 30, pctVolume: 3.2, avgSize: 5000 },
-    { label: '$10k-$100k', pctCount: 20, pctVolume: 21.5, avgSize: 50000 },
-    { label: '$100k-$1M', pctCount: 4, pctVolume: 41.3, avgSize: 500000 },
-    { label: '$1M+', pctCount: 1, pctVolume: 33.6, avgSize: 2000000 },
-  ]
+  // Keep the address bar in sync without adding history entries
+  useEffect(() => {
+    window.history.replaceState(null, '', serializeScenario(scenarioParams, activeTab) + window.location.hash)
+  }, [scenarioParams, activeTab])
 
-  // Calculate all metrics
-  const metrics = useMemo(() => {
-    const usdcBuffer = tvl * (usdcWeight / 100)
-    const efficiency = rebalanceEfficiency / 100
-    const effectiveCycles = rebalanceCyclesPerDay * efficiency
-
-    // Core capacity metrics
-    const maxSingleSwap = usdcBuffer
-    const dailyCapacity = usdcBuffer * effectiveCycles
-    const hourlyCapacity = dailyCapacity / 24
-
-    // Route availability
-    const activeHoursPerDay = 24 * (depegTimePercent / 100)
-    const activeCapacityPerHour = hourlyCapacity * (depegTimePercent / 100)
-
-    // IOU Economics
-    const DEPEG_THRESHOLD_BPS = 5 // $0.9995 threshold = 5 bps
-    const avgSpreadBps = avgDepegBps // The current spread available (market price below peg)
-
-    // For fee calculations: use threshold spread as minimum (route only opens at threshold)
-    // If current spread is higher, use that instead
-    const effectiveSpreadBps = avgSpreadBps >= DEPEG_THRESHOLD_BPS ? avgSpreadBps : DEPEG_THRESHOLD_BPS
-
-    // IOU Distribution Constants
-    const TRADER_SHARE = 0.20 // 20% of IOUs go to trader
-    const PROTOCOL_FEES_SHARE = 0.80 // 80% of IOUs are protocol fees
-
-    // From the 80% protocol fees, split between solver and protocol
-    const solverShareOfProtocolFees = solverShareOfFees / 100 // User adjustable
-    const protocolShareOfProtocolFees = 1 - solverShareOfProtocolFees
-
-    // Effective shares of total IOUs
-    const traderEffectiveShare = TRADER_SHARE // 20%
-    const solverEffectiveShare = PROTOCOL_FEES_SHARE * solverShareOfProtocolFees // e.g., 80% × 50% = 40%
-    const protocolEffectiveShare = PROTOCOL_FEES_SHARE * protocolShareOfProtocolFees // e.g., 80% × 50% = 40%
-
-    // Profit per swap tier (in IOUs) - uses current spread for actual calculations
-    const profitByTier = swapDistribution.map(tier => ({
-      ...tier,
-      totalIOUs: tier.avgSize * (avgSpreadBps / 10000), // Total IOUs minted at current spread
-      traderIOUs: tier.avgSize * (avgSpreadBps / 10000) * TRADER_SHARE,
-      solverIOUs: tier.avgSize * (avgSpreadBps / 10000) * solverEffectiveShare,
-      protocolIOUs: tier.avgSize * (avgSpreadBps / 10000) * protocolEffectiveShare,
-    }))
-
-    // Max daily fees calculation (uses effective spread)
-    const maxDailyFees = dailyCapacity * (effectiveSpreadBps / 10000) * PROTOCOL_FEES_SHARE
-
-    // Coverage analysis
-    const supportedTiers = swapDistribution.filter(tier => tier.avgSize <= maxSingleSwap)
-    const volumeCoverage = supportedTiers.reduce((sum, tier) => sum + tier.pctVolume, 0)
-    const countCoverage = supportedTiers.reduce((sum, tier) => sum + tier.pctCount, 0)
-
-    // Daily metrics using ACTUAL volume
-    const dailyVolume = actualDailyVolume || 0
-    const totalDailyIOUs = dailyVolume * (avgSpreadBps / 10000)
-    const dailyTraderIOUs = totalDailyIOUs * TRADER_SHARE
-    const dailySolverIOUs = totalDailyIOUs * solverEffectiveShare
-    const dailyProtocolIOUs = totalDailyIOUs * protocolEffectiveShare
-
-    return {
-      // Liquidity
-      tvl,
-      usdcBuffer,
-      maxSingleSwap,
-      liquidityRefreshRate: rebalanceCyclesPerDay,
-
-      // Capacity
-      dailyCapacity,
-      hourlyCapacity,
-      activeCapacityPerHour,
-
-      // Availability
-      depegTimePercent,
-      activeHoursPerDay,
-
-      // IOU Economics
-      avgSpreadBps,
-      effectiveSpreadBps,
-      depegThresholdBps: DEPEG_THRESHOLD_BPS,
-      traderEffectiveShare: traderEffectiveShare * 100,
-      solverEffectiveShare: solverEffectiveShare * 100,
-      protocolEffectiveShare: protocolEffectiveShare * 100,
-      solverShareOfFees,
-      profitByTier,
-      maxDailyFees,
-
-      // Daily Metrics
-      dailyVolume,
-      totalDailyIOUs,
-      dailyTraderIOUs,
-      dailySolverIOUs,
-      dailyProtocolIOUs,
-
-      // Coverage
-      volumeCoverage,
-      countCoverage,
-      supportedTiers,
-
-      // Utilization (based on actual volume)
-      capacityUtilization: dailyVolume > 0 ? (dailyVolume / dailyCapacity) * 100 : 0,
-    }
-  }, [tvl, usdcWeight, rebalanceCyclesPerDay, rebalanceEfficiency, depegTimePercent, avgDepegBps, solverShareOfFees, actualDailyVolume])
+  const [linkCopied, setLinkCopied] = useState(false)
 
-  const formatCurrency = (value) => {
-    if (value >= 1000000) return `$${(value / 1000000).toFixed(2)}M`
-    if (value >= 1000) return `$${(value / 1000).toFixed(0)}k`
-    return `$${value.toFixed(0)}`
+  const copyScenarioLink = async () => {
+    try {
+      await navigator.clipboard.writeText(buildScenarioUrl(scenarioParams, activeTab))
+      setLinkCopied(true)
+      setTimeout(() => setLinkCopied(false), 2000)
+    } catch (error) {
+      console.error('Error copying scenario link:', error)
+    }
   }
 
-  const formatPercent = (value) => `${value.toFixed(1)}%`
+  // Reserve configuration shared by the metrics, simulators and Monte Carlo
+  const reserveParams = useMemo(() => ({
+    tvl,
+    usdcWeight,
+    rebalanceCyclesPerDay,
+    rebalanceEfficiency,
+    solverShareOfFees,
+    depegTimePercent,
+    depegThresholdBps: thresholdBps,
+    swapDistribution,
+  }), [tvl, usdcWeight, rebalanceCyclesPerDay, rebalanceEfficiency, solverShareOfFees, depegTimePercent, thresholdBps, swapDistribution])
+
+  // Live market inputs shared by every scenario in the comparison view
+  const marketParams = useMemo(() => ({
+    avgSpreadBps: avgDepegBps,
+    depegTimePercent,
+  }), [avgDepegBps, depegTimePercent])
+
+  // Calculate all metrics
+  const metrics = useMemo(() => calculateReserveMetrics({
+    ...reserveParams,
+    dailyVolume: actualDailyVolume || 0,
+    avgSpreadBps: avgDepegBps,
+    tierSpreadsBps,
+  }), [reserveParams, avgDepegBps, actualDailyVolume, tierSpreadsBps])
 
   return (
     <div className="min-h-screen bg-gray-900 text-white p-4 md:p-6">
@@ -184,16 +200,76 @@ function App() {
             >
               💱 Price Feeds
             </button>
+            <button
+              onClick={() => setActiveTab('backtest')}
+              className={`px-4 py-2 font-medium transition-colors ${
+                activeTab === 'backtest'
+                  ? 'text-blue-400 border-b-2 border-blue-400'
+                  : 'text-gray-400 hover:text-gray-300'
+              }`}
+            >
+              🧪 Backtest
+            </button>
+            <div className="ml-auto flex items-center gap-2 pb-1">
+              <label htmlFor="asset-select" className="text-sm text-gray-400">Asset</label>
+              <select
+                id="asset-select"
+                value={assetId}
+                onChange={(e) => setAssetId(e.target.value)}
+                className="bg-gray-700 rounded px-3 py-1 text-sm"
+                title={asset.name}
+              >
+                {ASSETS.map(option => (
+                  <option key={option.id} value={option.id}>{option.symbol}</option>
+                ))}
+              </select>
+            </div>
           </div>
         </div>
 
+        <RouteRuleEditor
+          rule={routeRule}
+          onChange={(changes) => setRouteRule(prev => ({ ...prev, ...changes }))}
+          poolCount={dexSources.length}
+          route={route}
+        />
+
         {/* Tab Content: Price Feeds */}
         {activeTab === 'price-feeds' && (
           <div className="mb-6">
             <PriceFeedComparison
+              assetId={assetId}
               historicalData={historicalData}
-              depegStats={coinGeckoDepegStats}
+              liveSamples={liveSamples}
               lastUpdate={historicalLastUpdate}
+              poolSeries={poolHistory.series}
+              thresholdBps={thresholdBps}
+            />
+            <div className="mt-6">
+              <DepegEpisodesPanel
+                assetId={assetId}
+                historicalData={historicalData}
+                liveSamples={liveSamples}
+                poolSeries={poolHistory.series}
+                thresholdBps={thresholdBps}
+              />
+            </div>
+            <div className="mt-6">
+              <RpcHealthPanel liveSamples={liveSamples} />
+            </div>
+          </div>
+        )}
+
+        {/* Tab Content: Backtest */}
+        {activeTab === 'backtest' && (
+          <div className="mb-6">
+            <BacktestView
+              assetId={assetId}
+              historicalData={historicalData}
+              poolSeries={poolHistory.series}
+              params={reserveParams}
+              routeRule={routeRule}
+              loading={historicalLoading}
             />
           </div>
         )}
@@ -207,6 +283,13 @@ function App() {
           <h2 className="font-semibold mb-4 flex items-center gap-2">
             ⚙️ Configuration Parameters
             <span className="text-xs text-gray-400 font-normal">(Adjust to model different scenarios)</span>
+            <button
+              onClick={copyScenarioLink}
+              className="ml-auto px-3 py-1 rounded text-xs font-normal bg-gray-700 hover:bg-gray-600 text-gray-300"
+              title="Copy a link that opens this exact configuration"
+            >
+              {linkCopied ? '✓ Link copied' : '🔗 Copy link'}
+            </button>
           </h2>
           <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-4 mb-4">
             <div>
@@ -281,14 +364,14 @@ function App() {
 
           {/* Real Market Data Section */}
           <div className={`border rounded p-3 ${
-            avgDepegBps >= 5
+            route.isOpen
               ? 'bg-green-900/20 border-green-700'
               : 'bg-gray-800/50 border-gray-600'
           }`}>
             <p className="text-xs mb-2 flex items-center gap-2">
-              {avgDepegBps >= 5 ? (
+              {route.isOpen ? (
                 <>
-                  <span className="text-green-300">✓ Route OPEN - Using Real DEX Pool Prices (Curve + Fluid)</span>
+                  <span className="text-green-300">✓ Route OPEN - {route.depeggedPools} of {dexSources.length} DEX pools ≥{thresholdBps} bps below peg{!route.signal && ` • closes after ${routeRule.routeCloseAfterMinutes}m at peg`}</span>
                   {pricesLastUpdate && (
                     <span className="text-gray-400">
                       • Updated: {pricesLastUpdate.toLocaleTimeString()}
@@ -298,7 +381,11 @@ function App() {
                 </>
               ) : (
                 <>
-                  <span className="text-gray-400">⚠️ Route CLOSED - Spread below threshold (need ≥5 bps to open)</span>
+                  <span className="text-gray-400">
+                    ⚠️ Route CLOSED - {route.signal
+                      ? `Waiting ${routeRule.routeOpenAfterMinutes}m before opening`
+                      : `Rule not met (${route.depeggedPools} of ${route.requiredPools} pools ≥${thresholdBps} bps${routeRule.routeRequireOracle ? ', oracle-confirmed' : ''})`}
+                  </span>
                   {pricesLastUpdate && (
                     <span className="text-gray-500">
                       • Updated: {pricesLastUpdate.toLocaleTimeString()}
@@ -309,21 +396,31 @@ function App() {
             </p>
             <div className="grid grid-cols-2 md:grid-cols-3 gap-3 text-sm mb-3">
               <div>
-                <span className="text-gray-400">Active Time (Depeg %):</span>
+                <span className="text-gray-400">Active Time (Route Open %):</span>
                 <span className="ml-2 text-yellow-400 font-semibold">{depegTimePercent.toFixed(1)}%</span>
+                <select
+                  value={statsWindow}
+                  onChange={(e) => setStatsWindow(e.target.value)}
+                  className="ml-2 bg-gray-700 rounded px-1 text-xs"
+                  title="Window of recorded samples"
+                >
+                  {STATS_WINDOWS.map(w => (
+                    <option key={w.id} value={w.id}>last {w.label}</option>
+                  ))}
+                </select>
               </div>
               <div>
                 <span className="text-gray-400">Current Max Spread:</span>
-                <span className={`ml-2 font-semibold ${avgDepegBps >= 5 ? 'text-yellow-400' : 'text-gray-500'}`}>
-                  {avgDepegBps.toFixed(1)} bps {avgDepegBps < 5 && '(below 5 bps threshold)'}
+                <span className={`ml-2 font-semibold ${avgDepegBps >= thresholdBps ? 'text-yellow-400' : 'text-gray-500'}`}>
+                  {avgDepegBps.toFixed(1)} bps {avgDepegBps < thresholdBps && `(below ${thresholdBps} bps threshold)`}
                 </span>
               </div>
               <div>
                 <span className="text-gray-400">Depegged DEX Pools:</span>
                 <span className="ml-2 text-red-400 font-semibold">
                   {Object.entries(depegMetrics.bySource)
-                    .filter(([source, metrics]) => source !== 'COINGECKO' && metrics.isDepegged)
-                    .length} / 3
+                    .filter(([source, metrics]) => isDexSource(source) && metrics.isDepegged)
+                    .length} / {depegMetrics.aggregated.dexSourceCount}
                 </span>
               </div>
             </div>
@@ -332,35 +429,58 @@ function App() {
             <div className="text-xs">
               <p className="text-gray-500 mb-1">Current Status:</p>
               <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
-                <div className="flex items-center justify-between bg-gray-800/50 rounded px-2 py-1">
-                  <span className="text-gray-400">Curve GHO/crvUSD</span>
-                  <span className={depegMetrics.bySource.CURVE_GHO_CRVUSD.isDepegged ? 'text-red-400' : 'text-green-400'}>
-                    {depegMetrics.bySource.CURVE_GHO_CRVUSD.isDepegged
-                      ? `${depegMetrics.bySource.CURVE_GHO_CRVUSD.depegBps.toFixed(1)} bps`
-                      : '✓ At peg'}
-                  </span>
-                </div>
-                <div className="flex items-center justify-between bg-gray-800/50 rounded px-2 py-1">
-                  <span className="text-gray-400">Curve GHO/USDe</span>
-                  <span className={depegMetrics.bySource.CURVE_GHO_USDE.isDepegged ? 'text-red-400' : 'text-green-400'}>
-                    {depegMetrics.bySource.CURVE_GHO_USDE.isDepegged
-                      ? `${depegMetrics.bySource.CURVE_GHO_USDE.depegBps.toFixed(1)} bps`
-                      : '✓ At peg'}
-                  </span>
-                </div>
-                <div className="flex items-center justify-between bg-gray-800/50 rounded px-2 py-1">
-                  <span className="text-gray-400">Fluid Protocol</span>
-                  <span className={depegMetrics.bySource.FLUID.isDepegged ? 'text-red-400' : 'text-green-400'}>
-                    {depegMetrics.bySource.FLUID.isDepegged
-                      ? `${depegMetrics.bySource.FLUID.depegBps.toFixed(1)} bps`
-                      : '✓ At peg'}
-                  </span>
-                </div>
+                {dexSources.map(source => {
+                  const sourceMetrics = depegMetrics.bySource[source.id]
+                  return (
+                    <div key={source.id} className="flex items-center justify-between bg-gray-800/50 rounded px-2 py-1">
+                      <span className="text-gray-400">{source.name}</span>
+                      {sourceMetrics.status === 'error' ? (
+                        <span className="text-orange-400" title={sourceMetrics.error}>⚠️ Error</span>
+                      ) : sourceMetrics.status === 'loading' ? (
+                        <span className="text-gray-500">Loading...</span>
+                      ) : (
+                        <span className={sourceMetrics.isDepegged ? 'text-red-400' : 'text-green-400'}>
+                          {sourceMetrics.isDepegged
+                            ? `${sourceMetrics.depegBps.toFixed(1)} bps`
+                            : '✓ At peg'}
+                        </span>
+                      )}
+                    </div>
+                  )
+                })}
               </div>
             </div>
           </div>
         </div>
 
+        {/* Per-chain depeg status and route availability */}
+        <ChainStatusPanel
+          assetId={assetId}
+          chains={depegMetrics.aggregated.byChain}
+          statsWindow={statsWindow}
+          thresholdBps={thresholdBps}
+        />
+
+        {/* Swap Size Distribution */}
+        <SwapDistributionEditor
+          distribution={swapDistribution}
+          onApply={setSwapDistribution}
+        />
+
+        {/* Scenario Library & Comparison */}
+        <ScenarioManager
+          currentParams={scenarioParams}
+          onLoad={applyScenario}
+          marketParams={marketParams}
+        />
+
+        {/* Goal Seek */}
+        <GoalSeekPanel
+          params={reserveParams}
+          defaultSpreadBps={metrics.effectiveSpreadBps}
+          onApply={(changes) => applyScenario({ ...scenarioParams, ...changes })}
+        />
+
         {/* Key Metrics Overview */}
         <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
           <div className="bg-gradient-to-br from-blue-900/50 to-blue-800/30 border border-blue-700 rounded-lg p-4">
@@ -422,7 +542,8 @@ function App() {
                 </thead>
                 <tbody>
                   {[
-                    { price: 0.9995, label: '$0.9995', spread: 5, color: 'text-yellow-400' },
+                    // First row is the configured threshold; fixed levels at or below it are dropped
+                    { price: thresholdPriceFor(thresholdBps), label: `$${thresholdPriceFor(thresholdBps).toFixed(4)}`, spread: thresholdBps, color: 'text-yellow-400' },
                     { price: 0.999, label: '$0.999', spread: 10, color: 'text-yellow-300' },
                     { price: 0.995, label: '$0.995', spread: 50, color: 'text-yellow-300' },
                     { price: 0.990, label: '$0.990', spread: 100, color: 'text-yellow-300' },
@@ -434,7 +555,7 @@ function App() {
                     { price: 0.960, label: '$0.960', spread: 400, color: 'text-pink-300' },
                     { price: 0.955, label: '$0.955', spread: 450, color: 'text-purple-400' },
                     { price: 0.950, label: '$0.950', spread: 500, color: 'text-purple-300' },
-                  ].map((row) => {
+                  ].filter((row, i) => i === 0 || row.spread > thresholdBps).map((row) => {
                     const volumeLevels = [0, 0.25, 0.50, 0.75, 1.0]
                     return (
                       <tr key={row.price} className="border-b border-gray-700/50">
@@ -444,7 +565,7 @@ function App() {
                         </td>
                         {volumeLevels.map((volumePct) => {
                           const volume = metrics.dailyCapacity * volumePct
-                          const fees = volume * (row.spread / 10000) * 0.80
+                          const fees = calculateProtocolFees(volume, row.spread)
                           return (
                             <td key={volumePct} className="text-right py-2 px-2">
                               <span className={fees > 0 ? 'text-green-400 font-semibold' : 'text-gray-600'}>
@@ -460,7 +581,7 @@ function App() {
               </table>
             </div>
             <div className="mt-3 text-xs text-gray-500">
-              <p>💡 Example: At $0.980 (200 bps) with 50% capacity → {formatCurrency(metrics.dailyCapacity * 0.5 * 0.02 * 0.8)} daily fees</p>
+              <p>💡 Example: At $0.980 (200 bps) with 50% capacity → {formatCurrency(calculateProtocolFees(metrics.dailyCapacity * 0.5, 200))} daily fees</p>
             </div>
           </div>
 
@@ -483,7 +604,7 @@ function App() {
               </div>
               <div className="flex justify-between items-center pb-2 border-b border-gray-700">
                 <span className="text-gray-400">Currently Depegged Pools</span>
-                <span className="font-semibold text-red-400">{depegMetrics.aggregated.depeggedSources.length} / 3</span>
+                <span className="font-semibold text-red-400">{depegMetrics.aggregated.depeggedSources.filter(isDexSource).length} / {depegMetrics.aggregated.dexSourceCount}</span>
               </div>
               <div className="flex justify-between items-center pb-2 border-b border-gray-700">
                 <span className="text-gray-400">Capacity During Active Hours</span>
@@ -491,28 +612,32 @@ function App() {
               </div>
 
               {/* Depeg Location Breakdown - Only show depegged pools */}
-              {depegMetrics.aggregated.depeggedSources.filter(s => s !== 'COINGECKO').length > 0 && (
+              {depegMetrics.aggregated.depeggedSources.filter(isDexSource).length > 0 && (
                 <div className="bg-blue-900/20 border border-blue-700 rounded p-3 mt-4">
                   <p className="text-xs text-blue-300 mb-3 font-semibold">📍 Currently Depegged Pools</p>
                   <div className="space-y-2">
                     {Object.entries(depegMetrics.bySource)
-                      .filter(([source, metrics]) => source !== 'COINGECKO' && metrics.isDepegged)
+                      .filter(([source, metrics]) => isDexSource(source) && metrics.isDepegged)
                       .map(([source, metrics]) => {
-                        const sourceNames = {
-                          'CURVE_GHO_CRVUSD': 'Curve GHO/crvUSD',
-                          'CURVE_GHO_USDE': 'Curve GHO/USDe',
-                          'FLUID': 'Fluid Protocol'
-                        }
                         const samplePeriod = metrics.historical.samplePeriodHours
 
                         return (
                           <div key={source} className="bg-gray-800/50 rounded p-2">
                             <div className="flex justify-between items-center mb-1">
-                              <span className="text-xs font-medium text-gray-300">{sourceNames[source]}</span>
+                              <span className="text-xs font-medium text-gray-300">{getPriceSource(assetId, source)?.name}</span>
                               <span className="text-xs font-semibold text-red-400">
                                 Depegged ${metrics.price?.toFixed(4)} ({metrics.depegBps.toFixed(1)} bps)
                               </span>
                             </div>
+                            {metrics.oracleDeviationBps !== null && metrics.oracleDeviationBps !== undefined && (
+                              <div className="text-xs text-gray-500">
+                                vs Chainlink: {metrics.oracleDeviationBps.toFixed(1)} bps
+                                {depegMetrics.aggregated.oracle?.isDepegged
+                                  ? <span className="ml-1 text-red-400">• confirmed by oracle</span>
+                                  : <span className="ml-1 text-yellow-400">• pool-local imbalance</span>}
+                                {depegMetrics.aggregated.oracle?.isStale && <span className="ml-1 text-orange-400">(oracle stale)</span>}
+                              </div>
+                            )}
                             {samplePeriod > 0 && (
                               <div className="text-xs text-gray-500">
                                 Historical: {metrics.historical.depegPercent.toFixed(1)}% depegged
@@ -527,10 +652,10 @@ function App() {
               )}
 
               {/* Show message if no pools are depegged */}
-              {depegMetrics.aggregated.depeggedSources.filter(s => s !== 'COINGECKO').length === 0 && (
+              {depegMetrics.aggregated.depeggedSources.filter(isDexSource).length === 0 && (
                 <div className="bg-gray-800/50 border border-gray-700 rounded p-3 mt-4">
                   <p className="text-xs text-gray-400 text-center">
-                    ✓ All DEX pools currently at peg (above $0.9995)
+                    ✓ All DEX pools currently at peg (above ${thresholdPriceFor(thresholdBps).toFixed(4)})
                   </p>
                 </div>
               )}
@@ -540,235 +665,68 @@ function App() {
                   ✓ Real-time DEX pool monitoring
                 </p>
                 <p className="text-xs text-gray-400 mb-2">
-                  Clear Protocol route is active when ANY DEX pool (Curve, Fluid) is depegged below $0.9995.
+                  Clear Protocol route is active under the configured rule: {describeRouteRule(routeRule, dexSources.length)}.
                 </p>
-                <div className="text-xs text-gray-500">
-                  {sampleCount > 0
-                    ? `Collecting samples every minute • ${sampleCount} samples in last 24h`
-                    : 'Starting to collect historical samples...'}
+                <div className="text-xs text-gray-500 flex flex-wrap items-center gap-2">
+                  <span>
+                    {sampleCount > 0
+                      ? `Collecting samples every minute • ${sampleCount} samples stored since ${new Date(oldestSample).toLocaleString()}`
+                      : 'Starting to collect historical samples...'}
+                  </span>
+                  <label className="flex items-center gap-1">
+                    Keep
+                    <select
+                      value={retentionDays}
+                      onChange={(e) => setRetentionDays(Number(e.target.value))}
+                      className="bg-gray-700 rounded px-1"
+                    >
+                      {RETENTION_OPTIONS.map(days => (
+                        <option key={days} value={days}>{days === 1 ? '1 day' : `${days} days`}</option>
+                      ))}
+                    </select>
+                  </label>
                 </div>
               </div>
             </div>
           </div>
         </div>
 
-        {/* Capacity Evolution Over Time */}
-        <div className="bg-gray-800 rounded-lg p-4 mb-6">
-          <h2 className="font-semibold mb-4">📈 Protocol Fee Capacity Evolution (24 Hours)</h2>
-          <p className="text-sm text-gray-400 mb-4">
-            Shows available protocol fee capacity (80% of IOUs) depleting as swaps occur and renewing at rebalancing events
-            • Rebalancing every <span className="text-blue-400 font-semibold">{(24 / rebalanceCyclesPerDay).toFixed(1)} hours</span>
-            • Protocol fee capacity: <span className="text-green-400 font-semibold">{formatCurrency(metrics.usdcBuffer * 0.8)}</span> (80% of {formatCurrency(metrics.usdcBuffer)} USDC buffer)
-          </p>
-
-          <div className="relative bg-gray-900/50 rounded-lg p-4 border border-gray-700">
-            {/* SVG Graph */}
-            <svg viewBox="0 0 1000 300" className="w-full" style={{ height: '300px' }}>
-              {/* Grid lines - 0% to 80% scale */}
-              {[0, 20, 40, 60, 80].map((pct) => (
-                <g key={pct}>
-                  <line
-                    x1="50"
-                    y1={250 - (pct * 2.5)}
-                    x2="950"
-                    y2={250 - (pct * 2.5)}
-                    stroke="#374151"
-                    strokeWidth="1"
-                    strokeDasharray="4,4"
-                  />
-                  <text x="10" y={255 - (pct * 2.5)} fill="#9ca3af" fontSize="12">
-                    {pct}%
-                  </text>
-                </g>
-              ))}
-
-              {/* Time axis labels */}
-              {[0, 6, 12, 18, 24].map((hour) => (
-                <text
-                  key={hour}
-                  x={50 + (hour / 24) * 900}
-                  y="280"
-                  fill="#9ca3af"
-                  fontSize="12"
-                  textAnchor="middle"
-                >
-                  {hour}h
-                </text>
-              ))}
-
-              {/* Capacity evolution line */}
-              {(() => {
-                const points = []
-                const hoursPerCycle = 24 / rebalanceCyclesPerDay
-                const volumePerHour = metrics.dailyVolume / 24 // Swaps distributed over 24h
-                const efficiency = rebalanceEfficiency / 100
-                const PROTOCOL_FEES_SHARE = 0.80 // 80% of IOUs are protocol fees
-
-                // Starting capacity is 80% of USDC buffer (protocol fee portion)
-                const maxProtocolCapacity = metrics.usdcBuffer * PROTOCOL_FEES_SHARE
-                let currentCapacity = maxProtocolCapacity
-
-                // Calculate fees per cycle
-                const volumePerCycle = metrics.dailyVolume / rebalanceCyclesPerDay
-                const feesPerCycle = volumePerCycle * (metrics.effectiveSpreadBps / 10000) * PROTOCOL_FEES_SHARE
-
-                for (let hour = 0; hour <= 24; hour += 0.25) {
-                  // Check if rebalancing event
-                  const cycleNumber = Math.floor(hour / hoursPerCycle)
-                  const hourInCycle = hour - (cycleNumber * hoursPerCycle)
-
-                  if (hourInCycle === 0 && hour > 0) {
-                    // Rebalancing event - restore capacity to 80% × efficiency
-                    currentCapacity = maxProtocolCapacity * efficiency
-                  } else {
-                    // Deplete capacity from swaps (only consume the protocol fees portion)
-                    const volumeThisQuarter = volumePerHour * 0.25
-                    const capacityUsed = volumeThisQuarter // Each swap uses capacity
-                    currentCapacity = Math.max(0, currentCapacity - capacityUsed)
-                  }
-
-                  const x = 50 + (hour / 24) * 900
-                  // Scale to 0-80% range (capacity as % of max protocol capacity)
-                  const capacityPct = (currentCapacity / metrics.usdcBuffer) * 100
-                  const y = 250 - (capacityPct * 2.5) // 2.5 multiplier for 0-80% scale
-
-                  points.push({ x, y, hour, capacity: currentCapacity, cycleNumber })
-                }
-
-                const pathData = points.map((p, i) =>
-                  `${i === 0 ? 'M' : 'L'} ${p.x},${p.y}`
-                ).join(' ')
-
-                return (
-                  <>
-                    {/* Area under curve */}
-                    <path
-                      d={`${pathData} L 950,250 L 50,250 Z`}
-                      fill="rgba(59, 130, 246, 0.1)"
-                    />
-                    {/* Line */}
-                    <path
-                      d={pathData}
-                      fill="none"
-                      stroke="#3b82f6"
-                      strokeWidth="3"
-                    />
-
-                    {/* Rebalancing event markers + Fee labels */}
-                    {Array.from({ length: rebalanceCyclesPerDay + 1 }, (_, i) => {
-                      const eventHour = i * hoursPerCycle
-                      const nextEventHour = Math.min((i + 1) * hoursPerCycle, 24)
-                      const midpointHour = (eventHour + nextEventHour) / 2
-
-                      // Show fee label between rebalancing events
-                      const showFeeLabel = i < rebalanceCyclesPerDay
-
-                      return (
-                        <g key={i}>
-                          {/* Rebalancing line (skip first at hour 0) */}
-                          {eventHour > 0 && (
-                            <>
-                              <line
-                                x1={50 + (eventHour / 24) * 900}
-                                y1="50"
-                                x2={50 + (eventHour / 24) * 900}
-                                y2="250"
-                                stroke="#10b981"
-                                strokeWidth="2"
-                                strokeDasharray="4,4"
-                              />
-                              <text
-                                x={50 + (eventHour / 24) * 900}
-                                y="40"
-                                fill="#10b981"
-                                fontSize="10"
-                                textAnchor="middle"
-                              >
-                                ↻ Rebalance
-                              </text>
-                            </>
-                          )}
-
-                          {/* Fee label between events */}
-                          {showFeeLabel && (
-                            <text
-                              x={50 + (midpointHour / 24) * 900}
-                              y="20"
-                              fill="#fbbf24"
-                              fontSize="12"
-                              textAnchor="middle"
-                              fontWeight="bold"
-                            >
-                              {formatCurrency(feesPerCycle)} fees
-                            </text>
-                          )}
-                        </g>
-                      )
-                    })}
-
-                    {/* Current position marker (if actual volume > 0) */}
-                    {metrics.dailyVolume > 0 && (
-                      <circle
-                        cx={50 + (12 / 24) * 900}
-                        cy={points[Math.floor(points.length / 2)]?.y || 150}
-                        r="5"
-                        fill="#ef4444"
-                      />
-                    )}
-                  </>
-                )
-              })()}
-            </svg>
-
-            {/* Legend */}
-            <div className="mt-4 flex flex-wrap gap-4 text-xs">
-              <div className="flex items-center gap-2">
-                <div className="w-4 h-0.5 bg-blue-400"></div>
-                <span className="text-gray-400">Protocol Fee Capacity (80% of capacity)</span>
-              </div>
-              <div className="flex items-center gap-2">
-                <div className="w-4 h-0.5 bg-green-400 border-dashed"></div>
-                <span className="text-gray-400">Rebalancing Event</span>
-              </div>
-              <div className="flex items-center gap-2">
-                <div className="w-4 h-2 bg-yellow-400"></div>
-                <span className="text-gray-400">Fees Captured per Period</span>
-              </div>
-              <div className="flex items-center gap-2">
-                <div className="w-2 h-2 rounded-full bg-red-400"></div>
-                <span className="text-gray-400">Current Time (simulation)</span>
-              </div>
-            </div>
-
-            {/* Stats */}
-            <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-3 text-xs">
-              <div className="bg-gray-800 rounded p-2">
-                <p className="text-gray-500">Protocol Fee Capacity</p>
-                <p className="text-blue-400 font-semibold">{formatCurrency(metrics.usdcBuffer * 0.8)}</p>
-                <p className="text-gray-600 text-xs">80% of USDC buffer</p>
-              </div>
-              <div className="bg-gray-800 rounded p-2">
-                <p className="text-gray-500">Fees per Cycle</p>
-                <p className="text-yellow-400 font-semibold">
-                  {formatCurrency((metrics.dailyVolume / rebalanceCyclesPerDay) * (metrics.effectiveSpreadBps / 10000) * 0.80)}
-                </p>
-                <p className="text-gray-600 text-xs">Max before rebalance</p>
-              </div>
-              <div className="bg-gray-800 rounded p-2">
-                <p className="text-gray-500">Rebalance Efficiency</p>
-                <p className="text-green-400 font-semibold">{rebalanceEfficiency}%</p>
-                <p className="text-gray-600 text-xs">Capacity restoration</p>
-              </div>
-              <div className="bg-gray-800 rounded p-2">
-                <p className="text-gray-500">Volume Depletion Rate</p>
-                <p className="text-orange-400 font-semibold">
-                  {formatCurrency(metrics.dailyVolume / 24)}/hour
-                </p>
-                <p className="text-gray-600 text-xs">Swap processing</p>
-              </div>
-            </div>
-          </div>
-        </div>
+        {/* Depth Curves */}
+        <DepthCurvePanel
+          assetId={assetId}
+          curves={depthCurves}
+          profitByTier={metrics.profitByTier}
+          error={depthError}
+          sourceErrors={depthSourceErrors}
+          loading={depthLoading}
+          lastUpdate={depthLastUpdate}
+          thresholdBps={thresholdBps}
+        />
+
+        {/* TVL × Volume Heatmap */}
+        <TvlVolumeHeatmap
+          params={reserveParams}
+          avgSpreadBps={avgDepegBps}
+          currentVolume={actualDailyVolume}
+          onApply={(changes) => applyScenario({ ...scenarioParams, ...changes })}
+        />
+
+        {/* Intraday Swap Simulation */}
+        <IntradaySimulationChart
+          metrics={metrics}
+          rebalanceCyclesPerDay={rebalanceCyclesPerDay}
+          rebalanceEfficiency={rebalanceEfficiency}
+          solverShareOfFees={solverShareOfFees}
+          swapDistribution={reserveParams.swapDistribution}
+        />
+
+        {/* Monte Carlo Simulation */}
+        <MonteCarloPanel
+          params={reserveParams}
+          historicalData={historicalData}
+          defaultVolume={actualDailyVolume}
+          dailyCapacity={metrics.dailyCapacity}
+        />
 
         {/* IOU Economics & Profitability */}
         <div className="bg-gray-800 rounded-lg p-4 mb-6">
@@ -783,7 +741,7 @@ function App() {
           <div className="bg-blue-900/20 border border-blue-700 rounded p-4 mb-4">
             <h3 className="text-sm font-semibold text-blue-300 mb-3">📊 IOU Split Model</h3>
             <p className="text-xs text-gray-400 mb-3">
-              When users swap depegged GHO at peg price ($1.00), the delta is paid in IOUs. Distribution:
+              When users swap depegged {asset.symbol} at peg price ($1.00), the delta is paid in IOUs. Distribution:
             </p>
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
               <div className="bg-purple-900/30 border border-purple-700 rounded p-3">
@@ -881,7 +839,7 @@ function App() {
             <div>
               <p className="text-gray-400">Solver IOUs (per swap):</p>
               <p className="text-blue-300">Total IOUs × 80% × Solver%</p>
-              <p className="text-yellow-400 text-xs mt-1">Example: $300 × 80% × {solverShareOfFees}% = ${(300 * 0.8 * solverShareOfFees / 100).toFixed(2)}</p>
+              <p className="text-yellow-400 text-xs mt-1">Example: $300 × 80% × {solverShareOfFees}% = ${(300 * PROTOCOL_FEES_SHARE * solverShareOfFees / 100).toFixed(2)}</p>
             </div>
             <div>
               <p className="text-gray-400">Daily Capacity:</p>
@@ -897,7 +855,7 @@ function App() {
 
           {/* IOU Distribution Example */}
           <div className="mt-4 pt-4 border-t border-blue-700">
-            <p className="text-blue-300 font-semibold mb-2">Example: $100k swap when GHO at $0.997</p>
+            <p className="text-blue-300 font-semibold mb-2">Example: $100k swap when {asset.symbol} at $0.997</p>
             <div className="grid grid-cols-1 md:grid-cols-2 gap-2 text-xs">
               <div className="bg-blue-900/30 rounded p-2">
                 <p className="text-gray-400">User gets USDC at peg</p>
@@ -913,11 +871,11 @@ function App() {
               </div>
               <div className="bg-green-900/30 rounded p-2">
                 <p className="text-gray-400">Solver receives ({solverShareOfFees}% of 80%)</p>
-                <p className="text-green-400 font-semibold">${(300 * 0.8 * solverShareOfFees / 100).toFixed(0)} in IOUs</p>
+                <p className="text-green-400 font-semibold">${(300 * PROTOCOL_FEES_SHARE * solverShareOfFees / 100).toFixed(0)} in IOUs</p>
               </div>
               <div className="bg-yellow-900/30 rounded p-2">
                 <p className="text-gray-400">Protocol receives ({100 - solverShareOfFees}% of 80%)</p>
-                <p className="text-yellow-400 font-semibold">${(300 * 0.8 * (100 - solverShareOfFees) / 100).toFixed(0)} in IOUs</p>
+                <p className="text-yellow-400 font-semibold">${(300 * PROTOCOL_FEES_SHARE * (100 - solverShareOfFees) / 100).toFixed(0)} in IOUs</p>
               </div>
             </div>
           </div>
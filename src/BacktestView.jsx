@@ -0,0 +1,268 @@
+import React, { useState, useMemo } from 'react'
+import { runBacktest } from './engine/backtest'
+import { DEFAULT_ROUTE_RULE, thresholdPriceFor } from './engine/routeRules'
+import { formatCurrency, formatPercent } from './utils/format'
+import { DEFAULT_ASSET_ID, getAsset } from './utils/assets'
+
+// Chart geometry (SVG viewBox 1000 × 300)
+const X_START = 50
+const X_WIDTH = 900
+const Y_BASE = 250
+const Y_HEIGHT = 200
+
+/**
+ * @param {Object} props
+ * @param {string} [props.assetId] - Asset being backtested
+ * @param {Object[]} props.historicalData - CoinGecko hourly series (the default)
+ * @param {Object[]} [props.poolSeries] - Backfilled per-pool series ({ id, name, historicalData })
+ * @param {import('./engine/routeRules').RouteRule} [props.routeRule] - Threshold and open/close delays
+ */
+function BacktestView({
+  assetId = DEFAULT_ASSET_ID,
+  historicalData = [],
+  poolSeries = [],
+  params,
+  routeRule = DEFAULT_ROUTE_RULE,
+  loading = false,
+}) {
+  const [volumePerDepegHour, setVolumePerDepegHour] = useState(50000)
+  const [seriesId, setSeriesId] = useState('COINGECKO')
+
+  // Fall back to CoinGecko if the selected pool's history goes away
+  const selectedPool = poolSeries.find(entry => entry.id === seriesId)
+  const series = selectedPool ? selectedPool.historicalData : historicalData
+  const seriesName = selectedPool ? `${selectedPool.name} pool` : `CoinGecko ${getAsset(assetId).symbol}`
+
+  const backtest = useMemo(
+    () => runBacktest({ historicalData: series, params, volumePerDepegHour, routeRule }),
+    [series, params, volumePerDepegHour, routeRule]
+  )
+
+  const { hours, days, totals } = backtest
+  const maxCumulative = hours.length > 0 ? hours[hours.length - 1].cumulative.total : 0
+  const hourToX = (index) => X_START + (hours.length > 1 ? index / (hours.length - 1) : 0) * X_WIDTH
+  const valueToY = (value) => Y_BASE - (maxCumulative > 0 ? value / maxCumulative : 0) * Y_HEIGHT
+
+  const linePath = (key) => hours
+    .map((h, i) => `${i === 0 ? 'M' : 'L'} ${hourToX(i)},${valueToY(h.cumulative[key])}`)
+    .join(' ')
+
+  const dayLabels = days.filter((_, i) => i % 5 === 0)
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h2 className="text-xl font-semibold mb-1">🧪 Historical Backtest</h2>
+        <p className="text-sm text-gray-400">
+          Replays {hours.length} hours of {seriesName} prices through the reserve • Route opens below ${thresholdPriceFor(routeRule.depegThresholdBps).toFixed(4)}
+          {routeRule.routeOpenAfterMinutes > 0 && ` after ${routeRule.routeOpenAfterMinutes}m`}
+          {routeRule.routeCloseAfterMinutes > 0 && `, closes after ${routeRule.routeCloseAfterMinutes}m at peg`}
+          • {formatCurrency(params.tvl)} TVL, {params.rebalanceCyclesPerDay} rebalances/day
+        </p>
+      </div>
+
+      {/* Inputs */}
+      <div className="bg-gray-800 rounded-lg p-4">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label className="block text-sm text-gray-400 mb-1">Price Series</label>
+            <select
+              value={selectedPool ? seriesId : 'COINGECKO'}
+              onChange={(e) => setSeriesId(e.target.value)}
+              className="w-full bg-gray-700 rounded px-3 py-2 text-sm"
+            >
+              <option value="COINGECKO">CoinGecko (aggregated)</option>
+              {poolSeries.map(entry => (
+                <option key={entry.id} value={entry.id}>
+                  {entry.name} ({entry.historicalData.length}h on-chain)
+                </option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">
+              {poolSeries.length > 0 ? 'Pool series come from the collector backfill' : 'Run the collector backfill for per-pool history'}
+            </p>
+          </div>
+          <div>
+            <label className="block text-sm text-gray-400 mb-1">Volume per Depeg Hour</label>
+            <input
+              type="number"
+              value={volumePerDepegHour}
+              onChange={(e) => setVolumePerDepegHour(Math.max(0, Number(e.target.value)))}
+              className="w-full bg-gray-700 rounded px-3 py-2 text-sm"
+              min="0"
+              step="10000"
+            />
+            <p className="text-xs text-gray-500 mt-1">Assumed flow while the route is open</p>
+          </div>
+          <div>
+            <p className="text-sm text-gray-400 mb-1">USDC Buffer</p>
+            <p className="text-lg font-semibold text-green-400">{formatCurrency(params.tvl * (params.usdcWeight / 100))}</p>
+            <p className="text-xs text-gray-500 mt-1">Refilled {params.rebalanceEfficiency}% per rebalance</p>
+          </div>
+          <div>
+            <p className="text-sm text-gray-400 mb-1">Solver Share of Fees</p>
+            <p className="text-lg font-semibold text-blue-400">{params.solverShareOfFees}%</p>
+            <p className="text-xs text-gray-500 mt-1">Of 80% protocol fees</p>
+          </div>
+        </div>
+      </div>
+
+      {loading && !selectedPool && hours.length === 0 ? (
+        <p className="text-sm text-gray-400 text-center py-8">Loading historical prices...</p>
+      ) : (
+        <>
+          {/* Totals */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="bg-gradient-to-br from-blue-900/50 to-blue-800/30 border border-blue-700 rounded-lg p-4">
+              <p className="text-sm text-blue-300 mb-1">Total Protocol Fees</p>
+              <p className="text-2xl font-bold text-blue-400">{formatCurrency(totals.protocolFees)}</p>
+              <p className="text-xs text-gray-400 mt-1">80% of {formatCurrency(totals.totalIOUs)} IOUs</p>
+            </div>
+            <div className="bg-gradient-to-br from-green-900/50 to-green-800/30 border border-green-700 rounded-lg p-4">
+              <p className="text-sm text-green-300 mb-1">Volume Filled</p>
+              <p className="text-2xl font-bold text-green-400">{formatCurrency(totals.filled)}</p>
+              <p className="text-xs text-gray-400 mt-1">{formatPercent(totals.fillRate)} of {formatCurrency(totals.demand)} demand</p>
+            </div>
+            <div className="bg-gradient-to-br from-yellow-900/50 to-yellow-800/30 border border-yellow-700 rounded-lg p-4">
+              <p className="text-sm text-yellow-300 mb-1">Route Open</p>
+              <p className="text-2xl font-bold text-yellow-400">{totals.openHours} hours</p>
+              <p className="text-xs text-gray-400 mt-1">of {totals.hours} hours replayed</p>
+            </div>
+            <div className="bg-gradient-to-br from-red-900/50 to-red-800/30 border border-red-700 rounded-lg p-4">
+              <p className="text-sm text-red-300 mb-1">Capacity Exhausted</p>
+              <p className="text-2xl font-bold text-red-400">{totals.exhaustedHours} hours</p>
+              <p className="text-xs text-gray-400 mt-1">{formatCurrency(totals.unfilled)} unfilled</p>
+            </div>
+          </div>
+
+          {/* Cumulative IOU Chart */}
+          <div className="bg-gray-800 rounded-lg p-4">
+            <h3 className="font-semibold mb-4">📈 Cumulative IOUs Minted</h3>
+            <div className="bg-gray-900/50 rounded-lg p-4 border border-gray-700">
+              <svg viewBox="0 0 1000 300" className="w-full" style={{ height: '300px' }}>
+                {/* Route-open hours */}
+                {hours.map((h, i) => h.routeOpen && (
+                  <rect
+                    key={i}
+                    x={hourToX(i)}
+                    y="50"
+                    width={Math.max(1, X_WIDTH / hours.length)}
+                    height={Y_HEIGHT}
+                    fill={h.exhausted ? 'rgba(239, 68, 68, 0.25)' : 'rgba(234, 179, 8, 0.1)'}
+                  />
+                ))}
+
+                {/* Grid lines */}
+                {[0, 0.25, 0.5, 0.75, 1].map((fraction) => (
+                  <g key={fraction}>
+                    <line
+                      x1="50"
+                      y1={Y_BASE - fraction * Y_HEIGHT}
+                      x2="950"
+                      y2={Y_BASE - fraction * Y_HEIGHT}
+                      stroke="#374151"
+                      strokeWidth="1"
+                      strokeDasharray="4,4"
+                    />
+                    <text x="5" y={Y_BASE + 5 - fraction * Y_HEIGHT} fill="#9ca3af" fontSize="11">
+                      {formatCurrency(maxCumulative * fraction)}
+                    </text>
+                  </g>
+                ))}
+
+                {/* Date labels */}
+                {dayLabels.map((day) => {
+                  const index = hours.findIndex(h => new Date(h.timestamp).toISOString().startsWith(day.date))
+                  return (
+                    <text key={day.date} x={hourToX(index)} y="280" fill="#9ca3af" fontSize="11" textAnchor="middle">
+                      {day.date.slice(5)}
+                    </text>
+                  )
+                })}
+
+                {hours.length > 1 && (
+                  <>
+                    <path d={linePath('total')} fill="none" stroke="#3b82f6" strokeWidth="2" />
+                    <path d={linePath('solver')} fill="none" stroke="#22c55e" strokeWidth="2" />
+                    <path d={linePath('protocol')} fill="none" stroke="#eab308" strokeWidth="2" strokeDasharray="6,3" />
+                    <path d={linePath('trader')} fill="none" stroke="#a855f7" strokeWidth="2" />
+                  </>
+                )}
+              </svg>
+
+              {/* Legend */}
+              <div className="mt-4 flex flex-wrap gap-4 text-xs">
+                <div className="flex items-center gap-2">
+                  <div className="w-4 h-0.5 bg-blue-400"></div>
+                  <span className="text-gray-400">Total IOUs</span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <div className="w-4 h-0.5 bg-green-400"></div>
+                  <span className="text-gray-400">Solver</span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <div className="w-4 h-0.5 bg-yellow-400"></div>
+                  <span className="text-gray-400">Protocol</span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <div className="w-4 h-0.5 bg-purple-400"></div>
+                  <span className="text-gray-400">Trader</span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <div className="w-4 h-3 bg-yellow-500/20"></div>
+                  <span className="text-gray-400">Route Open</span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <div className="w-4 h-3 bg-red-500/40"></div>
+                  <span className="text-gray-400">Capacity Exhausted</span>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Per-day Table */}
+          <div className="bg-gray-800 rounded-lg p-4">
+            <h3 className="font-semibold mb-4">📅 Daily Breakdown</h3>
+            <div className="overflow-x-auto max-h-96 overflow-y-auto">
+              <table className="w-full text-xs">
+                <thead className="sticky top-0 bg-gray-800">
+                  <tr className="border-b border-gray-700">
+                    <th className="text-left py-2 px-2 text-gray-400">Date (UTC)</th>
+                    <th className="text-right py-2 px-2 text-gray-400">Open Hours</th>
+                    <th className="text-right py-2 px-2 text-gray-400">Max Spread</th>
+                    <th className="text-right py-2 px-2 text-gray-400">Filled</th>
+                    <th className="text-right py-2 px-2 text-gray-400">Unfilled</th>
+                    <th className="text-right py-2 px-2 text-gray-400">Exhausted Hours</th>
+                    <th className="text-right py-2 px-2 text-gray-400">Solver IOUs</th>
+                    <th className="text-right py-2 px-2 text-gray-400">Protocol Fees</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {days.map((day) => (
+                    <tr key={day.date} className="border-b border-gray-700/50">
+                      <td className="py-2 px-2 text-gray-300">{day.date}</td>
+                      <td className="text-right py-2 px-2">{day.openHours} / {day.hours}</td>
+                      <td className="text-right py-2 px-2 text-yellow-400">{day.maxSpreadBps.toFixed(1)} bps</td>
+                      <td className="text-right py-2 px-2 text-green-400">{formatCurrency(day.filled)}</td>
+                      <td className={`text-right py-2 px-2 ${day.unfilled > 0 ? 'text-red-400' : 'text-gray-600'}`}>
+                        {formatCurrency(day.unfilled)}
+                      </td>
+                      <td className={`text-right py-2 px-2 ${day.exhaustedHours > 0 ? 'text-red-400 font-semibold' : 'text-gray-600'}`}>
+                        {day.exhaustedHours}
+                      </td>
+                      <td className="text-right py-2 px-2 text-green-400">${day.solverIOUs.toFixed(0)}</td>
+                      <td className="text-right py-2 px-2 text-blue-400">${day.protocolFees.toFixed(0)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default BacktestView
@@ -0,0 +1,106 @@
+import React from 'react'
+import { CHAINS, DEFAULT_CHAIN_ID, getRpcConfig } from './utils/chains'
+import { DEFAULT_ASSET_ID, getAsset } from './utils/assets'
+import { STATS_WINDOWS } from './engine/sampleStats'
+import { DEPEG_THRESHOLD_BPS } from './engine/reserveModel'
+import { useRpcHealth } from './hooks/useRpcHealth'
+
+/**
+ * Depeg status and route availability per chain, side by side, to help decide
+ * where reserve TVL should be deployed
+ * @param {Object} props
+ * @param {string} [props.assetId] - Asset being viewed
+ * @param {Object[]} props.chains - aggregated.byChain from useMultiSourcePrices
+ * @param {string} props.statsWindow - STATS_WINDOWS id behind the open %
+ * @param {number} [props.thresholdBps] - Spread below peg at which a pool counts as depegged
+ */
+function ChainStatusPanel({ assetId = DEFAULT_ASSET_ID, chains, statsWindow, thresholdBps = DEPEG_THRESHOLD_BPS }) {
+  const asset = getAsset(assetId)
+  const windowLabel = STATS_WINDOWS.find(w => w.id === statsWindow)?.label ?? statsWindow
+  const health = useRpcHealth()
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 mb-6">
+      <h2 className="font-semibold mb-1 flex items-center gap-2">
+        ⛓️ Route Availability by Chain
+        <span className="text-xs text-gray-400 font-normal">({asset.symbol} pools on each chain, same route rule)</span>
+      </h2>
+      <p className="text-xs text-gray-400 mb-4">
+        Mainnet pools drive the metrics above. Other chains are tracked from their own pools; more open time means more routed volume for a reserve deployed there.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {chains.map(status => {
+          const chain = CHAINS.find(c => c.id === status.chainId)
+          const rpc = getRpcConfig(chain.id)
+          const { route } = status
+
+          return (
+            <div
+              key={chain.id}
+              className={`rounded-lg p-3 border ${
+                route?.isOpen ? 'bg-green-900/20 border-green-700' : 'bg-gray-900/50 border-gray-700'
+              }`}
+            >
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="font-semibold text-sm">
+                  {chain.name}
+                  {chain.id === DEFAULT_CHAIN_ID && <span className="ml-2 text-xs text-blue-400 font-normal">sizing</span>}
+                </h3>
+                {route && (
+                  <span className={`text-xs font-semibold ${route.isOpen ? 'text-green-400' : 'text-gray-400'}`}>
+                    {route.isOpen ? '● Route open' : '○ Route closed'}
+                  </span>
+                )}
+              </div>
+
+              {status.poolCount === 0 ? (
+                <p className="text-xs text-gray-500">No {asset.symbol} pools tracked on {chain.name}</p>
+              ) : (
+                <div className="space-y-1 text-xs">
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Pools quoting</span>
+                    <span className="text-gray-300">{status.pricedPools} / {status.poolCount}</span>
+                  </div>
+                  {status.failedPools > 0 && (
+                    <div className="flex justify-between">
+                      <span className="text-gray-400">Pools failing</span>
+                      <span className="text-orange-400" title={health.lastError[chain.id] ?? undefined}>⚠️ {status.failedPools}</span>
+                    </div>
+                  )}
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Depegged now</span>
+                    <span className={route.depeggedPools > 0 ? 'text-red-400' : 'text-green-400'}>
+                      {route.depeggedPools} (need {route.requiredPools})
+                    </span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Max spread</span>
+                    <span className={status.maxDepegBps >= thresholdBps ? 'text-yellow-400' : 'text-gray-300'}>
+                      {status.maxDepegBps.toFixed(1)} bps
+                    </span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Route open (last {windowLabel})</span>
+                    <span className="text-yellow-400 font-semibold">{route.openPercent.toFixed(1)}%</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Active hours/day</span>
+                    <span className="text-gray-300">{((route.openPercent / 100) * 24).toFixed(1)}h</span>
+                  </div>
+                </div>
+              )}
+
+              <p className="text-xs text-gray-500 mt-2 pt-2 border-t border-gray-700">
+                {rpc.configured ? `RPC from ${chain.rpcEnvVar}` : `Public RPC (set ${chain.rpcEnvVar})`}
+                {health.servedBy[chain.id] && ` • last used ${health.endpoints[health.servedBy[chain.id]]?.label}`}
+              </p>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default ChainStatusPanel
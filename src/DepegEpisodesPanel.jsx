@@ -0,0 +1,188 @@
+import React, { useState, useMemo } from 'react'
+import {
+  detectDepegEpisodes,
+  summarizeDepegEpisodes,
+  buildEpisodeDurationHistogram,
+} from './engine/depegEpisodes'
+import { DEPEG_THRESHOLD_BPS } from './engine/reserveModel'
+import { thresholdPriceFor } from './engine/routeRules'
+import { SOURCE_KINDS, getPriceSources } from './utils/priceSources'
+import { DEFAULT_ASSET_ID } from './utils/assets'
+
+const MAX_TABLE_ROWS = 20
+
+const formatDuration = (hours) => {
+  if (hours < 1) return `${Math.round(hours * 60)}m`
+  if (hours < 48) return `${hours.toFixed(1)}h`
+  return `${(hours / 24).toFixed(1)}d`
+}
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString([], {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+})
+
+/**
+ * Depeg episodes (start, duration, peak, area under peg, recovery) for one
+ * price series at a time, with a histogram of episode durations
+ * @param {Object} props
+ * @param {string} [props.assetId] - Asset whose live sources are offered
+ * @param {Object[]} props.historicalData - CoinGecko hourly series
+ * @param {Object[]} [props.liveSamples] - { timestamp, prices } samples from the live price store
+ * @param {Object[]} [props.poolSeries] - Backfilled per-pool hourly series ({ id, name, historicalData })
+ * @param {number} [props.thresholdBps] - Spread below peg at which a sample counts as depegged
+ */
+function DepegEpisodesPanel({
+  assetId = DEFAULT_ASSET_ID,
+  historicalData = [],
+  liveSamples = [],
+  poolSeries = [],
+  thresholdBps = DEPEG_THRESHOLD_BPS,
+}) {
+  const [seriesId, setSeriesId] = useState('COINGECKO')
+  const thresholdPrice = thresholdPriceFor(thresholdBps)
+
+  const seriesOptions = useMemo(() => [
+    { id: 'COINGECKO', name: 'CoinGecko (30d hourly)', points: historicalData },
+    ...poolSeries.map(entry => ({
+      id: `backfill:${entry.id}`,
+      name: `${entry.name} (on-chain hourly)`,
+      points: entry.historicalData,
+    })),
+    // Live samples are tracked for every source except the oracle reference
+    ...getPriceSources(assetId).filter(source => source.kind !== SOURCE_KINDS.ORACLE).map(source => ({
+      id: `live:${source.id}`,
+      name: `${source.name} (live samples)`,
+      points: liveSamples.map(sample => ({ timestamp: sample.timestamp, price: sample.prices[source.id] })),
+    })),
+  ], [assetId, historicalData, liveSamples, poolSeries])
+
+  const selected = seriesOptions.find(option => option.id === seriesId) ?? seriesOptions[0]
+
+  const { episodes, summary, histogram } = useMemo(() => {
+    const detected = detectDepegEpisodes(selected.points, { thresholdPrice })
+    return {
+      episodes: detected,
+      summary: summarizeDepegEpisodes(detected),
+      histogram: buildEpisodeDurationHistogram(detected),
+    }
+  }, [selected, thresholdPrice])
+
+  const maxBucketCount = Math.max(1, ...histogram.map(bucket => bucket.count))
+  const recentEpisodes = episodes.slice(-MAX_TABLE_ROWS).reverse()
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 border border-gray-700">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h3 className="text-sm font-semibold text-yellow-300">⏱️ Depeg Episodes</h3>
+        <select
+          value={selected.id}
+          onChange={(e) => setSeriesId(e.target.value)}
+          className="bg-gray-700 rounded px-2 py-1 text-xs"
+        >
+          {seriesOptions.map(option => (
+            <option key={option.id} value={option.id}>{option.name}</option>
+          ))}
+        </select>
+      </div>
+      <p className="text-xs text-gray-400 mb-4">
+        Consecutive samples below ${thresholdPrice.toFixed(4)} form one episode; it ends when the price is back at peg.
+        Area is depeg bps × hours below peg; recovery is the time from the trough back to peg.
+      </p>
+
+      {/* Summary */}
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4">
+        <div>
+          <p className="text-xs text-gray-400 mb-1">Episodes</p>
+          <p className="text-2xl font-bold text-yellow-400">{summary.count}</p>
+          <p className="text-xs text-gray-500">{formatDuration(summary.totalHours)} below peg</p>
+        </div>
+        <div>
+          <p className="text-xs text-gray-400 mb-1">Median Duration</p>
+          <p className="text-2xl font-bold text-orange-400">{formatDuration(summary.medianDurationHours)}</p>
+          <p className="text-xs text-gray-500">Avg {formatDuration(summary.avgDurationHours)}</p>
+        </div>
+        <div>
+          <p className="text-xs text-gray-400 mb-1">Longest</p>
+          <p className="text-2xl font-bold text-red-400">{formatDuration(summary.longestHours)}</p>
+          <p className="text-xs text-gray-500">Single episode</p>
+        </div>
+        <div>
+          <p className="text-xs text-gray-400 mb-1">Avg Peak</p>
+          <p className="text-2xl font-bold text-purple-400">{summary.avgPeakBps.toFixed(1)} bps</p>
+          <p className="text-xs text-gray-500">Max {summary.maxPeakBps.toFixed(1)} bps</p>
+        </div>
+        <div>
+          <p className="text-xs text-gray-400 mb-1">Avg Recovery</p>
+          <p className="text-2xl font-bold text-cyan-400">{formatDuration(summary.avgRecoveryHours)}</p>
+          <p className="text-xs text-gray-500">Trough → peg</p>
+        </div>
+      </div>
+
+      {/* Duration histogram */}
+      <div className="mb-4">
+        <p className="text-xs text-gray-400 mb-2">Episode Duration Distribution</p>
+        <div className="flex items-end gap-2 h-32 bg-gray-900/50 rounded-lg p-3 border border-gray-700">
+          {histogram.map(bucket => (
+            <div key={bucket.label} className="flex-1 flex flex-col items-center justify-end h-full">
+              <span className="text-xs text-gray-300 mb-1">{bucket.count > 0 ? bucket.count : ''}</span>
+              <div
+                className="w-full bg-yellow-500/60 rounded-t"
+                style={{ height: `${(bucket.count / maxBucketCount) * 100}%` }}
+                title={`${bucket.count} episodes ${bucket.label}`}
+              />
+              <span className="text-xs text-gray-500 mt-1">{bucket.label}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Episodes table */}
+      {episodes.length === 0 ? (
+        <p className="text-xs text-gray-500 text-center py-4">
+          {selected.points.length === 0 ? 'No samples for this series yet' : 'No depeg episodes in this series'}
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="border-b border-gray-700">
+                <th className="text-left py-2 px-2 text-gray-400">Start</th>
+                <th className="text-left py-2 px-2 text-gray-400">End</th>
+                <th className="text-right py-2 px-2 text-gray-400">Duration</th>
+                <th className="text-right py-2 px-2 text-gray-400">Peak</th>
+                <th className="text-right py-2 px-2 text-gray-400">Avg</th>
+                <th className="text-right py-2 px-2 text-gray-400">Area (bps·h)</th>
+                <th className="text-right py-2 px-2 text-gray-400">Recovery</th>
+              </tr>
+            </thead>
+            <tbody>
+              {recentEpisodes.map(episode => (
+                <tr key={episode.start} className="border-b border-gray-700/50">
+                  <td className="py-2 px-2 text-gray-300">{formatTime(episode.start)}</td>
+                  <td className="py-2 px-2 text-gray-300">
+                    {episode.ongoing ? <span className="text-red-400">Ongoing</span> : formatTime(episode.end)}
+                  </td>
+                  <td className="text-right py-2 px-2 text-orange-400">{formatDuration(episode.durationHours)}</td>
+                  <td className="text-right py-2 px-2 text-red-400">{episode.peakBps.toFixed(1)} bps</td>
+                  <td className="text-right py-2 px-2 text-gray-300">{episode.avgBps.toFixed(1)} bps</td>
+                  <td className="text-right py-2 px-2 text-gray-300">{episode.areaBpsHours.toFixed(1)}</td>
+                  <td className="text-right py-2 px-2 text-cyan-400">
+                    {episode.ongoing ? '--' : formatDuration(episode.recoveryHours)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {episodes.length > MAX_TABLE_ROWS && (
+            <p className="text-xs text-gray-500 mt-2">Showing the {MAX_TABLE_ROWS} most recent of {episodes.length} episodes</p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DepegEpisodesPanel
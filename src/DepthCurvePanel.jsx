@@ -0,0 +1,110 @@
+import React from 'react'
+import { formatCurrency } from './utils/format'
+import { getPriceSources } from './utils/priceSources'
+import { DEFAULT_ASSET_ID, getAsset } from './utils/assets'
+import { DEFAULT_CHAIN_ID } from './utils/chains'
+import { DEPEG_THRESHOLD_BPS } from './engine/reserveModel'
+
+const formatBps = (bps) => (bps === null || bps === undefined ? '--' : `${bps.toFixed(1)}`)
+
+function DepthCurvePanel({
+  assetId = DEFAULT_ASSET_ID,
+  curves,
+  profitByTier,
+  error = null,
+  sourceErrors = {},
+  loading,
+  lastUpdate,
+  thresholdBps = DEPEG_THRESHOLD_BPS,
+}) {
+  // Every Mainnet source of the asset that can quote at size
+  const depthSources = getPriceSources(assetId)
+    .filter(source => source.fetchQuotes && source.chainId === DEFAULT_CHAIN_ID)
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="font-semibold flex items-center gap-2">
+          🌊 Depth Curves by Swap Size
+          <span className="text-xs text-gray-400 font-normal">(Selling {getAsset(assetId).symbol} into each pool at the swap tier sizes)</span>
+        </h2>
+        <span className="text-xs text-gray-500">
+          {loading ? 'Quoting…' : error ? (
+            <span className="text-orange-400" title={error}>⚠️ Quotes failed</span>
+          ) : lastUpdate && `Quoted ${lastUpdate.toLocaleTimeString()}`}
+        </span>
+      </div>
+      <p className="text-xs text-gray-400 mb-4">
+        Effective spread below peg / price impact vs the smallest size, in bps. Tier IOUs use the widest spread quoted at that size.
+      </p>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="border-b border-gray-700">
+              <th className="text-left py-2 px-2 text-gray-400">Source</th>
+              {profitByTier.map((tier, i) => (
+                <th key={i} className="text-right py-2 px-2 text-gray-400">
+                  {tier.label}
+                  <div className="font-normal text-gray-500">{formatCurrency(tier.avgSize)}</div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {depthSources.map(source => {
+              // A failed quote is shown as an error, not left blank like one still in flight
+              const sourceError = curves[source.id] ? null : sourceErrors[source.id] ?? error
+              return (
+                <tr key={source.id} className="border-b border-gray-700/50">
+                  <td className="py-2 px-2 text-gray-300">{source.name}</td>
+                  {sourceError ? (
+                    <td colSpan={profitByTier.length} className="text-right py-2 px-2 text-orange-400 truncate max-w-xs" title={sourceError}>
+                      ⚠️ {sourceError}
+                    </td>
+                  ) : !curves[source.id] ? (
+                    <td colSpan={profitByTier.length} className="text-right py-2 px-2 text-gray-500">
+                      {loading ? 'Quoting…' : '--'}
+                    </td>
+                  ) : profitByTier.map((tier, i) => {
+                    const point = curves[source.id].find(p => p.size === tier.avgSize)
+                    return (
+                      <td key={i} className="text-right py-2 px-2">
+                        {point?.spreadBps === null || point?.spreadBps === undefined ? (
+                          <span className="text-gray-600" title="No quote at this size (reverted, e.g. beyond the pool's liquidity)">--</span>
+                        ) : (
+                          <>
+                            <span className={point.spreadBps >= thresholdBps ? 'text-yellow-400' : 'text-gray-300'}>{formatBps(point.spreadBps)}</span>
+                            <span className="text-gray-500"> / {formatBps(point.priceImpactBps)}</span>
+                          </>
+                        )}
+                      </td>
+                    )
+                  })}
+                </tr>
+              )
+            })}
+            <tr className="border-b border-gray-700/50">
+              <td className="py-2 px-2 text-gray-400">Tier spread used</td>
+              {profitByTier.map((tier, i) => (
+                <td key={i} className="text-right py-2 px-2 font-semibold text-cyan-400">
+                  {formatBps(tier.spreadBps)} bps
+                </td>
+              ))}
+            </tr>
+            <tr>
+              <td className="py-2 px-2 text-gray-400">Solver IOUs / swap</td>
+              {profitByTier.map((tier, i) => (
+                <td key={i} className="text-right py-2 px-2 font-semibold text-green-400">
+                  {tier.solverIOUs >= 1000 ? formatCurrency(tier.solverIOUs) : `$${tier.solverIOUs.toFixed(2)}`}
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default DepthCurvePanel
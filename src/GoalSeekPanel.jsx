@@ -0,0 +1,187 @@
+import React, { useState, useMemo } from 'react'
+import { solveGoal, GOAL_TYPES } from './engine/goalSeek'
+import { formatCurrency, formatPercent } from './utils/format'
+
+const DEFAULT_TARGETS = {
+  dailyVolume: 5000000,
+  dailyFees: 1000,
+  solverIOUs: 500,
+  volumeCoverage: 66,
+}
+
+function BindingBadge({ binding }) {
+  return binding === 'single-swap' ? (
+    <span className="px-2 py-0.5 rounded text-xs bg-purple-900/50 text-purple-300 border border-purple-700">
+      Single-swap size binds
+    </span>
+  ) : (
+    <span className="px-2 py-0.5 rounded text-xs bg-green-900/50 text-green-300 border border-green-700">
+      Daily throughput binds
+    </span>
+  )
+}
+
+function GoalSeekPanel({ params, defaultSpreadBps, onApply }) {
+  const [goalType, setGoalType] = useState('dailyVolume')
+  const [targets, setTargets] = useState(DEFAULT_TARGETS)
+  const [spreadBps, setSpreadBps] = useState(Math.round(defaultSpreadBps))
+  const [minVolumeCoverage, setMinVolumeCoverage] = useState(0)
+
+  const target = targets[goalType]
+  const usesSpread = goalType === 'dailyFees' || goalType === 'solverIOUs'
+
+  const solution = useMemo(() => solveGoal({
+    params,
+    type: goalType,
+    value: target,
+    spreadBps,
+    minVolumeCoverage,
+  }), [params, goalType, target, spreadBps, minVolumeCoverage])
+
+  const { constraints } = solution
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 mb-6">
+      <h2 className="font-semibold mb-2 flex items-center gap-2">
+        🎯 Goal Seek
+        <span className="text-xs text-gray-400 font-normal">(Solve backwards from a target)</span>
+      </h2>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">Target</label>
+          <select
+            value={goalType}
+            onChange={(e) => setGoalType(e.target.value)}
+            className="w-full bg-gray-700 rounded px-3 py-2 text-sm"
+          >
+            {Object.entries(GOAL_TYPES).map(([key, goal]) => (
+              <option key={key} value={key}>{goal.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">Target Value ({GOAL_TYPES[goalType].unit})</label>
+          <input
+            type="number"
+            value={target}
+            onChange={(e) => setTargets(prev => ({ ...prev, [goalType]: Math.max(0, Number(e.target.value)) }))}
+            className="w-full bg-gray-700 rounded px-3 py-2 text-sm"
+            min="0"
+            max={goalType === 'volumeCoverage' ? 100 : undefined}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">Assumed Spread (bps)</label>
+          <input
+            type="number"
+            value={spreadBps}
+            onChange={(e) => setSpreadBps(Math.max(0, Number(e.target.value)))}
+            className="w-full bg-gray-700 rounded px-3 py-2 text-sm disabled:opacity-50"
+            min="0"
+            disabled={!usesSpread}
+          />
+          <p className="text-xs text-gray-500 mt-1">For fee and IOU targets</p>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">Also Cover Volume (%)</label>
+          <input
+            type="number"
+            value={minVolumeCoverage}
+            onChange={(e) => setMinVolumeCoverage(Math.min(100, Math.max(0, Number(e.target.value))))}
+            className="w-full bg-gray-700 rounded px-3 py-2 text-sm"
+            min="0"
+            max="100"
+          />
+          <p className="text-xs text-gray-500 mt-1">Swap tiers that must fit</p>
+        </div>
+      </div>
+
+      <div className="bg-gray-900/50 border border-gray-700 rounded p-3 mb-4 text-xs text-gray-400 grid grid-cols-1 md:grid-cols-2 gap-2">
+        <div>
+          Required daily throughput:{' '}
+          <span className="text-green-400 font-semibold">
+            {Number.isFinite(constraints.requiredCapacity) ? formatCurrency(constraints.requiredCapacity) : '∞ (spread is 0)'}
+          </span>
+        </div>
+        <div>
+          Required max single swap:{' '}
+          <span className="text-purple-400 font-semibold">
+            {Number.isFinite(constraints.requiredSwapSize) ? formatCurrency(constraints.requiredSwapSize) : 'Not reachable'}
+          </span>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {/* Minimum TVL */}
+        <div className="bg-blue-900/20 border border-blue-700 rounded p-3">
+          <p className="text-xs text-blue-300 mb-1">Minimum TVL</p>
+          <p className="text-2xl font-bold text-blue-400">
+            {solution.tvl.feasible ? formatCurrency(solution.tvl.value) : 'Not reachable'}
+          </p>
+          <p className="text-xs text-gray-400 mt-1 mb-2">
+            At {params.usdcWeight}% USDC, {params.rebalanceCyclesPerDay} rebalances/day
+          </p>
+          <div className="flex items-center justify-between">
+            <BindingBadge binding={solution.tvl.binding} />
+            {solution.tvl.feasible && (
+              <button
+                onClick={() => onApply({ tvl: Math.ceil(solution.tvl.value / 1000) * 1000 })}
+                className="px-2 py-1 rounded text-xs bg-gray-700 hover:bg-gray-600"
+              >
+                Apply
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Rebalances per day */}
+        <div className="bg-green-900/20 border border-green-700 rounded p-3">
+          <p className="text-xs text-green-300 mb-1">Required Rebalances/Day</p>
+          <p className="text-2xl font-bold text-green-400">
+            {solution.rebalanceCyclesPerDay.feasible ? solution.rebalanceCyclesPerDay.value : 'Not reachable'}
+          </p>
+          <p className="text-xs text-gray-400 mt-1 mb-2">
+            At {formatCurrency(params.tvl)} TVL
+            {!solution.rebalanceCyclesPerDay.feasible && ' • buffer too small for the largest swap'}
+          </p>
+          <div className="flex items-center justify-between">
+            <BindingBadge binding={solution.rebalanceCyclesPerDay.binding} />
+            {solution.rebalanceCyclesPerDay.feasible && (
+              <button
+                onClick={() => onApply({ rebalanceCyclesPerDay: solution.rebalanceCyclesPerDay.value })}
+                className="px-2 py-1 rounded text-xs bg-gray-700 hover:bg-gray-600"
+              >
+                Apply
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* USDC weight */}
+        <div className="bg-purple-900/20 border border-purple-700 rounded p-3">
+          <p className="text-xs text-purple-300 mb-1">Required USDC Weight</p>
+          <p className="text-2xl font-bold text-purple-400">
+            {solution.usdcWeight.feasible ? formatPercent(solution.usdcWeight.value) : `> 100%`}
+          </p>
+          <p className="text-xs text-gray-400 mt-1 mb-2">
+            At {formatCurrency(params.tvl)} TVL, {params.rebalanceCyclesPerDay} rebalances/day
+          </p>
+          <div className="flex items-center justify-between">
+            <BindingBadge binding={solution.usdcWeight.binding} />
+            {solution.usdcWeight.feasible && (
+              <button
+                onClick={() => onApply({ usdcWeight: Math.ceil(solution.usdcWeight.value) })}
+                className="px-2 py-1 rounded text-xs bg-gray-700 hover:bg-gray-600"
+              >
+                Apply
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default GoalSeekPanel
@@ -0,0 +1,326 @@
+import React, { useState, useMemo } from 'react'
+import { simulateIntradaySwaps } from './engine/intradaySimulator'
+import { formatCurrency, formatPercent } from './utils/format'
+
+// Chart geometry (SVG viewBox 1000 × 300)
+const X_START = 50
+const X_WIDTH = 900
+const Y_BASE = 250
+const Y_SCALE = 2 // 0-100% of buffer → 200px
+
+const hourToX = (hour) => X_START + (hour / 24) * X_WIDTH
+const bufferToY = (buffer, usdcBuffer) => Y_BASE - (usdcBuffer > 0 ? (buffer / usdcBuffer) * 100 : 0) * Y_SCALE
+
+const formatHour = (hour) => {
+  const h = Math.floor(hour)
+  const m = Math.floor((hour - h) * 60)
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`
+}
+
+// Rows shown in the swap log before truncating
+const MAX_LOG_ROWS = 100
+
+function IntradaySimulationChart({
+  metrics,
+  rebalanceCyclesPerDay,
+  rebalanceEfficiency,
+  solverShareOfFees,
+  swapDistribution,
+}) {
+  const [seed, setSeed] = useState(1)
+  const [depegTimePercent, setDepegTimePercent] = useState(Math.round(metrics.depegTimePercent) || 25)
+  const [depegWindows, setDepegWindows] = useState(4)
+  const [allowPartialFills, setAllowPartialFills] = useState(true)
+
+  const simulation = useMemo(() => simulateIntradaySwaps({
+    usdcBuffer: metrics.usdcBuffer,
+    rebalanceCyclesPerDay,
+    rebalanceEfficiency,
+    dailyVolume: metrics.dailyVolume,
+    depegTimePercent,
+    spreadBps: metrics.effectiveSpreadBps,
+    solverShareOfFees,
+    swapDistribution,
+    depegWindows,
+    allowPartialFills,
+    seed,
+  }), [metrics, rebalanceCyclesPerDay, rebalanceEfficiency, solverShareOfFees, swapDistribution, depegTimePercent, depegWindows, allowPartialFills, seed])
+
+  const { totals } = simulation
+
+  const pathData = simulation.path.map((p, i) => {
+    const x = hourToX(p.hour)
+    const y = bufferToY(p.buffer, metrics.usdcBuffer)
+    if (i === 0) return `M ${x},${y}`
+    const prevY = bufferToY(simulation.path[i - 1].buffer, metrics.usdcBuffer)
+    return `L ${x},${prevY} L ${x},${y}`
+  }).join(' ')
+
+  const maxRejected = Math.max(0, ...simulation.swaps.map(s => s.rejected))
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 mb-6">
+      <h2 className="font-semibold mb-4">📈 Intraday Swap Simulation (24 Hours)</h2>
+      <p className="text-sm text-gray-400 mb-4">
+        Individual swaps sampled from the size distribution arrive during depeg windows and draw down the USDC buffer
+        • Rebalancing every <span className="text-blue-400 font-semibold">{(24 / rebalanceCyclesPerDay).toFixed(1)} hours</span>
+        • Buffer: <span className="text-green-400 font-semibold">{formatCurrency(metrics.usdcBuffer)}</span>
+      </p>
+
+      {/* Simulation Controls */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4 text-sm">
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">Depeg Time (% of day)</label>
+          <input
+            type="number"
+            value={depegTimePercent}
+            onChange={(e) => setDepegTimePercent(Math.min(100, Math.max(0, Number(e.target.value))))}
+            className="w-full bg-gray-700 rounded px-3 py-2 text-sm"
+            min="0"
+            max="100"
+          />
+          <button
+            onClick={() => setDepegTimePercent(Math.round(metrics.depegTimePercent))}
+            className="text-xs text-blue-400 hover:text-blue-300 mt-1"
+          >
+            Use live DEX data ({formatPercent(metrics.depegTimePercent)})
+          </button>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">Depeg Windows</label>
+          <input
+            type="number"
+            value={depegWindows}
+            onChange={(e) => setDepegWindows(Math.min(24, Math.max(1, Number(e.target.value))))}
+            className="w-full bg-gray-700 rounded px-3 py-2 text-sm"
+            min="1"
+            max="24"
+          />
+          <p className="text-xs text-gray-500 mt-1">Separate episodes per day</p>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">Oversized Swaps</label>
+          <select
+            value={allowPartialFills ? 'partial' : 'reject'}
+            onChange={(e) => setAllowPartialFills(e.target.value === 'partial')}
+            className="w-full bg-gray-700 rounded px-3 py-2 text-sm"
+          >
+            <option value="partial">Partially fill</option>
+            <option value="reject">Reject</option>
+          </select>
+          <p className="text-xs text-gray-500 mt-1">When swap &gt; remaining buffer</p>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">Random Seed</label>
+          <div className="flex gap-2">
+            <input
+              type="number"
+              value={seed}
+              onChange={(e) => setSeed(Number(e.target.value))}
+              className="w-full bg-gray-700 rounded px-3 py-2 text-sm"
+            />
+            <button
+              onClick={() => setSeed(Math.floor(Math.random() * 1000000))}
+              className="px-3 py-2 rounded bg-gray-700 hover:bg-gray-600 text-xs"
+              title="Re-roll"
+            >
+              🎲
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {metrics.dailyVolume === 0 && (
+        <p className="text-xs text-yellow-400 mb-3">⚠️ Enter an Actual Daily Volume above to generate swaps</p>
+      )}
+
+      <div className="relative bg-gray-900/50 rounded-lg p-4 border border-gray-700">
+        {/* SVG Graph */}
+        <svg viewBox="0 0 1000 300" className="w-full" style={{ height: '300px' }}>
+          {/* Depeg windows (route open) */}
+          {simulation.windows.map((w, i) => (
+            <rect
+              key={i}
+              x={hourToX(w.start)}
+              y="50"
+              width={hourToX(w.end) - hourToX(w.start)}
+              height="200"
+              fill="rgba(234, 179, 8, 0.12)"
+            />
+          ))}
+
+          {/* Grid lines - 0% to 100% of buffer */}
+          {[0, 25, 50, 75, 100].map((pct) => (
+            <g key={pct}>
+              <line
+                x1="50"
+                y1={Y_BASE - pct * Y_SCALE}
+                x2="950"
+                y2={Y_BASE - pct * Y_SCALE}
+                stroke="#374151"
+                strokeWidth="1"
+                strokeDasharray="4,4"
+              />
+              <text x="10" y={Y_BASE + 5 - pct * Y_SCALE} fill="#9ca3af" fontSize="12">
+                {pct}%
+              </text>
+            </g>
+          ))}
+
+          {/* Time axis labels */}
+          {[0, 6, 12, 18, 24].map((hour) => (
+            <text
+              key={hour}
+              x={hourToX(hour)}
+              y="280"
+              fill="#9ca3af"
+              fontSize="12"
+              textAnchor="middle"
+            >
+              {hour}h
+            </text>
+          ))}
+
+          {/* Rebalancing events */}
+          {simulation.rebalances.map((hour) => (
+            <g key={hour}>
+              <line
+                x1={hourToX(hour)}
+                y1="50"
+                x2={hourToX(hour)}
+                y2="250"
+                stroke="#10b981"
+                strokeWidth="1"
+                strokeDasharray="4,4"
+              />
+              {simulation.rebalances.length <= 12 && (
+                <text x={hourToX(hour)} y="40" fill="#10b981" fontSize="10" textAnchor="middle">
+                  ↻
+                </text>
+              )}
+            </g>
+          ))}
+
+          {/* Simulated buffer path */}
+          <path d={`${pathData} L 950,250 L 50,250 Z`} fill="rgba(59, 130, 246, 0.1)" />
+          <path d={pathData} fill="none" stroke="#3b82f6" strokeWidth="2" />
+
+          {/* Rejected volume markers */}
+          {simulation.swaps
+            .filter(s => s.rejected > 0)
+            .map((s, i) => (
+              <circle
+                key={i}
+                cx={hourToX(s.hour)}
+                cy={Y_BASE}
+                r={2 + 6 * Math.sqrt(s.rejected / maxRejected)}
+                fill={s.status === 'partial' ? '#f97316' : '#ef4444'}
+                fillOpacity="0.8"
+              >
+                <title>{`${formatHour(s.hour)} • ${formatCurrency(s.size)} swap • ${formatCurrency(s.rejected)} rejected`}</title>
+              </circle>
+            ))}
+        </svg>
+
+        {/* Legend */}
+        <div className="mt-4 flex flex-wrap gap-4 text-xs">
+          <div className="flex items-center gap-2">
+            <div className="w-4 h-0.5 bg-blue-400"></div>
+            <span className="text-gray-400">USDC Buffer Remaining</span>
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="w-4 h-3 bg-yellow-500/20"></div>
+            <span className="text-gray-400">Depeg Window (route open)</span>
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="w-4 h-0.5 bg-green-400 border-dashed"></div>
+            <span className="text-gray-400">Rebalancing Event</span>
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="w-2 h-2 rounded-full bg-orange-500"></div>
+            <span className="text-gray-400">Partial Fill</span>
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="w-2 h-2 rounded-full bg-red-500"></div>
+            <span className="text-gray-400">Rejected Swap (size ∝ rejected volume)</span>
+          </div>
+        </div>
+
+        {/* Stats */}
+        <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-3 text-xs">
+          <div className="bg-gray-800 rounded p-2">
+            <p className="text-gray-500">Swaps Simulated</p>
+            <p className="text-blue-400 font-semibold">{totals.swapCount}</p>
+            <p className="text-gray-600 text-xs">
+              {totals.filledCount} filled • {totals.partialCount} partial • {totals.rejectedCount} rejected
+            </p>
+          </div>
+          <div className="bg-gray-800 rounded p-2">
+            <p className="text-gray-500">Filled Volume</p>
+            <p className="text-green-400 font-semibold">{formatCurrency(totals.filledVolume)}</p>
+            <p className="text-gray-600 text-xs">{formatPercent(totals.fillRate)} of {formatCurrency(totals.requestedVolume)} requested</p>
+          </div>
+          <div className="bg-gray-800 rounded p-2">
+            <p className="text-gray-500">Rejected Volume</p>
+            <p className={`font-semibold ${totals.rejectedVolume > 0 ? 'text-red-400' : 'text-gray-400'}`}>
+              {formatCurrency(totals.rejectedVolume)}
+            </p>
+            <p className="text-gray-600 text-xs">Capacity shortfall</p>
+          </div>
+          <div className="bg-gray-800 rounded p-2">
+            <p className="text-gray-500">IOUs Minted</p>
+            <p className="text-yellow-400 font-semibold">{formatCurrency(totals.totalIOUs)}</p>
+            <p className="text-gray-600 text-xs">
+              Solver {formatCurrency(totals.solverIOUs)} • Protocol {formatCurrency(totals.protocolIOUs)}
+            </p>
+          </div>
+        </div>
+
+        {/* Swap Log */}
+        {simulation.swaps.length > 0 && (
+          <div className="mt-4">
+            <p className="text-xs text-gray-500 mb-2">
+              Swap log {simulation.swaps.length > MAX_LOG_ROWS && `(first ${MAX_LOG_ROWS} of ${simulation.swaps.length})`}
+            </p>
+            <div className="max-h-64 overflow-y-auto">
+              <table className="w-full text-xs">
+                <thead className="sticky top-0 bg-gray-900">
+                  <tr className="border-b border-gray-700">
+                    <th className="text-left py-1 px-2 text-gray-400">Time</th>
+                    <th className="text-left py-1 px-2 text-gray-400">Tier</th>
+                    <th className="text-right py-1 px-2 text-gray-400">Size</th>
+                    <th className="text-right py-1 px-2 text-gray-400">Filled</th>
+                    <th className="text-right py-1 px-2 text-gray-400">Rejected</th>
+                    <th className="text-right py-1 px-2 text-gray-400">IOUs</th>
+                    <th className="text-right py-1 px-2 text-gray-400">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {simulation.swaps.slice(0, MAX_LOG_ROWS).map((s, i) => (
+                    <tr key={i} className="border-b border-gray-700/50">
+                      <td className="py-1 px-2 text-gray-400">{formatHour(s.hour)}</td>
+                      <td className="py-1 px-2 text-gray-400">{s.tier}</td>
+                      <td className="text-right py-1 px-2">{formatCurrency(s.size)}</td>
+                      <td className="text-right py-1 px-2 text-green-400">{formatCurrency(s.filled)}</td>
+                      <td className={`text-right py-1 px-2 ${s.rejected > 0 ? 'text-red-400' : 'text-gray-600'}`}>
+                        {formatCurrency(s.rejected)}
+                      </td>
+                      <td className="text-right py-1 px-2 text-yellow-400">${s.ious.total.toFixed(2)}</td>
+                      <td className={`text-right py-1 px-2 ${
+                        s.status === 'filled' ? 'text-green-400' : s.status === 'partial' ? 'text-orange-400' : 'text-red-400'
+                      }`}>
+                        {s.status}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default IntradaySimulationChart
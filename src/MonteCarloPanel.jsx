@@ -0,0 +1,252 @@
+import React, { useState, useMemo } from 'react'
+import { useMonteCarlo } from './hooks/useMonteCarlo'
+import { buildHistoricalSamples } from './engine/monteCarlo'
+import { formatCurrency, formatPercent } from './utils/format'
+
+// Seeds are kept within the 32-bit range the PRNG uses
+const MAX_SEED = 0xffffffff
+
+// Horizontal P5-P95 band with a P50 marker
+function ConfidenceBand({ summary, scaleMax, color }) {
+  const toPct = (value) => (scaleMax > 0 ? Math.min(100, (value / scaleMax) * 100) : 0)
+
+  return (
+    <div className="relative h-3 bg-gray-900 rounded">
+      <div
+        className={`absolute h-3 rounded ${color} opacity-40`}
+        style={{ left: `${toPct(summary.p5)}%`, width: `${Math.max(0.5, toPct(summary.p95) - toPct(summary.p5))}%` }}
+      />
+      <div
+        className={`absolute h-3 w-1 ${color}`}
+        style={{ left: `${toPct(summary.p50)}%` }}
+      />
+    </div>
+  )
+}
+
+function MonteCarloPanel({ params, historicalData = [], defaultVolume = 0, dailyCapacity = 0 }) {
+  const { result, progress, running, error, run } = useMonteCarlo()
+
+  const initialMean = defaultVolume || Math.round(dailyCapacity * 0.5)
+  const [iterations, setIterations] = useState(2000)
+  const [volumeType, setVolumeType] = useState('lognormal')
+  const [volumeMean, setVolumeMean] = useState(initialMean)
+  const [volumeStdDev, setVolumeStdDev] = useState(Math.round(initialMean * 0.5))
+  const [volumeMin, setVolumeMin] = useState(0)
+  const [volumeMax, setVolumeMax] = useState(Math.round(dailyCapacity))
+  // Blank draws a fresh seed per run; a fixed seed reproduces a run exactly
+  const [seedInput, setSeedInput] = useState('')
+
+  const samples = useMemo(() => buildHistoricalSamples(historicalData), [historicalData])
+
+  const handleRun = () => {
+    run({
+      params,
+      samples,
+      volumeDistribution: volumeType === 'uniform'
+        ? { type: 'uniform', min: volumeMin, max: volumeMax }
+        : { type: 'lognormal', mean: volumeMean, stdDev: volumeStdDev },
+      iterations,
+      seed: seedInput === '' ? Math.floor(Math.random() * MAX_SEED) + 1 : Number(seedInput),
+    })
+  }
+
+  const rows = result ? [
+    { label: 'Max Daily Fees', summary: result.maxDailyFees, format: formatCurrency, color: 'bg-blue-400' },
+    { label: 'Solver Daily IOUs', summary: result.dailySolverIOUs, format: formatCurrency, color: 'bg-green-400' },
+    { label: 'Capacity Utilization', summary: result.capacityUtilization, format: formatPercent, color: 'bg-yellow-400' },
+  ] : []
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 mb-6">
+      <h2 className="font-semibold mb-2 flex items-center gap-2">
+        🎲 Monte Carlo Simulation
+        <span className="text-xs text-gray-400 font-normal">(Confidence bands across simulated days)</span>
+      </h2>
+      <p className="text-xs text-gray-400 mb-4">
+        Each day draws a spread from the {samples.spreadBps.length} depegged hours and a route-open % from the{' '}
+        {samples.depegPercents.length} 24h windows in the CoinGecko history, and a volume from the distribution below
+      </p>
+
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-4 mb-4">
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">Simulated Days</label>
+          <input
+            type="number"
+            value={iterations}
+            onChange={(e) => setIterations(Math.min(20000, Math.max(100, Number(e.target.value))))}
+            className="w-full bg-gray-700 rounded px-3 py-2 text-sm"
+            min="100"
+            max="20000"
+            step="100"
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">Volume Distribution</label>
+          <select
+            value={volumeType}
+            onChange={(e) => setVolumeType(e.target.value)}
+            className="w-full bg-gray-700 rounded px-3 py-2 text-sm"
+          >
+            <option value="lognormal">Lognormal</option>
+            <option value="uniform">Uniform</option>
+          </select>
+        </div>
+        {volumeType === 'lognormal' ? (
+          <>
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">Mean Daily Volume</label>
+              <input
+                type="number"
+                value={volumeMean}
+                onChange={(e) => setVolumeMean(Math.max(0, Number(e.target.value)))}
+                className="w-full bg-gray-700 rounded px-3 py-2 text-sm"
+                min="0"
+                step="10000"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">Std Deviation</label>
+              <input
+                type="number"
+                value={volumeStdDev}
+                onChange={(e) => setVolumeStdDev(Math.max(0, Number(e.target.value)))}
+                className="w-full bg-gray-700 rounded px-3 py-2 text-sm"
+                min="0"
+                step="10000"
+              />
+            </div>
+          </>
+        ) : (
+          <>
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">Min Daily Volume</label>
+              <input
+                type="number"
+                value={volumeMin}
+                onChange={(e) => setVolumeMin(Math.max(0, Number(e.target.value)))}
+                className="w-full bg-gray-700 rounded px-3 py-2 text-sm"
+                min="0"
+                step="10000"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">Max Daily Volume</label>
+              <input
+                type="number"
+                value={volumeMax}
+                onChange={(e) => setVolumeMax(Math.max(volumeMin, Number(e.target.value)))}
+                className="w-full bg-gray-700 rounded px-3 py-2 text-sm"
+                min="0"
+                step="10000"
+              />
+            </div>
+          </>
+        )}
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">Seed</label>
+          <input
+            type="number"
+            value={seedInput}
+            onChange={(e) => setSeedInput(
+              e.target.value === '' ? '' : String(Math.min(MAX_SEED, Math.max(0, Math.round(Number(e.target.value)))))
+            )}
+            placeholder="Random"
+            className="w-full bg-gray-700 rounded px-3 py-2 text-sm"
+            min="0"
+            max={MAX_SEED}
+            step="1"
+          />
+        </div>
+        <div className="flex items-end">
+          <button
+            onClick={handleRun}
+            disabled={running}
+            className="w-full px-4 py-2 rounded bg-blue-600 hover:bg-blue-500 disabled:bg-gray-600 text-sm font-medium"
+          >
+            {running ? `Running ${(progress * 100).toFixed(0)}%` : 'Run Simulation'}
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-xs text-red-400 mb-3">⚠️ {error}</p>}
+
+      {result ? (
+        <>
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="border-b border-gray-700">
+                  <th className="text-left py-2 px-2 text-gray-400">Metric</th>
+                  <th className="text-right py-2 px-2 text-gray-400">P5</th>
+                  <th className="text-right py-2 px-2 text-gray-400">P50</th>
+                  <th className="text-right py-2 px-2 text-gray-400">P95</th>
+                  <th className="py-2 px-2 text-gray-400 w-1/3">Band</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.label} className="border-b border-gray-700/50">
+                    <td className="py-2 px-2 text-gray-300">{row.label}</td>
+                    <td className="text-right py-2 px-2 text-gray-400">{row.format(row.summary.p5)}</td>
+                    <td className="text-right py-2 px-2 font-semibold">{row.format(row.summary.p50)}</td>
+                    <td className="text-right py-2 px-2 text-gray-400">{row.format(row.summary.p95)}</td>
+                    <td className="py-2 px-2">
+                      <ConfidenceBand summary={row.summary} scaleMax={row.summary.p95 * 1.1} color={row.color} />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="mt-4 grid grid-cols-1 md:grid-cols-4 gap-3 text-xs">
+            <div className="bg-gray-900/50 border border-gray-700 rounded p-3">
+              <p className="text-gray-500">Days Over Daily Capacity</p>
+              <p className={`text-xl font-bold ${result.probOverCapacity > 5 ? 'text-red-400' : 'text-green-400'}`}>
+                {formatPercent(result.probOverCapacity)}
+              </p>
+              <p className="text-gray-600">Volume &gt; buffer × cycles × efficiency</p>
+            </div>
+            <div className="bg-gray-900/50 border border-gray-700 rounded p-3">
+              <p className="text-gray-500">Days Running Out of Buffer</p>
+              <p className={`text-xl font-bold ${result.probBufferExhausted > 5 ? 'text-red-400' : 'text-green-400'}`}>
+                {formatPercent(result.probBufferExhausted)}
+              </p>
+              <p className="text-gray-600">A swap that fits the buffer rejected or partially filled</p>
+            </div>
+            <div className="bg-gray-900/50 border border-gray-700 rounded p-3">
+              <p className="text-gray-500">Days With Oversize Swaps</p>
+              <p className={`text-xl font-bold ${result.probOversizeSwap > 5 ? 'text-yellow-400' : 'text-green-400'}`}>
+                {formatPercent(result.probOversizeSwap)}
+              </p>
+              <p className="text-gray-600">A swap larger than the whole USDC buffer</p>
+            </div>
+            <div className="bg-gray-900/50 border border-gray-700 rounded p-3">
+              <p className="text-gray-500">Simulated Days</p>
+              <p className="text-xl font-bold text-white">{result.iterations.toLocaleString()}</p>
+              <p className="text-gray-600">
+                Seed {result.seed}
+                {String(result.seed) !== seedInput && (
+                  <button
+                    onClick={() => setSeedInput(String(result.seed))}
+                    className="ml-2 text-blue-400 hover:text-blue-300"
+                    title="Fix this seed so the next run reproduces these results"
+                  >
+                    Reuse
+                  </button>
+                )}
+              </p>
+            </div>
+          </div>
+        </>
+      ) : (
+        !running && (
+          <p className="text-xs text-gray-500 text-center py-4">Run the simulation to see P5 / P50 / P95 outcomes</p>
+        )
+      )}
+    </div>
+  )
+}
+
+export default MonteCarloPanel
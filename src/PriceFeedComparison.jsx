@@ -1,142 +1,91 @@
-import React, { useState, useEffect } from 'react'
-import { fetchAllCurvePrices } from './utils/curvePools'
-import { fetchFluidGHOPrice } from './utils/fluidPools'
-
-// Price feed sources for GHO
-const PRICE_SOURCES = {
-  COINGECKO: {
-    name: 'CoinGecko',
-    type: 'Aggregated CEX',
-    icon: '🦎',
-    color: 'green',
-  },
-  CURVE_GHO_CRVUSD: {
-    name: 'Curve GHO/crvUSD',
-    type: 'On-chain DEX',
-    icon: '🌊',
-    color: 'blue',
-    poolAddress: '0x635EF0056A597D13863B73825CcA297236578595', // GHO/crvUSD pool on mainnet
-  },
-  CURVE_GHO_USDE: {
-    name: 'Curve GHO/USDe',
-    type: 'On-chain DEX',
-    icon: '🌊',
-    color: 'cyan',
-    poolAddress: '0x670a72e6d22b0956c0d2573288f82dcc5d6e3a61', // GHO/USDe pool on mainnet
-  },
-  UNISWAP_V3: {
-    name: 'Uniswap V3',
-    type: 'On-chain DEX',
-    icon: '🦄',
-    color: 'pink',
-    poolAddress: '0x...' // GHO/USDC Uniswap V3
-  },
-  BALANCER: {
-    name: 'Balancer',
-    type: 'On-chain DEX',
-    icon: '⚖️',
-    color: 'purple',
-  },
-  FLUID: {
-    name: 'Fluid Protocol',
-    type: 'Lending Market',
-    icon: '💧',
-    color: 'indigo',
-  },
-  CHAINLINK: {
-    name: 'Chainlink',
-    type: 'Oracle',
-    icon: '🔗',
-    color: 'blue',
+import React, { useState, useMemo } from 'react'
+import { calculateOracleDeviationBps } from './utils/chainlinkFeeds'
+import { SOURCE_KINDS, getPriceSources, getSourcesByKind, sourceTaskId } from './utils/priceSources'
+import { DEFAULT_ASSET_ID, getAsset } from './utils/assets'
+import { getChain } from './utils/chains'
+import { setTaskOptions } from './utils/priceStore'
+import { useSourcePrices } from './hooks/usePriceStore'
+import { useRpcHealth } from './hooks/useRpcHealth'
+import { calculateDepegStats } from './engine/sampleStats'
+import { DEPEG_THRESHOLD_BPS } from './engine/reserveModel'
+import { thresholdPriceFor } from './engine/routeRules'
+import PriceHistoryChart from './PriceHistoryChart'
+
+// TWAP windows offered for the Uniswap V3 oracle (seconds)
+const TWAP_WINDOWS = [
+  { seconds: 300, label: '5m' },
+  { seconds: 1800, label: '30m' },
+  { seconds: 3600, label: '1h' },
+  { seconds: 86400, label: '24h' },
+]
+
+// Price history ranges (the CoinGecko series covers 30 days)
+const HISTORY_RANGES = [
+  { id: '24h', label: '24h', ms: 24 * 60 * 60 * 1000 },
+  { id: '7d', label: '7d', ms: 7 * 24 * 60 * 60 * 1000 },
+  { id: '30d', label: '30d', ms: 30 * 24 * 60 * 60 * 1000 },
+]
+
+// Helper to create price data object, keeping any adapter extras (TWAP, round data, 24h change).
+// A source whose last fetch failed is an error, not one that is still loading.
+const createPriceData = (result, error, thresholdPrice) => {
+  if (!result?.price) return { ...result, price: null, status: error ? 'error' : 'loading', error, depegBps: 0 }
+  const { price } = result
+  return {
+    ...result,
+    status: price < thresholdPrice ? 'depegged' : 'pegged',
+    depegBps: price < 1.0 ? ((1.0 - price) * 10000).toFixed(1) : 0,
   }
 }
 
-function PriceFeedComparison({ historicalData = [], depegStats = null, lastUpdate = null }) {
-  const [priceData, setPriceData] = useState({})
-  const [loading, setLoading] = useState(true)
-  const [priceUpdateTime, setPriceUpdateTime] = useState(null)
-
-  // Fetch price from CoinGecko
-  const fetchCoinGeckoPrice = async () => {
-    try {
-      const response = await fetch(
-        'https://api.coingecko.com/api/v3/simple/price?ids=gho&vs_currencies=usd&include_24hr_change=true'
-      )
-      const data = await response.json()
-      return {
-        price: data.gho?.usd || null,
-        change24h: data.gho?.usd_24h_change || null,
-      }
-    } catch (error) {
-      console.error('CoinGecko fetch error:', error)
-      return { price: null, change24h: null }
-    }
-  }
+function PriceFeedComparison({
+  assetId = DEFAULT_ASSET_ID,
+  historicalData = [],
+  liveSamples = [],
+  lastUpdate = null,
+  poolSeries = [],
+  thresholdBps = DEPEG_THRESHOLD_BPS,
+}) {
+  // Shared with the Solver Metrics tab, so both views show the same prices
+  const store = useSourcePrices(assetId)
+  const health = useRpcHealth()
+  const thresholdPrice = thresholdPriceFor(thresholdBps)
+  const asset = getAsset(assetId)
+  const sources = getPriceSources(assetId)
+  const oracleSource = getSourcesByKind(assetId, SOURCE_KINDS.ORACLE)[0]
 
-  // Fetch all price sources
-  const fetchAllPrices = async () => {
-    setLoading(true)
-
-    const [coinGeckoData, curvePrices, fluidPrice] = await Promise.all([
-      fetchCoinGeckoPrice(),
-      fetchAllCurvePrices(), // Fetch Curve pool prices
-      fetchFluidGHOPrice(), // Fetch Fluid protocol price
-    ])
-
-    // Helper to create price data object
-    const createPriceData = (price) => {
-      if (!price) return { price: null, status: 'loading', depegBps: 0 }
-      return {
-        price,
-        status: price < 0.9995 ? 'depegged' : 'pegged',
-        depegBps: price < 1.0 ? ((1.0 - price) * 10000).toFixed(1) : 0,
-      }
-    }
+  const priceData = useMemo(() => Object.fromEntries(
+    getPriceSources(assetId).map(source => [source.id, createPriceData(store.results[source.id], store.errors[source.id], thresholdPrice)])
+  ), [assetId, store.results, store.errors, thresholdPrice])
 
-    setPriceData({
-      COINGECKO: {
-        price: coinGeckoData.price,
-        change24h: coinGeckoData.change24h,
-        status: coinGeckoData.price ? (coinGeckoData.price < 0.9995 ? 'depegged' : 'pegged') : 'unknown',
-        depegBps: coinGeckoData.price && coinGeckoData.price < 1.0
-          ? ((1.0 - coinGeckoData.price) * 10000).toFixed(1)
-          : 0,
-      },
-      // Curve pools - now with real on-chain data!
-      CURVE_GHO_CRVUSD: createPriceData(curvePrices.GHO_CRVUSD),
-      CURVE_GHO_USDE: createPriceData(curvePrices.GHO_USDE),
-      // Placeholders for other sources
-      UNISWAP_V3: {
-        price: null,
-        status: 'loading',
-        depegBps: 0,
-      },
-      BALANCER: {
-        price: null,
-        status: 'loading',
-        depegBps: 0,
-      },
-      FLUID: createPriceData(fluidPrice),
-      CHAINLINK: {
-        price: null,
-        status: 'loading',
-        depegBps: 0,
-      }
-    })
-
-    setPriceUpdateTime(new Date())
-    setLoading(false)
-  }
+  const priceUpdateTime = useMemo(() => {
+    const times = Object.values(store.updatedAt)
+    return times.length > 0 ? new Date(Math.max(...times)) : null
+  }, [store.updatedAt])
+
+  // Chart range and zoom; the CoinGecko depeg stats are recomputed over the visible window
+  const [rangeId, setRangeId] = useState('30d')
+  const [zoom, setZoom] = useState(null) // { from, to } dragged on the chart
+  const range = HISTORY_RANGES.find(r => r.id === rangeId)
+  const rangeTo = Date.now()
+  const rangeFrom = rangeTo - range.ms
+
+  // The range trails the clock, so a zoom is kept while it overlaps the range and clipped to it
+  const visible = zoom && zoom.to > rangeFrom && zoom.from < rangeTo
+    ? { from: Math.max(zoom.from, rangeFrom), to: Math.min(zoom.to, rangeTo), zoomed: true }
+    : { from: rangeFrom, to: rangeTo, zoomed: false }
 
-  useEffect(() => {
-    fetchAllPrices()
+  const selectRange = (id) => {
+    setRangeId(id)
+    setZoom(null)
+  }
 
-    // Refresh every 60 seconds
-    const interval = setInterval(fetchAllPrices, 60000)
-    return () => clearInterval(interval)
-  }, [])
+  const depegStats = useMemo(() => calculateDepegStats(
+    historicalData.filter(point => point.timestamp >= visible.from && point.timestamp <= visible.to)
+  ), [historicalData, visible.from, visible.to])
 
-  // depegStats now comes from props (shared with main dashboard)
+  const formatWindow = (time) => new Date(time).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+  const windowLabel = visible.zoomed ? `${formatWindow(visible.from)} – ${formatWindow(visible.to)}` : `Last ${range.label}`
 
   const formatPrice = (price) => {
     if (price === null || price === undefined) return '--'
@@ -148,6 +97,7 @@ function PriceFeedComparison({ historicalData = [], depegStats = null, lastUpdat
       case 'pegged': return 'text-green-400'
       case 'depegged': return 'text-red-400'
       case 'loading': return 'text-gray-500'
+      case 'error': return 'text-orange-400'
       default: return 'text-gray-400'
     }
   }
@@ -157,6 +107,7 @@ function PriceFeedComparison({ historicalData = [], depegStats = null, lastUpdat
       case 'pegged': return <span className="px-2 py-1 rounded text-xs bg-green-900/50 text-green-400 border border-green-700">At Peg</span>
       case 'depegged': return <span className="px-2 py-1 rounded text-xs bg-red-900/50 text-red-400 border border-red-700">Depegged</span>
       case 'loading': return <span className="px-2 py-1 rounded text-xs bg-gray-800 text-gray-500">Loading...</span>
+      case 'error': return <span className="px-2 py-1 rounded text-xs bg-orange-900/50 text-orange-400 border border-orange-700">Error</span>
       default: return <span className="px-2 py-1 rounded text-xs bg-gray-800 text-gray-500">Unknown</span>
     }
   }
@@ -166,7 +117,7 @@ function PriceFeedComparison({ historicalData = [], depegStats = null, lastUpdat
       {/* Header */}
       <div className="flex justify-between items-center">
         <div>
-          <h2 className="text-xl font-semibold mb-1">📊 GHO Price Feed Comparison</h2>
+          <h2 className="text-xl font-semibold mb-1">📊 {asset.symbol} Price Feed Comparison</h2>
           <p className="text-sm text-gray-400">
             Real-time prices from multiple sources • Track where depegs occur
           </p>
@@ -177,11 +128,41 @@ function PriceFeedComparison({ historicalData = [], depegStats = null, lastUpdat
         </div>
       </div>
 
-      {/* Historical Depeg Stats (30 days) */}
-      {depegStats && (
+      {/* Price History Chart */}
+      <div className="bg-gray-800 rounded-lg p-4 border border-gray-700">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-sm font-semibold text-gray-300">📉 Price History</h3>
+          <div className="flex gap-1">
+            {HISTORY_RANGES.map(r => (
+              <button
+                key={r.id}
+                onClick={() => selectRange(r.id)}
+                className={`px-2 py-1 rounded text-xs ${
+                  r.id === rangeId ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-400 hover:text-gray-200'
+                }`}
+              >
+                {r.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <PriceHistoryChart
+          assetId={assetId}
+          historicalData={historicalData}
+          liveSamples={liveSamples}
+          from={visible.from}
+          to={visible.to}
+          zoomed={visible.zoomed}
+          onZoomChange={setZoom}
+          thresholdPrice={thresholdPrice}
+        />
+      </div>
+
+      {/* Historical Depeg Stats (selected range) */}
+      {historicalData.length > 0 && (
         <div className="bg-gray-800 rounded-lg p-4 border border-gray-700">
           <h3 className="text-sm font-semibold text-yellow-300 mb-3">
-            📈 Historical Depeg Analysis (Last 30 Days - CoinGecko Data)
+            📈 Historical Depeg Analysis ({windowLabel} - CoinGecko Data)
           </h3>
           <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
             <div>
@@ -208,20 +189,57 @@ function PriceFeedComparison({ historicalData = [], depegStats = null, lastUpdat
         </div>
       )}
 
+      {/* Per-pool depeg stats from the collector's on-chain backfill */}
+      {poolSeries.length > 0 && (
+        <div className="bg-gray-800 rounded-lg p-4 border border-gray-700">
+          <h3 className="text-sm font-semibold text-yellow-300 mb-3">
+            ⛓️ On-Chain Pool History (Backfilled Hourly Samples)
+          </h3>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-gray-400 border-b border-gray-700">
+                <th className="text-left py-2">Pool</th>
+                <th className="text-right py-2">Hours</th>
+                <th className="text-right py-2">Depeg Time %</th>
+                <th className="text-right py-2">Avg Depeg Spread</th>
+                <th className="text-right py-2">Max Depeg Spread</th>
+              </tr>
+            </thead>
+            <tbody>
+              {poolSeries.map(entry => (
+                <tr key={entry.id} className="border-b border-gray-700/50">
+                  <td className="py-2">{entry.name}</td>
+                  <td className="text-right py-2 text-gray-400">{entry.depegStats.totalHours}</td>
+                  <td className="text-right py-2 text-yellow-400">{entry.depegStats.depegPercent.toFixed(1)}%</td>
+                  <td className="text-right py-2 text-orange-400">{entry.depegStats.avgDepegBps.toFixed(1)} bps</td>
+                  <td className="text-right py-2 text-red-400">{entry.depegStats.maxDepegBps.toFixed(1)} bps</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
       {/* Price Feed Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
-        {Object.entries(PRICE_SOURCES).map(([key, source]) => {
-          const data = priceData[key] || {}
-          const isImplemented = ['COINGECKO', 'CURVE_GHO_CRVUSD', 'CURVE_GHO_USDE', 'FLUID'].includes(key)
+        {sources.map(source => {
+          const data = priceData[source.id] || {}
+          const oracleData = oracleSource ? priceData[oracleSource.id] : null
+          const oracleDeviationBps = source.kind === SOURCE_KINDS.DEX
+            ? calculateOracleDeviationBps(data.price, oracleData?.price)
+            : null
+          const isImplemented = Boolean(source.fetchPrice)
 
           return (
             <div
-              key={key}
+              key={source.id}
               className={`bg-gray-800 rounded-lg p-4 border ${
                 data.status === 'depegged'
                   ? 'border-red-500/50'
                   : data.status === 'pegged'
                   ? 'border-green-500/50'
+                  : data.status === 'error'
+                  ? 'border-orange-500/50'
                   : 'border-gray-700'
               } ${!isImplemented ? 'opacity-50' : ''}`}
             >
@@ -244,6 +262,16 @@ function PriceFeedComparison({ historicalData = [], depegStats = null, lastUpdat
                   </p>
                 </div>
 
+                {data.status === 'error' && (
+                  <p className="text-xs text-orange-400 break-words" title={data.error}>⚠️ {data.error}</p>
+                )}
+
+                {source.chainId && health.servedBy[source.chainId] && (
+                  <p className="text-xs text-gray-500">
+                    Last RPC used on {getChain(source.chainId).name}: {health.endpoints[health.servedBy[source.chainId]]?.label}
+                  </p>
+                )}
+
                 {data.change24h !== undefined && data.change24h !== null && (
                   <div>
                     <p className="text-xs text-gray-400">24h Change</p>
@@ -253,6 +281,50 @@ function PriceFeedComparison({ historicalData = [], depegStats = null, lastUpdat
                   </div>
                 )}
 
+                {data.twapWindowSeconds !== undefined && (
+                  <div>
+                    <div className="flex items-center justify-between">
+                      <p className="text-xs text-gray-400">TWAP</p>
+                      <select
+                        value={data.twapWindowSeconds}
+                        onChange={(e) => setTaskOptions(sourceTaskId(assetId, source.id), { twapWindowSeconds: Number(e.target.value) })}
+                        className="bg-gray-700 rounded px-1 text-xs"
+                      >
+                        {TWAP_WINDOWS.map(w => (
+                          <option key={w.seconds} value={w.seconds}>{w.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    {data.twapError ? (
+                      <p className="text-xs text-orange-400 break-words" title={data.twapError}>⚠️ {data.twapError}</p>
+                    ) : (
+                      <p className={`text-sm font-semibold ${data.twap !== null && data.twap < thresholdPrice ? 'text-red-400' : 'text-gray-300'}`}>
+                        {data.twap === null && data.price !== null ? 'Window exceeds pool history' : formatPrice(data.twap)}
+                      </p>
+                    )}
+                  </div>
+                )}
+
+                {source.kind === SOURCE_KINDS.ORACLE && data.updatedAt && (
+                  <div>
+                    <p className="text-xs text-gray-400">Round {data.roundId}</p>
+                    <p className={`text-sm font-semibold ${data.isStale ? 'text-orange-400' : 'text-gray-300'}`}>
+                      Updated {data.updatedAt.toLocaleString()}
+                      {data.isStale && ` • Stale (> ${data.heartbeatSeconds / 3600}h heartbeat)`}
+                    </p>
+                  </div>
+                )}
+
+                {oracleDeviationBps !== null && (
+                  <div>
+                    <p className="text-xs text-gray-400">vs Chainlink Oracle</p>
+                    <p className={`text-sm font-semibold ${Math.abs(oracleDeviationBps) >= thresholdBps ? 'text-yellow-400' : 'text-gray-300'}`}>
+                      {oracleDeviationBps >= 0 ? '+' : ''}{oracleDeviationBps.toFixed(1)} bps
+                      {oracleData?.isStale && <span className="text-orange-400"> (stale oracle)</span>}
+                    </p>
+                  </div>
+                )}
+
                 {data.depegBps > 0 && (
                   <div className="mt-2 pt-2 border-t border-gray-700">
                     <p className="text-xs text-gray-400">Depeg Spread</p>
@@ -305,20 +377,24 @@ function PriceFeedComparison({ historicalData = [], depegStats = null, lastUpdat
             <span className="text-gray-400">Curve GHO/USDe pool (on-chain via Alchemy)</span>
           </div>
           <div className="flex items-center gap-2">
-            <span className="text-yellow-400">⏳</span>
-            <span className="text-gray-400">Uniswap V3 TWAP oracle</span>
+            <span className="text-green-400">✓</span>
+            <span className="text-gray-400">Uniswap V3 GHO/USDC spot + TWAP (on-chain via Alchemy)</span>
           </div>
           <div className="flex items-center gap-2">
             <span className="text-green-400">✓</span>
             <span className="text-gray-400">Fluid protocol oracle (on-chain via Alchemy)</span>
           </div>
           <div className="flex items-center gap-2">
-            <span className="text-yellow-400">⏳</span>
-            <span className="text-gray-400">Balancer pool price</span>
+            <span className="text-green-400">✓</span>
+            <span className="text-gray-400">Balancer GHO/USDC/USDT Vault quote (on-chain via Alchemy)</span>
           </div>
           <div className="flex items-center gap-2">
-            <span className="text-yellow-400">⏳</span>
-            <span className="text-gray-400">Chainlink price feed</span>
+            <span className="text-green-400">✓</span>
+            <span className="text-gray-400">Chainlink GHO/USD oracle with staleness check (on-chain via Alchemy)</span>
+          </div>
+          <div className="flex items-center gap-2">
+            <span className="text-green-400">✓</span>
+            <span className="text-gray-400">USDe, crvUSD and FRAX: CoinGecko, Curve pools and Chainlink oracles</span>
           </div>
         </div>
       </div>
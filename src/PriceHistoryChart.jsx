@@ -0,0 +1,281 @@
+import React, { useState, useMemo, useRef } from 'react'
+import { SOURCE_KINDS, getPriceSources } from './utils/priceSources'
+
+// Chart geometry (SVG viewBox 1000 × 300)
+const X_START = 60
+const X_WIDTH = 900
+const Y_TOP = 20
+const Y_HEIGHT = 240
+
+const HOUR_MS = 60 * 60 * 1000
+const LIVE_GAP_MS = 5 * 60 * 1000 // Live samples are per minute; a longer gap means the page was closed
+const MIN_ZOOM_MS = 15 * 60 * 1000
+
+// Tailwind 400 shades for the registry's color names
+const STROKE_COLORS = {
+  green: '#4ade80',
+  blue: '#60a5fa',
+  cyan: '#22d3ee',
+  pink: '#f472b6',
+  purple: '#c084fc',
+  indigo: '#818cf8',
+  sky: '#38bdf8',
+  teal: '#2dd4bf',
+}
+
+// Index of the point nearest to a timestamp (points sorted by timestamp)
+const nearestIndex = (points, timestamp) => {
+  let low = 0
+  let high = points.length - 1
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2)
+    if (points[middle].timestamp <= timestamp) low = middle
+    else high = middle
+  }
+  return Math.abs(points[high].timestamp - timestamp) < Math.abs(points[low].timestamp - timestamp) ? high : low
+}
+
+const formatAxisTime = (timestamp, spanMs) => new Date(timestamp).toLocaleString([], spanMs > 2 * 24 * HOUR_MS
+  ? { month: 'short', day: 'numeric' }
+  : { hour: '2-digit', minute: '2-digit' })
+
+/**
+ * Time-series chart of the CoinGecko hourly series with live per-source
+ * samples overlaid. Drag across the chart to zoom; hover for a crosshair.
+ * The zoom is owned by the parent, so stats beside the chart can follow the visible window.
+ * @param {Object} props
+ * @param {string} props.assetId - Asset whose live sources are overlaid
+ * @param {Object[]} props.historicalData - CoinGecko hourly points
+ * @param {Object[]} props.liveSamples - { timestamp, prices } samples from the live price store
+ * @param {number} props.from - Start of the visible window (epoch ms)
+ * @param {number} props.to - End of the visible window (epoch ms)
+ * @param {boolean} [props.zoomed] - Whether the window is a zoom inside the selected range
+ * @param {function(Object|null): void} props.onZoomChange - Called with { from, to } on drag, null on reset
+ * @param {number} props.thresholdPrice - Depeg threshold drawn as a line
+ */
+function PriceHistoryChart({ assetId, historicalData, liveSamples, from, to, zoomed = false, onZoomChange, thresholdPrice }) {
+  const svgRef = useRef(null)
+  const [drag, setDrag] = useState(null) // { startX, currentX } in viewBox units
+  const [hoverX, setHoverX] = useState(null)
+  const [hiddenSeries, setHiddenSeries] = useState({})
+
+  const domain = { from, to }
+  const span = domain.to - domain.from
+
+  const series = useMemo(() => [
+    {
+      id: 'COINGECKO',
+      name: 'CoinGecko (hourly)',
+      color: '#facc15',
+      width: 2,
+      gapMs: 2 * HOUR_MS,
+      points: historicalData.map(point => ({ timestamp: point.timestamp, price: point.price })),
+    },
+    // Live samples are tracked for every source except the oracle reference
+    ...getPriceSources(assetId).filter(source => source.kind !== SOURCE_KINDS.ORACLE).map(source => ({
+      id: source.id,
+      name: source.name,
+      color: STROKE_COLORS[source.color] ?? '#9ca3af',
+      width: 1.25,
+      gapMs: LIVE_GAP_MS,
+      points: liveSamples
+        .filter(sample => sample.prices[source.id] !== null && sample.prices[source.id] !== undefined)
+        .map(sample => ({ timestamp: sample.timestamp, price: sample.prices[source.id] })),
+    })),
+  ], [assetId, historicalData, liveSamples])
+
+  const visibleSeries = series
+    .filter(entry => !hiddenSeries[entry.id])
+    .map(entry => ({
+      ...entry,
+      points: entry.points.filter(point => point.timestamp >= domain.from && point.timestamp <= domain.to),
+    }))
+    .filter(entry => entry.points.length > 0)
+
+  // Price axis covers every visible point plus the threshold, at least 10 bps tall
+  const visiblePrices = visibleSeries.flatMap(entry => entry.points.map(point => point.price))
+  const minPrice = Math.min(thresholdPrice, ...visiblePrices)
+  const maxPrice = Math.max(thresholdPrice + 0.001, ...visiblePrices)
+  const pad = (maxPrice - minPrice) * 0.1
+  const yMin = minPrice - pad
+  const yMax = maxPrice + pad
+
+  const timeToX = (timestamp) => X_START + ((timestamp - domain.from) / span) * X_WIDTH
+  const xToTime = (x) => domain.from + ((x - X_START) / X_WIDTH) * span
+  const priceToY = (price) => Y_TOP + ((yMax - price) / (yMax - yMin)) * Y_HEIGHT
+
+  const linePath = (entry) => entry.points
+    .map((point, i) => {
+      const gap = i > 0 && point.timestamp - entry.points[i - 1].timestamp > entry.gapMs
+      return `${i === 0 || gap ? 'M' : 'L'} ${timeToX(point.timestamp)},${priceToY(point.price)}`
+    })
+    .join(' ')
+
+  // Shade the hours where the CoinGecko series is below the threshold
+  const depegRegions = (visibleSeries.find(entry => entry.id === 'COINGECKO')?.points ?? [])
+    .filter(point => point.price < thresholdPrice)
+    .map(point => ({
+      x: timeToX(point.timestamp),
+      width: Math.max(1, (HOUR_MS / span) * X_WIDTH),
+    }))
+
+  // Map the pointer into viewBox units (the SVG is letterboxed to keep its aspect ratio)
+  const toViewX = (event) => {
+    const svg = svgRef.current
+    const point = svg.createSVGPoint()
+    point.x = event.clientX
+    point.y = event.clientY
+    const { x } = point.matrixTransform(svg.getScreenCTM().inverse())
+    return Math.min(X_START + X_WIDTH, Math.max(X_START, x))
+  }
+
+  const handleMouseUp = () => {
+    if (drag) {
+      const start = xToTime(Math.min(drag.startX, drag.currentX))
+      const end = xToTime(Math.max(drag.startX, drag.currentX))
+      if (end - start >= MIN_ZOOM_MS) onZoomChange({ from: start, to: end })
+    }
+    setDrag(null)
+  }
+
+  // Crosshair readout: nearest point of each visible series
+  const hoverTime = hoverX !== null ? xToTime(hoverX) : null
+  const hoverValues = hoverTime === null ? [] : visibleSeries
+    .map(entry => {
+      const point = entry.points[nearestIndex(entry.points, hoverTime)]
+      return Math.abs(point.timestamp - hoverTime) <= entry.gapMs ? { entry, point } : null
+    })
+    .filter(Boolean)
+
+  const priceTicks = [0, 0.25, 0.5, 0.75, 1].map(fraction => yMax - fraction * (yMax - yMin))
+  const timeTicks = [0, 0.25, 0.5, 0.75, 1].map(fraction => domain.from + fraction * span)
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-3 mb-2">
+        {series.map(entry => (
+          <button
+            key={entry.id}
+            onClick={() => setHiddenSeries(prev => ({ ...prev, [entry.id]: !prev[entry.id] }))}
+            className={`flex items-center gap-1 text-xs ${hiddenSeries[entry.id] ? 'text-gray-600' : 'text-gray-300'}`}
+            title={entry.points.length === 0 ? 'No samples yet' : 'Show / hide'}
+          >
+            <span className="inline-block w-3 h-0.5" style={{ backgroundColor: entry.color }} />
+            {entry.name}
+          </button>
+        ))}
+        {zoomed && (
+          <button onClick={() => onZoomChange(null)} className="ml-auto text-xs text-blue-400 hover:text-blue-300">
+            Reset zoom
+          </button>
+        )}
+      </div>
+
+      <div className="relative bg-gray-900/50 rounded-lg p-2 border border-gray-700">
+        <svg
+          ref={svgRef}
+          viewBox="0 0 1000 300"
+          className="w-full select-none cursor-crosshair"
+          style={{ height: '300px' }}
+          onMouseDown={(e) => {
+            const x = toViewX(e)
+            setDrag({ startX: x, currentX: x })
+          }}
+          onMouseMove={(e) => {
+            const x = toViewX(e)
+            setHoverX(x)
+            if (drag) setDrag({ ...drag, currentX: x })
+          }}
+          onMouseUp={handleMouseUp}
+          onMouseLeave={() => {
+            setHoverX(null)
+            setDrag(null)
+          }}
+        >
+          {/* Depeg regions */}
+          {depegRegions.map((region, i) => (
+            <rect key={i} x={region.x} y={Y_TOP} width={region.width} height={Y_HEIGHT} fill="rgba(239, 68, 68, 0.12)" />
+          ))}
+
+          {/* Grid lines */}
+          {priceTicks.map(price => (
+            <g key={price}>
+              <line x1={X_START} y1={priceToY(price)} x2={X_START + X_WIDTH} y2={priceToY(price)} stroke="#374151" strokeWidth="1" />
+              <text x={X_START - 5} y={priceToY(price) + 4} textAnchor="end" fill="#9ca3af" fontSize="11">
+                ${price.toFixed(4)}
+              </text>
+            </g>
+          ))}
+          {timeTicks.map(timestamp => (
+            <text key={timestamp} x={timeToX(timestamp)} y={Y_TOP + Y_HEIGHT + 20} textAnchor="middle" fill="#9ca3af" fontSize="11">
+              {formatAxisTime(timestamp, span)}
+            </text>
+          ))}
+
+          {/* Threshold */}
+          <line
+            x1={X_START}
+            y1={priceToY(thresholdPrice)}
+            x2={X_START + X_WIDTH}
+            y2={priceToY(thresholdPrice)}
+            stroke="#ef4444"
+            strokeWidth="1"
+            strokeDasharray="6,4"
+          />
+          <text x={X_START + X_WIDTH} y={priceToY(thresholdPrice) - 4} textAnchor="end" fill="#ef4444" fontSize="11">
+            Threshold ${thresholdPrice.toFixed(4)}
+          </text>
+
+          {/* Series */}
+          {visibleSeries.map(entry => (
+            <path key={entry.id} d={linePath(entry)} fill="none" stroke={entry.color} strokeWidth={entry.width} vectorEffect="non-scaling-stroke" />
+          ))}
+
+          {/* Zoom selection */}
+          {drag && Math.abs(drag.currentX - drag.startX) > 2 && (
+            <rect
+              x={Math.min(drag.startX, drag.currentX)}
+              y={Y_TOP}
+              width={Math.abs(drag.currentX - drag.startX)}
+              height={Y_HEIGHT}
+              fill="rgba(96, 165, 250, 0.15)"
+              stroke="#60a5fa"
+              strokeWidth="1"
+            />
+          )}
+
+          {/* Crosshair */}
+          {hoverX !== null && !drag && (
+            <g>
+              <line x1={hoverX} y1={Y_TOP} x2={hoverX} y2={Y_TOP + Y_HEIGHT} stroke="#9ca3af" strokeWidth="1" strokeDasharray="3,3" />
+              {hoverValues.map(({ entry, point }) => (
+                <circle key={entry.id} cx={timeToX(point.timestamp)} cy={priceToY(point.price)} r="3" fill={entry.color} />
+              ))}
+            </g>
+          )}
+        </svg>
+
+        {hoverTime !== null && !drag && (
+          <div
+            className="absolute top-2 pointer-events-none bg-gray-900/95 border border-gray-700 rounded px-2 py-1 text-xs"
+            style={hoverX > X_START + X_WIDTH / 2 ? { left: '1rem' } : { right: '1rem' }}
+          >
+            <p className="text-gray-400 mb-1">{new Date(hoverTime).toLocaleString()}</p>
+            {hoverValues.length === 0 && <p className="text-gray-500">No samples here</p>}
+            {hoverValues.map(({ entry, point }) => (
+              <p key={entry.id} className="flex justify-between gap-3">
+                <span style={{ color: entry.color }}>{entry.name}</span>
+                <span className={point.price < thresholdPrice ? 'text-red-400' : 'text-gray-200'}>${point.price.toFixed(4)}</span>
+              </p>
+            ))}
+          </div>
+        )}
+      </div>
+      <p className="text-xs text-gray-500 mt-1">
+        Shaded: CoinGecko hours below threshold • Drag to zoom • Click a legend entry to hide it
+      </p>
+    </div>
+  )
+}
+
+export default PriceHistoryChart
@@ -0,0 +1,134 @@
+import React, { useState } from 'react'
+import { DEFAULT_ROUTE_RULE, describeRouteRule, thresholdPriceFor } from './engine/routeRules'
+import { formatPercent } from './utils/format'
+import { SCENARIO_PARAMS, clampParam } from './utils/scenario'
+
+/**
+ * Depeg threshold and route-open rule shared by every tab
+ * @param {Object} props
+ * @param {import('./engine/routeRules').RouteRule} props.rule - Current rule
+ * @param {Function} props.onChange - Called with the changed fields
+ * @param {number} props.poolCount - DEX pools monitored
+ * @param {Object} props.route - Live route state from useMultiSourcePrices (aggregated.route)
+ */
+function RouteRuleEditor({ rule, onChange, poolCount, route }) {
+  const [expanded, setExpanded] = useState(false)
+  const isDefault = Object.keys(DEFAULT_ROUTE_RULE).every(key => rule[key] === DEFAULT_ROUTE_RULE[key])
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 mb-6">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="font-semibold flex items-center gap-2">
+          🚦 Route-Open Rule
+          <span className="text-xs text-gray-400 font-normal">({describeRouteRule(rule, poolCount)})</span>
+        </h2>
+        <div className="flex items-center gap-3">
+          <span className={`text-xs font-semibold ${route.isOpen ? 'text-green-400' : 'text-gray-400'}`}>
+            {route.isOpen ? '● Route open' : '○ Route closed'}
+            {route.signal !== route.isOpen && (
+              <span className="text-yellow-400 font-normal"> (signal {route.signal ? 'on' : 'off'}, waiting on delay)</span>
+            )}
+          </span>
+          <button
+            onClick={() => setExpanded(!expanded)}
+            className="text-xs text-blue-400 hover:text-blue-300"
+          >
+            {expanded ? 'Hide' : 'Edit'}
+          </button>
+        </div>
+      </div>
+
+      {expanded && (
+        <div className="mt-4">
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+            <div>
+              <label className="block text-sm text-gray-400 mb-1">Depeg Threshold (bps)</label>
+              <input
+                type="number"
+                value={rule.depegThresholdBps}
+                onChange={(e) => onChange({ depegThresholdBps: clampParam('depegThresholdBps', e.target.value) })}
+                className="w-full bg-gray-700 rounded px-3 py-2 text-sm"
+                min={SCENARIO_PARAMS.depegThresholdBps.min}
+                max={SCENARIO_PARAMS.depegThresholdBps.max}
+                step="0.5"
+              />
+              <p className="text-xs text-gray-500 mt-1">Below ${thresholdPriceFor(rule.depegThresholdBps).toFixed(4)}</p>
+            </div>
+            <div>
+              <label className="block text-sm text-gray-400 mb-1">Pools Required</label>
+              <select
+                value={poolCount > 0 ? Math.min(rule.routeMinPools, poolCount) : ''}
+                onChange={(e) => onChange({ routeMinPools: clampParam('routeMinPools', e.target.value) })}
+                disabled={poolCount === 0}
+                className="w-full bg-gray-700 rounded px-3 py-2 text-sm disabled:opacity-50"
+              >
+                {poolCount === 0 && <option value="">No pools</option>}
+                {Array.from({ length: poolCount }, (_, i) => i + 1).map(n => (
+                  <option key={n} value={n}>{n === 1 ? 'Any pool' : `${n} of ${poolCount} pools`}</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                {poolCount === 0 ? 'No DEX pools monitored for this asset' : `${route.depeggedPools} depegged now`}
+              </p>
+            </div>
+            <div>
+              <label className="block text-sm text-gray-400 mb-1">Oracle Confirmation</label>
+              <label className="flex items-center gap-2 py-2 text-sm text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={Boolean(rule.routeRequireOracle)}
+                  onChange={(e) => onChange({ routeRequireOracle: e.target.checked ? 1 : 0 })}
+                />
+                Chainlink below threshold
+              </label>
+              <p className="text-xs text-gray-500 mt-1">Ignores pool-local imbalances</p>
+            </div>
+            <div>
+              <label className="block text-sm text-gray-400 mb-1">Open After (min)</label>
+              <input
+                type="number"
+                value={rule.routeOpenAfterMinutes}
+                onChange={(e) => onChange({ routeOpenAfterMinutes: clampParam('routeOpenAfterMinutes', e.target.value) })}
+                className="w-full bg-gray-700 rounded px-3 py-2 text-sm"
+                min={SCENARIO_PARAMS.routeOpenAfterMinutes.min}
+                max={SCENARIO_PARAMS.routeOpenAfterMinutes.max}
+                step="5"
+              />
+              <p className="text-xs text-gray-500 mt-1">Signal must hold this long</p>
+            </div>
+            <div>
+              <label className="block text-sm text-gray-400 mb-1">Close After (min)</label>
+              <input
+                type="number"
+                value={rule.routeCloseAfterMinutes}
+                onChange={(e) => onChange({ routeCloseAfterMinutes: clampParam('routeCloseAfterMinutes', e.target.value) })}
+                className="w-full bg-gray-700 rounded px-3 py-2 text-sm"
+                min={SCENARIO_PARAMS.routeCloseAfterMinutes.min}
+                max={SCENARIO_PARAMS.routeCloseAfterMinutes.max}
+                step="5"
+              />
+              <p className="text-xs text-gray-500 mt-1">Back at peg this long</p>
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center justify-between gap-2 mt-3 text-xs text-gray-500">
+            <span>
+              Route open {formatPercent(route.openPercent)} of recorded time under this rule.
+              Single-price series (CoinGecko, backfills) can't check pool counts or the oracle, so they use the threshold (and the delays in the backtest).
+            </span>
+            {!isDefault && (
+              <button
+                onClick={() => onChange(DEFAULT_ROUTE_RULE)}
+                className="text-blue-400 hover:text-blue-300"
+              >
+                Reset to default
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RouteRuleEditor
@@ -0,0 +1,105 @@
+import React from 'react'
+import { CHAINS, getRpcConfig } from './utils/chains'
+import { useRpcHealth } from './hooks/useRpcHealth'
+
+// Recent samples listed with the last endpoint used on each chain when they were taken
+const RECENT_SAMPLE_COUNT = 8
+
+const formatLatency = (ms) => (ms === null || ms === undefined ? '--' : `${Math.round(ms)} ms`)
+
+/**
+ * Per-endpoint RPC health: fallback order, latency, failures and the last error, plus
+ * the last endpoint used on each chain when each recent sample was taken
+ * @param {Object} props
+ * @param {Object[]} [props.liveSamples] - Samples from useMultiSourcePrices ({ timestamp, prices, endpoints })
+ */
+function RpcHealthPanel({ liveSamples = [] }) {
+  const health = useRpcHealth()
+  const endpoints = Object.values(health.endpoints)
+  const recentSamples = liveSamples.filter(sample => sample.endpoints).slice(-RECENT_SAMPLE_COUNT).reverse()
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 border border-gray-700">
+      <h3 className="text-sm font-semibold text-gray-300 mb-1">🩺 RPC Health</h3>
+      <p className="text-xs text-gray-400 mb-3">
+        Endpoints are tried in order; a timeout or error moves on to the next, and the whole list is retried with backoff.
+      </p>
+
+      {endpoints.length === 0 ? (
+        <p className="text-xs text-gray-500">No RPC requests yet</p>
+      ) : (
+        <table className="w-full text-sm mb-4">
+          <thead>
+            <tr className="text-xs text-gray-400 border-b border-gray-700">
+              <th className="text-left py-2">Chain</th>
+              <th className="text-left py-2">Endpoint</th>
+              <th className="text-right py-2">Requests</th>
+              <th className="text-right py-2">Failures</th>
+              <th className="text-right py-2">Last Latency</th>
+              <th className="text-right py-2">Avg Latency</th>
+              <th className="text-left py-2 pl-4">Last Error</th>
+            </tr>
+          </thead>
+          <tbody>
+            {CHAINS.flatMap(chain => endpoints
+              .filter(endpoint => endpoint.chainId === chain.id)
+              .sort((a, b) => a.rank - b.rank)
+              .map(endpoint => {
+                const isLastUsed = health.servedBy[chain.id] === endpoint.url
+                const isFailing = endpoint.lastErrorAt && (!endpoint.lastSuccessAt || endpoint.lastErrorAt > endpoint.lastSuccessAt)
+                return (
+                  <tr key={endpoint.url} className="border-b border-gray-700/50">
+                    <td className="py-2 text-gray-400">{chain.name}</td>
+                    <td className="py-2">
+                      <span className={isFailing ? 'text-orange-400' : 'text-gray-300'}>
+                        {endpoint.rank + 1}. {endpoint.label}
+                      </span>
+                      {isLastUsed && <span className="ml-2 text-xs text-green-400">last used</span>}
+                      {endpoint.rank === 0 && !getRpcConfig(chain.id).configured && (
+                        <span className="ml-2 text-xs text-gray-500">public (set {chain.rpcEnvVar})</span>
+                      )}
+                    </td>
+                    <td className="text-right py-2 text-gray-400">{endpoint.requests}</td>
+                    <td className={`text-right py-2 ${endpoint.failures > 0 ? 'text-orange-400' : 'text-gray-400'}`}>{endpoint.failures}</td>
+                    <td className="text-right py-2 text-gray-300">{formatLatency(endpoint.lastLatencyMs)}</td>
+                    <td className="text-right py-2 text-gray-300">{formatLatency(endpoint.avgLatencyMs)}</td>
+                    <td className="py-2 pl-4 text-xs text-orange-400 max-w-xs truncate" title={endpoint.lastError ?? undefined}>
+                      {endpoint.lastError
+                        ? `${endpoint.lastErrorAt.toLocaleTimeString()} ${endpoint.lastError}`
+                        : <span className="text-gray-500">--</span>}
+                    </td>
+                  </tr>
+                )
+              }))}
+          </tbody>
+        </table>
+      )}
+
+      {recentSamples.length > 0 && (
+        <>
+          <h4 className="text-xs font-semibold text-gray-400 mb-2">Last endpoint used on each chain at recent samples</h4>
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-gray-500 border-b border-gray-700">
+                <th className="text-left py-1">Sample</th>
+                {CHAINS.map(chain => <th key={chain.id} className="text-left py-1">{chain.name}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {recentSamples.map(sample => (
+                <tr key={sample.timestamp} className="border-b border-gray-700/50">
+                  <td className="py-1 text-gray-400">{new Date(sample.timestamp).toLocaleTimeString()}</td>
+                  {CHAINS.map(chain => (
+                    <td key={chain.id} className="py-1 text-gray-300">{sample.endpoints[chain.id] ?? '--'}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default RpcHealthPanel
@@ -0,0 +1,103 @@
+import React, { useMemo } from 'react'
+import { calculateReserveMetrics } from './engine/reserveModel'
+import { formatCurrency, formatPercent } from './utils/format'
+import { getAsset } from './utils/assets'
+
+// Metrics compared across scenarios; higher is better for all of them
+const COMPARED_METRICS = [
+  { key: 'dailyCapacity', label: 'Daily Capacity', format: formatCurrency },
+  { key: 'maxSingleSwap', label: 'Max Single Swap', format: formatCurrency },
+  { key: 'volumeCoverage', label: 'Volume Coverage', format: formatPercent },
+  { key: 'maxDailyFees', label: 'Max Daily Fees', format: formatCurrency },
+  { key: 'dailySolverIOUs', label: 'Solver Daily IOUs', format: formatCurrency },
+]
+
+const PARAM_ROWS = [
+  { key: 'asset', label: 'Asset', format: (v) => getAsset(v).symbol },
+  { key: 'tvl', label: 'TVL', format: formatCurrency },
+  { key: 'usdcWeight', label: 'USDC Weight', format: (v) => `${v}%` },
+  { key: 'rebalanceCyclesPerDay', label: 'Rebalances/Day', format: (v) => `${v}` },
+  { key: 'rebalanceEfficiency', label: 'Efficiency', format: (v) => `${v}%` },
+  { key: 'solverShareOfFees', label: 'Solver Share', format: (v) => `${v}%` },
+  { key: 'actualDailyVolume', label: 'Daily Volume', format: formatCurrency },
+  { key: 'depegThresholdBps', label: 'Depeg Threshold', format: (v) => `${v} bps` },
+  { key: 'routeMinPools', label: 'Pools to Open', format: (v) => (v <= 1 ? 'Any' : `${v}`) },
+]
+
+/**
+ * Side-by-side metrics for 2-4 scenarios; deltas are relative to the first column
+ */
+function ScenarioComparison({ scenarios, marketParams }) {
+  const columns = useMemo(() => scenarios.map(scenario => ({
+    ...scenario,
+    metrics: calculateReserveMetrics({
+      ...scenario.params,
+      ...marketParams,
+      dailyVolume: scenario.params.actualDailyVolume,
+    }),
+  })), [scenarios, marketParams])
+
+  const baseline = columns[0]
+
+  const renderDelta = (value, baseValue) => {
+    if (baseValue === value) return null
+    const delta = baseValue !== 0 ? ((value - baseValue) / Math.abs(baseValue)) * 100 : null
+    const positive = value > baseValue
+    return (
+      <span className={`block text-xs ${positive ? 'text-green-400' : 'text-red-400'}`}>
+        {positive ? '▲' : '▼'} {delta !== null ? `${Math.abs(delta).toFixed(1)}%` : 'new'}
+      </span>
+    )
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="border-b border-gray-700">
+            <th className="text-left py-2 px-2 text-gray-400"></th>
+            {columns.map((column, i) => (
+              <th key={column.id} className="text-right py-2 px-2 text-gray-300">
+                {column.name}
+                {i === 0 && <span className="block text-gray-500 font-normal">baseline</span>}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {PARAM_ROWS.map(row => (
+            <tr key={row.key} className="border-b border-gray-700/50">
+              <td className="py-1 px-2 text-gray-500">{row.label}</td>
+              {columns.map(column => (
+                <td
+                  key={column.id}
+                  className={`text-right py-1 px-2 ${
+                    column.params[row.key] !== baseline.params[row.key] ? 'text-blue-300' : 'text-gray-500'
+                  }`}
+                >
+                  {row.format(column.params[row.key])}
+                </td>
+              ))}
+            </tr>
+          ))}
+          {COMPARED_METRICS.map(row => (
+            <tr key={row.key} className="border-b border-gray-700/50">
+              <td className="py-2 px-2 text-gray-300 font-medium">{row.label}</td>
+              {columns.map((column, i) => (
+                <td key={column.id} className="text-right py-2 px-2">
+                  <span className="font-semibold">{row.format(column.metrics[row.key])}</span>
+                  {i > 0 && renderDelta(column.metrics[row.key], baseline.metrics[row.key])}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-500 mt-2">
+        All scenarios are for the current asset and use its live market spread and route-open time
+      </p>
+    </div>
+  )
+}
+
+export default ScenarioComparison
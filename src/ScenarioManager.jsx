@@ -0,0 +1,132 @@
+import React, { useState } from 'react'
+import ScenarioComparison from './ScenarioComparison'
+import { useScenarioLibrary } from './hooks/useScenarioLibrary'
+import { formatCurrency } from './utils/format'
+import { getAsset } from './utils/assets'
+
+// Comparison view supports this many columns
+const MAX_COMPARED = 4
+
+function ScenarioManager({ currentParams, onLoad, marketParams }) {
+  const { scenarios, save, update, rename, remove, duplicate } = useScenarioLibrary()
+  const [newName, setNewName] = useState('')
+  const [editingId, setEditingId] = useState(null)
+  const [editingName, setEditingName] = useState('')
+  const [comparedIds, setComparedIds] = useState([])
+
+  const handleSave = () => {
+    save(newName, currentParams)
+    setNewName('')
+  }
+
+  const startRename = (scenario) => {
+    setEditingId(scenario.id)
+    setEditingName(scenario.name)
+  }
+
+  const commitRename = () => {
+    rename(editingId, editingName)
+    setEditingId(null)
+  }
+
+  const handleDelete = (id) => {
+    remove(id)
+    setComparedIds(prev => prev.filter(c => c !== id))
+  }
+
+  // Market inputs are live for the current asset only, so other assets' scenarios can't be compared
+  const isComparable = (scenario) => scenario.params.asset === currentParams.asset
+
+  // Keep the order in which scenarios were ticked; first one is the baseline
+  const compared = comparedIds
+    .map(id => scenarios.find(s => s.id === id))
+    .filter(scenario => scenario && isComparable(scenario))
+  const isCompared = (id) => compared.some(s => s.id === id)
+
+  // Ticks left over from another asset are dropped on the next toggle
+  const toggleCompared = (id) => {
+    const current = compared.map(s => s.id)
+    if (current.includes(id)) return setComparedIds(current.filter(c => c !== id))
+    if (current.length >= MAX_COMPARED) return
+    setComparedIds([...current, id])
+  }
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 mb-6">
+      <h2 className="font-semibold mb-4 flex items-center gap-2">
+        🗂️ Scenario Library
+        <span className="text-xs text-gray-400 font-normal">(Saved in this browser • tick 2-4 of the current asset to compare)</span>
+      </h2>
+
+      <div className="flex gap-2 mb-4">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+          placeholder="Name this scenario (e.g. Target TVL after LP raise)"
+          className="flex-1 bg-gray-700 rounded px-3 py-2 text-sm"
+        />
+        <button
+          onClick={handleSave}
+          className="px-4 py-2 rounded bg-blue-600 hover:bg-blue-500 text-sm font-medium"
+        >
+          Save Current
+        </button>
+      </div>
+
+      {scenarios.length === 0 ? (
+        <p className="text-xs text-gray-500 text-center py-2">No saved scenarios yet</p>
+      ) : (
+        <div className="space-y-2 mb-4">
+          {scenarios.map(scenario => (
+            <div key={scenario.id} className="flex items-center gap-3 bg-gray-900/50 rounded px-3 py-2 text-sm">
+              <input
+                type="checkbox"
+                checked={isCompared(scenario.id)}
+                onChange={() => toggleCompared(scenario.id)}
+                disabled={!isComparable(scenario) || (!isCompared(scenario.id) && compared.length >= MAX_COMPARED)}
+                title={isComparable(scenario) ? 'Compare' : `Switch to ${getAsset(scenario.params.asset).symbol} to compare`}
+              />
+              {editingId === scenario.id ? (
+                <input
+                  type="text"
+                  value={editingName}
+                  onChange={(e) => setEditingName(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') commitRename()
+                    if (e.key === 'Escape') setEditingId(null)
+                  }}
+                  onBlur={commitRename}
+                  autoFocus
+                  className="flex-1 bg-gray-700 rounded px-2 py-1 text-sm"
+                />
+              ) : (
+                <span className="flex-1 font-medium text-gray-200">{scenario.name}</span>
+              )}
+              <span className="text-xs text-gray-500 hidden md:inline">
+                {getAsset(scenario.params.asset).symbol} • {formatCurrency(scenario.params.tvl)} TVL • {scenario.params.rebalanceCyclesPerDay}×/day
+              </span>
+              <div className="flex gap-1 text-xs">
+                <button onClick={() => onLoad(scenario.params)} className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600">Load</button>
+                <button onClick={() => update(scenario.id, currentParams)} className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600" title="Overwrite with current parameters">Update</button>
+                <button onClick={() => startRename(scenario)} className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600">Rename</button>
+                <button onClick={() => duplicate(scenario.id)} className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600">Duplicate</button>
+                <button onClick={() => handleDelete(scenario.id)} className="px-2 py-1 rounded bg-gray-700 hover:bg-red-700 text-red-300">Delete</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {compared.length >= 2 && (
+        <div className="border-t border-gray-700 pt-4">
+          <h3 className="text-sm font-semibold text-blue-300 mb-3">⚖️ Scenario Comparison</h3>
+          <ScenarioComparison scenarios={compared} marketParams={marketParams} />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ScenarioManager
@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from 'react'
+import { DEFAULT_SWAP_DISTRIBUTION } from './engine/reserveModel'
+import {
+  validateSwapDistribution,
+  bucketSwapSizes,
+  parseSwapSizesCsv,
+} from './engine/swapDistribution'
+import { formatCurrency } from './utils/format'
+
+function SwapDistributionEditor({ distribution, onApply }) {
+  const [expanded, setExpanded] = useState(false)
+  const [draft, setDraft] = useState(distribution)
+  const [importMessage, setImportMessage] = useState(null)
+
+  // Reset the draft whenever the applied distribution changes (load, URL, apply)
+  useEffect(() => setDraft(distribution), [distribution])
+
+  const validation = validateSwapDistribution(draft)
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(distribution)
+
+  const updateTier = (index, field, value) => {
+    setDraft(prev => prev.map((tier, i) => (
+      i === index ? { ...tier, [field]: field === 'label' ? value : Number(value) } : tier
+    )))
+  }
+
+  const addTier = () => {
+    setDraft(prev => [...prev, { label: `Tier ${prev.length + 1}`, pctCount: 0, pctVolume: 0, avgSize: 1000 }])
+  }
+
+  const removeTier = (index) => {
+    setDraft(prev => prev.filter((_, i) => i !== index))
+  }
+
+  const handleCsvImport = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    try {
+      const sizes = parseSwapSizesCsv(await file.text())
+      if (sizes.length === 0) {
+        setImportMessage({ type: 'error', text: `No swap sizes found in ${file.name}` })
+        return
+      }
+      setDraft(bucketSwapSizes(sizes))
+      setImportMessage({ type: 'success', text: `Bucketed ${sizes.length.toLocaleString()} swaps from ${file.name} • review and apply` })
+    } catch (error) {
+      console.error('Error importing swap CSV:', error)
+      setImportMessage({ type: 'error', text: `Could not read ${file.name}` })
+    }
+  }
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 mb-6">
+      <div className="flex items-center justify-between">
+        <h2 className="font-semibold flex items-center gap-2">
+          📦 Swap Size Distribution
+          <span className="text-xs text-gray-400 font-normal">
+            ({distribution.length} tiers • drives coverage, simulations and tier profits)
+          </span>
+        </h2>
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="px-3 py-1 rounded text-xs bg-gray-700 hover:bg-gray-600 text-gray-300"
+        >
+          {expanded ? 'Hide' : 'Edit'}
+        </button>
+      </div>
+
+      {expanded && (
+        <div className="mt-4">
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="border-b border-gray-700">
+                  <th className="text-left py-2 px-2 text-gray-400">Label</th>
+                  <th className="text-right py-2 px-2 text-gray-400">Count %</th>
+                  <th className="text-right py-2 px-2 text-gray-400">Volume %</th>
+                  <th className="text-right py-2 px-2 text-gray-400">Avg Size (USD)</th>
+                  <th className="py-2 px-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {draft.map((tier, i) => (
+                  <tr key={i} className="border-b border-gray-700/50">
+                    <td className="py-1 px-2">
+                      <input
+                        type="text"
+                        value={tier.label}
+                        onChange={(e) => updateTier(i, 'label', e.target.value)}
+                        className="w-full bg-gray-700 rounded px-2 py-1"
+                      />
+                    </td>
+                    <td className="py-1 px-2">
+                      <input
+                        type="number"
+                        value={Number(tier.pctCount.toFixed(2))}
+                        onChange={(e) => updateTier(i, 'pctCount', e.target.value)}
+                        className="w-full bg-gray-700 rounded px-2 py-1 text-right"
+                        min="0"
+                        max="100"
+                        step="0.1"
+                      />
+                    </td>
+                    <td className="py-1 px-2">
+                      <input
+                        type="number"
+                        value={Number(tier.pctVolume.toFixed(2))}
+                        onChange={(e) => updateTier(i, 'pctVolume', e.target.value)}
+                        className="w-full bg-gray-700 rounded px-2 py-1 text-right"
+                        min="0"
+                        max="100"
+                        step="0.1"
+                      />
+                    </td>
+                    <td className="py-1 px-2">
+                      <input
+                        type="number"
+                        value={Math.round(tier.avgSize)}
+                        onChange={(e) => updateTier(i, 'avgSize', e.target.value)}
+                        className="w-full bg-gray-700 rounded px-2 py-1 text-right"
+                        min="1"
+                        step="100"
+                      />
+                    </td>
+                    <td className="py-1 px-2 text-right">
+                      <button
+                        onClick={() => removeTier(i)}
+                        className="px-2 py-1 rounded bg-gray-700 hover:bg-red-700 text-red-300"
+                        title="Remove tier"
+                      >
+                        ✕
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+                <tr>
+                  <td className="py-2 px-2 text-gray-500">Total</td>
+                  <td className={`py-2 px-2 text-right font-semibold ${Math.abs(validation.countTotal - 100) > 0.5 ? 'text-red-400' : 'text-green-400'}`}>
+                    {validation.countTotal.toFixed(1)}%
+                  </td>
+                  <td className={`py-2 px-2 text-right font-semibold ${Math.abs(validation.volumeTotal - 100) > 0.5 ? 'text-red-400' : 'text-green-400'}`}>
+                    {validation.volumeTotal.toFixed(1)}%
+                  </td>
+                  <td className="py-2 px-2 text-right text-gray-500">
+                    Largest: {formatCurrency(Math.max(0, ...draft.map(t => t.avgSize || 0)))}
+                  </td>
+                  <td></td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+
+          {validation.errors.length > 0 && (
+            <ul className="mt-2 text-xs text-red-400 space-y-1">
+              {validation.errors.map(error => <li key={error}>⚠️ {error}</li>)}
+            </ul>
+          )}
+
+          {importMessage && (
+            <p className={`mt-2 text-xs ${importMessage.type === 'error' ? 'text-red-400' : 'text-green-400'}`}>
+              {importMessage.text}
+            </p>
+          )}
+
+          <div className="mt-4 flex flex-wrap gap-2 text-xs">
+            <button onClick={addTier} className="px-3 py-2 rounded bg-gray-700 hover:bg-gray-600">+ Add Tier</button>
+            <label className="px-3 py-2 rounded bg-gray-700 hover:bg-gray-600 cursor-pointer">
+              📄 Import CSV of Swap Sizes
+              <input type="file" accept=".csv,.txt,text/csv" onChange={handleCsvImport} className="hidden" />
+            </label>
+            <button
+              onClick={() => setDraft(DEFAULT_SWAP_DISTRIBUTION)}
+              className="px-3 py-2 rounded bg-gray-700 hover:bg-gray-600"
+            >
+              Reset to Default
+            </button>
+            <div className="ml-auto flex gap-2">
+              <button
+                onClick={() => setDraft(distribution)}
+                disabled={!isDirty}
+                className="px-3 py-2 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-50"
+              >
+                Discard
+              </button>
+              <button
+                onClick={() => onApply(draft)}
+                disabled={!validation.valid || !isDirty}
+                className="px-4 py-2 rounded bg-blue-600 hover:bg-blue-500 disabled:bg-gray-600 font-medium"
+              >
+                Apply Distribution
+              </button>
+            </div>
+          </div>
+          <p className="mt-2 text-xs text-gray-500">
+            CSV: one swap per row, using a size/amount/volume/usd column or the first numeric column. Sizes are bucketed into the standard tiers.
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SwapDistributionEditor
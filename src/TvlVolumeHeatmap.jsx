@@ -0,0 +1,153 @@
+import React, { useState, useMemo } from 'react'
+import { calculateReserveMetrics, calculateProtocolFees } from './engine/reserveModel'
+import { formatCurrency, formatPercent } from './utils/format'
+
+// Log-spaced axes covering seed-stage to mature reserves
+const TVL_LEVELS = [50000, 100000, 250000, 500000, 1000000, 2500000, 5000000, 10000000, 25000000]
+const VOLUME_LEVELS = [100000, 250000, 500000, 1000000, 2500000, 5000000, 10000000, 25000000, 50000000]
+
+const utilizationColor = (utilization) => {
+  if (utilization > 100) return 'bg-red-600/80'
+  if (utilization > 75) return 'bg-orange-500/70'
+  if (utilization > 50) return 'bg-yellow-500/60'
+  if (utilization > 25) return 'bg-green-600/60'
+  return 'bg-green-800/60'
+}
+
+// Index of the level closest to value on a log scale
+const nearestLevel = (levels, value) => levels.reduce((best, level, i) => (
+  Math.abs(Math.log(level / value)) < Math.abs(Math.log(levels[best] / value)) ? i : best
+), 0)
+
+function TvlVolumeHeatmap({ params, avgSpreadBps, currentVolume, onApply }) {
+  const [hovered, setHovered] = useState(null)
+
+  const grid = useMemo(() => {
+    const largestTier = params.swapDistribution.reduce(
+      (max, tier) => (tier.avgSize > max.avgSize ? tier : max),
+      params.swapDistribution[0]
+    )
+
+    return TVL_LEVELS.map(tvl => VOLUME_LEVELS.map(volume => {
+      const metrics = calculateReserveMetrics({ ...params, tvl, dailyVolume: volume, avgSpreadBps })
+      return {
+        tvl,
+        volume,
+        metrics,
+        // Fees on the volume the reserve can actually absorb
+        fees: calculateProtocolFees(Math.min(volume, metrics.dailyCapacity), metrics.effectiveSpreadBps),
+        largestTier,
+        largestTierFits: largestTier ? largestTier.avgSize <= metrics.maxSingleSwap : true,
+      }
+    }))
+  }, [params, avgSpreadBps])
+
+  const currentRow = nearestLevel(TVL_LEVELS, params.tvl)
+  const currentCol = currentVolume > 0 ? nearestLevel(VOLUME_LEVELS, currentVolume) : -1
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 mb-6">
+      <h2 className="font-semibold mb-2 flex items-center gap-2">
+        🗺️ TVL × Volume Capacity Heatmap
+        <span className="text-xs text-gray-400 font-normal">(Click a cell to apply its TVL and volume)</span>
+      </h2>
+      <p className="text-xs text-gray-400 mb-4">
+        Capacity utilization at {params.usdcWeight}% USDC, {params.rebalanceCyclesPerDay} rebalances/day, {params.rebalanceEfficiency}% efficiency
+      </p>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs border-separate" style={{ borderSpacing: '2px' }}>
+          <thead>
+            <tr>
+              <th className="text-left py-1 px-2 text-gray-400">TVL ↓ / Volume →</th>
+              {VOLUME_LEVELS.map((volume, col) => (
+                <th key={volume} className={`text-center py-1 px-1 ${col === currentCol ? 'text-blue-300' : 'text-gray-400'}`}>
+                  {formatCurrency(volume)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {grid.map((row, rowIndex) => (
+              <tr key={TVL_LEVELS[rowIndex]}>
+                <td className={`py-1 px-2 font-medium ${rowIndex === currentRow ? 'text-blue-300' : 'text-gray-400'}`}>
+                  {formatCurrency(TVL_LEVELS[rowIndex])}
+                </td>
+                {row.map((cell, col) => (
+                  <td
+                    key={cell.volume}
+                    onClick={() => onApply({ tvl: cell.tvl, actualDailyVolume: cell.volume })}
+                    onMouseEnter={() => setHovered(cell)}
+                    onMouseLeave={() => setHovered(null)}
+                    className={`text-center py-2 px-1 rounded cursor-pointer ${utilizationColor(cell.metrics.capacityUtilization)} ${
+                      rowIndex === currentRow && col === currentCol ? 'ring-2 ring-blue-400' : 'hover:ring-2 hover:ring-white/50'
+                    }`}
+                  >
+                    <span className="font-semibold">
+                      {cell.metrics.capacityUtilization > 999 ? '>999%' : `${cell.metrics.capacityUtilization.toFixed(0)}%`}
+                    </span>
+                    {!cell.largestTierFits && <span className="text-purple-200 ml-0.5">*</span>}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Hover details */}
+      <div className="mt-3 bg-gray-900/50 border border-gray-700 rounded p-3 text-xs min-h-[3.5rem]">
+        {hovered ? (
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+            <div>
+              <p className="text-gray-500">TVL / Volume</p>
+              <p className="font-semibold">{formatCurrency(hovered.tvl)} / {formatCurrency(hovered.volume)}</p>
+            </div>
+            <div>
+              <p className="text-gray-500">Daily Capacity</p>
+              <p className="font-semibold text-green-400">{formatCurrency(hovered.metrics.dailyCapacity)}</p>
+            </div>
+            <div>
+              <p className="text-gray-500">Utilization</p>
+              <p className="font-semibold">{formatPercent(hovered.metrics.capacityUtilization)}</p>
+            </div>
+            <div>
+              <p className="text-gray-500">Daily Protocol Fees</p>
+              <p className="font-semibold text-blue-400">{formatCurrency(hovered.fees)}</p>
+            </div>
+            <div>
+              <p className="text-gray-500">Largest Tier ({hovered.largestTier?.label})</p>
+              <p className={`font-semibold ${hovered.largestTierFits ? 'text-green-400' : 'text-red-400'}`}>
+                {hovered.largestTierFits ? '✓ Fits' : `✗ Max swap ${formatCurrency(hovered.metrics.maxSingleSwap)}`}
+              </p>
+            </div>
+          </div>
+        ) : (
+          <p className="text-gray-500">Hover a cell for capacity, fees and swap-size fit</p>
+        )}
+      </div>
+
+      {/* Legend */}
+      <div className="mt-3 flex flex-wrap gap-4 text-xs">
+        {[
+          { label: '≤25%', color: 'bg-green-800/60' },
+          { label: '25-50%', color: 'bg-green-600/60' },
+          { label: '50-75%', color: 'bg-yellow-500/60' },
+          { label: '75-100%', color: 'bg-orange-500/70' },
+          { label: '>100% (over capacity)', color: 'bg-red-600/80' },
+        ].map(item => (
+          <div key={item.label} className="flex items-center gap-2">
+            <div className={`w-4 h-3 rounded ${item.color}`}></div>
+            <span className="text-gray-400">{item.label}</span>
+          </div>
+        ))}
+        <div className="flex items-center gap-2">
+          <span className="text-purple-300">*</span>
+          <span className="text-gray-400">Largest swap tier does not fit</span>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TvlVolumeHeatmap
@@ -0,0 +1,125 @@
+import { calculateIOUShares, PROTOCOL_FEES_SHARE } from './reserveModel.js'
+import { DEFAULT_ROUTE_RULE, applyRouteHysteresis, thresholdPriceFor } from './routeRules.js'
+
+/**
+ * Replay an hourly price series through the reserve model. The route opens
+ * when the price is below the rule's threshold (after its open/close delays;
+ * pool-count and oracle conditions don't apply to a single series); each open
+ * hour tries to route a fixed volume against the USDC buffer, which is
+ * refilled on the configured rebalancing cadence.
+ * @param {Object} options
+ * @param {Object[]} options.historicalData - Hourly points with timestamp and price
+ * @param {Object} options.params - Reserve parameters (see ReserveParams)
+ * @param {number} options.volumePerDepegHour - Volume that arrives in each open hour (USD)
+ * @param {import('./routeRules').RouteRule} [options.routeRule] - Route-open rule
+ * @returns {Object} - Hourly rows, per-day rows and totals
+ */
+export function runBacktest({
+  historicalData,
+  params,
+  volumePerDepegHour,
+  routeRule = DEFAULT_ROUTE_RULE,
+}) {
+  const usdcBuffer = params.tvl * (params.usdcWeight / 100)
+  const refillAmount = usdcBuffer * (params.rebalanceEfficiency / 100)
+  const cyclesPerDay = Math.max(0, params.rebalanceCyclesPerDay)
+  const shares = calculateIOUShares(params.solverShareOfFees)
+  const thresholdPrice = thresholdPriceFor(routeRule.depegThresholdBps)
+  const routeTimeline = applyRouteHysteresis(
+    historicalData.map(point => ({ timestamp: point.timestamp, signal: point.price < thresholdPrice })),
+    routeRule
+  )
+
+  let buffer = usdcBuffer
+  const cumulative = { total: 0, trader: 0, solver: 0, protocol: 0 }
+
+  const hours = historicalData.map((point, index) => {
+    // Rebalances scheduled during this hour (counted from the start of the series)
+    const rebalances = Math.floor(((index + 1) * cyclesPerDay) / 24) - Math.floor((index * cyclesPerDay) / 24)
+    if (rebalances > 0) buffer = Math.min(usdcBuffer, buffer + refillAmount * rebalances)
+
+    const routeOpen = routeTimeline[index].open
+    const spreadBps = point.price < 1.0 ? (1.0 - point.price) * 10000 : 0
+    const demand = routeOpen ? volumePerDepegHour : 0
+    const filled = Math.min(demand, buffer)
+    const unfilled = demand - filled
+    buffer -= filled
+
+    const totalIOUs = filled * (spreadBps / 10000)
+    cumulative.total += totalIOUs
+    cumulative.trader += totalIOUs * shares.trader
+    cumulative.solver += totalIOUs * shares.solver
+    cumulative.protocol += totalIOUs * shares.protocol
+
+    return {
+      timestamp: point.timestamp,
+      price: point.price,
+      spreadBps,
+      routeOpen,
+      demand,
+      filled,
+      unfilled,
+      buffer,
+      rebalances,
+      exhausted: unfilled > 0,
+      ious: totalIOUs,
+      cumulative: { ...cumulative },
+    }
+  })
+
+  // Per-day rollup (UTC dates)
+  const dayMap = new Map()
+  hours.forEach(hour => {
+    const date = new Date(hour.timestamp).toISOString().slice(0, 10)
+    if (!dayMap.has(date)) {
+      dayMap.set(date, {
+        date,
+        hours: 0,
+        openHours: 0,
+        exhaustedHours: 0,
+        filled: 0,
+        unfilled: 0,
+        ious: 0,
+        maxSpreadBps: 0,
+      })
+    }
+    const day = dayMap.get(date)
+    day.hours++
+    if (hour.routeOpen) day.openHours++
+    if (hour.exhausted) day.exhaustedHours++
+    day.filled += hour.filled
+    day.unfilled += hour.unfilled
+    day.ious += hour.ious
+    day.maxSpreadBps = Math.max(day.maxSpreadBps, hour.routeOpen ? hour.spreadBps : 0)
+  })
+
+  const days = [...dayMap.values()].map(day => ({
+    ...day,
+    traderIOUs: day.ious * shares.trader,
+    solverIOUs: day.ious * shares.solver,
+    protocolIOUs: day.ious * shares.protocol,
+    protocolFees: day.ious * PROTOCOL_FEES_SHARE,
+  }))
+
+  const totalFilled = hours.reduce((sum, h) => sum + h.filled, 0)
+  const totalDemand = hours.reduce((sum, h) => sum + h.demand, 0)
+
+  return {
+    hours,
+    days,
+    totals: {
+      hours: hours.length,
+      openHours: hours.filter(h => h.routeOpen).length,
+      exhaustedHours: hours.filter(h => h.exhausted).length,
+      demand: totalDemand,
+      filled: totalFilled,
+      unfilled: totalDemand - totalFilled,
+      fillRate: totalDemand > 0 ? (totalFilled / totalDemand) * 100 : 0,
+      totalIOUs: cumulative.total,
+      traderIOUs: cumulative.trader,
+      solverIOUs: cumulative.solver,
+      protocolIOUs: cumulative.protocol,
+      protocolFees: cumulative.total * PROTOCOL_FEES_SHARE,
+    },
+  }
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest'
+import { runBacktest } from './backtest.js'
+import { DEFAULT_ROUTE_RULE } from './routeRules.js'
+
+const HOUR_MS = 60 * 60 * 1000
+const START = Date.UTC(2024, 0, 1)
+
+const PARAMS = {
+  tvl: 100000,
+  usdcWeight: 100,
+  rebalanceCyclesPerDay: 24,
+  rebalanceEfficiency: 50,
+  solverShareOfFees: 50,
+}
+
+const hourly = (prices) => prices.map((price, i) => ({ timestamp: START + i * HOUR_MS, price }))
+
+describe('runBacktest', () => {
+  it('routes volume only in hours below the threshold', () => {
+    const { hours, totals } = runBacktest({
+      historicalData: hourly([1, 0.999, 0.999, 1]),
+      params: PARAMS,
+      volumePerDepegHour: 10000,
+    })
+    expect(hours.map(h => h.routeOpen)).toEqual([false, true, true, false])
+    expect(totals.openHours).toBe(2)
+    expect(totals.filled).toBe(20000)
+    expect(totals.fillRate).toBe(100)
+    expect(totals.totalIOUs).toBeCloseTo(20000 * 0.001, 8)
+    expect(totals.traderIOUs + totals.solverIOUs + totals.protocolIOUs).toBeCloseTo(totals.totalIOUs, 10)
+  })
+
+  it('exhausts the buffer when demand outruns rebalancing', () => {
+    const { hours, totals } = runBacktest({
+      historicalData: hourly([0.99, 0.99, 0.99]),
+      params: PARAMS,
+      volumePerDepegHour: 80000,
+    })
+    // Hour 0: 100k → 20k after filling 80k; refill of 50k per hour caps at the buffer
+    expect(hours.map(h => h.filled)).toEqual([80000, 70000, 50000])
+    expect(totals.exhaustedHours).toBe(2)
+    expect(totals.unfilled).toBe(40000)
+  })
+
+  it('applies the rule open delay', () => {
+    const { totals } = runBacktest({
+      historicalData: hourly([0.999, 0.999, 0.999]),
+      params: PARAMS,
+      volumePerDepegHour: 1000,
+      routeRule: { ...DEFAULT_ROUTE_RULE, routeOpenAfterMinutes: 60 },
+    })
+    expect(totals.openHours).toBe(2)
+  })
+
+  it('rolls hours up into UTC days', () => {
+    const { days } = runBacktest({
+      historicalData: hourly(Array.from({ length: 30 }, () => 1)),
+      params: PARAMS,
+      volumePerDepegHour: 1000,
+    })
+    expect(days.map(day => day.hours)).toEqual([24, 6])
+  })
+})
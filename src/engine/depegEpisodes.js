@@ -0,0 +1,135 @@
+const HOUR_MS = 60 * 60 * 1000
+
+// Duration buckets for the episode histogram (upper bounds in hours)
+export const EPISODE_DURATION_BUCKETS = [
+  { label: '<15m', maxHours: 0.25 },
+  { label: '15m–1h', maxHours: 1 },
+  { label: '1–2h', maxHours: 2 },
+  { label: '2–4h', maxHours: 4 },
+  { label: '4–8h', maxHours: 8 },
+  { label: '8–24h', maxHours: 24 },
+  { label: '>24h', maxHours: Infinity },
+]
+
+const depegBpsOf = (price) => (price < 1.0 ? (1.0 - price) * 10000 : 0)
+
+const medianStep = (points) => {
+  const steps = points.slice(1).map((point, i) => point.timestamp - points[i].timestamp).sort((a, b) => a - b)
+  return steps.length > 0 ? steps[Math.floor(steps.length / 2)] : HOUR_MS
+}
+
+/**
+ * Split a price series into depeg episodes: runs of consecutive samples below
+ * the threshold. An episode ends at the first sample back at peg, or after the
+ * last depegged sample when the series has a gap or ends.
+ * @param {Object[]} points - { timestamp, price } points, oldest first (null prices are skipped)
+ * @param {Object} options
+ * @param {number} options.thresholdPrice - Price below which a sample counts as depegged
+ * @param {number} [options.maxGapMs] - Larger gaps between samples close an episode (default 3× the median spacing)
+ * @returns {Object[]} - { start, end, durationHours, peakBps, peakAt, areaBpsHours, avgBps, recoveryHours, samples, ongoing }
+ */
+export function detectDepegEpisodes(points, { thresholdPrice, maxGapMs }) {
+  const series = points.filter(point => point.price !== null && point.price !== undefined)
+  if (series.length === 0) return []
+
+  const step = medianStep(series)
+  const gapLimit = maxGapMs ?? step * 3
+  const episodes = []
+  let current = null
+
+  const close = (end, ongoing) => {
+    const durationHours = (end - current.start) / HOUR_MS
+    episodes.push({
+      ...current,
+      end,
+      durationHours,
+      avgBps: durationHours > 0 ? current.areaBpsHours / durationHours : current.peakBps,
+      recoveryHours: (end - current.peakAt) / HOUR_MS,
+      ongoing,
+    })
+    current = null
+  }
+
+  series.forEach((point, i) => {
+    const next = series[i + 1]
+    const gapToNext = next ? next.timestamp - point.timestamp : Infinity
+
+    if (point.price >= thresholdPrice) {
+      if (current) close(point.timestamp, false)
+      return
+    }
+
+    const bps = depegBpsOf(point.price)
+    if (!current) {
+      current = { start: point.timestamp, peakBps: bps, peakAt: point.timestamp, areaBpsHours: 0, samples: 0 }
+    }
+    if (bps > current.peakBps) {
+      current.peakBps = bps
+      current.peakAt = point.timestamp
+    }
+    current.samples++
+
+    // A sample stands for the time until the next one (one step across a gap or at the end)
+    const heldMs = gapToNext <= gapLimit ? gapToNext : step
+    current.areaBpsHours += bps * (heldMs / HOUR_MS)
+
+    if (!next) {
+      close(point.timestamp + step, true)
+    } else if (gapToNext > gapLimit) {
+      close(point.timestamp + step, false)
+    }
+  })
+
+  return episodes
+}
+
+/**
+ * Aggregate statistics over a list of episodes
+ * @param {Object[]} episodes - From detectDepegEpisodes
+ * @returns {Object} - { count, totalHours, avgDurationHours, medianDurationHours, longestHours, avgPeakBps, maxPeakBps, totalAreaBpsHours, avgRecoveryHours }
+ */
+export function summarizeDepegEpisodes(episodes) {
+  if (episodes.length === 0) {
+    return {
+      count: 0,
+      totalHours: 0,
+      avgDurationHours: 0,
+      medianDurationHours: 0,
+      longestHours: 0,
+      avgPeakBps: 0,
+      maxPeakBps: 0,
+      totalAreaBpsHours: 0,
+      avgRecoveryHours: 0,
+    }
+  }
+
+  const durations = episodes.map(e => e.durationHours).sort((a, b) => a - b)
+  const totalHours = durations.reduce((sum, d) => sum + d, 0)
+
+  return {
+    count: episodes.length,
+    totalHours,
+    avgDurationHours: totalHours / episodes.length,
+    medianDurationHours: durations[Math.floor(durations.length / 2)],
+    longestHours: durations[durations.length - 1],
+    avgPeakBps: episodes.reduce((sum, e) => sum + e.peakBps, 0) / episodes.length,
+    maxPeakBps: Math.max(...episodes.map(e => e.peakBps)),
+    totalAreaBpsHours: episodes.reduce((sum, e) => sum + e.areaBpsHours, 0),
+    avgRecoveryHours: episodes.reduce((sum, e) => sum + e.recoveryHours, 0) / episodes.length,
+  }
+}
+
+/**
+ * Count episodes per duration bucket
+ * @param {Object[]} episodes - From detectDepegEpisodes
+ * @param {Object[]} [buckets] - { label, maxHours } with ascending upper bounds
+ * @returns {Object[]} - { label, maxHours, count }
+ */
+export function buildEpisodeDurationHistogram(episodes, buckets = EPISODE_DURATION_BUCKETS) {
+  const counts = buckets.map(bucket => ({ ...bucket, count: 0 }))
+  episodes.forEach(episode => {
+    const bucket = counts.find(b => episode.durationHours <= b.maxHours) ?? counts[counts.length - 1]
+    bucket.count++
+  })
+  return counts
+}
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest'
+import { detectDepegEpisodes, summarizeDepegEpisodes, buildEpisodeDurationHistogram } from './depegEpisodes.js'
+
+const HOUR_MS = 60 * 60 * 1000
+const THRESHOLD = 0.9995
+
+const hourly = (prices) => prices.map((price, i) => ({ timestamp: i * HOUR_MS, price }))
+
+describe('detectDepegEpisodes', () => {
+  it('splits runs below the threshold into episodes ending at the first sample back at peg', () => {
+    const episodes = detectDepegEpisodes(hourly([1, 0.999, 0.998, 1, 1, 0.999, 1]), { thresholdPrice: THRESHOLD })
+
+    expect(episodes).toHaveLength(2)
+    expect(episodes[0]).toMatchObject({ start: HOUR_MS, end: 3 * HOUR_MS, durationHours: 2, samples: 2, ongoing: false })
+    expect(episodes[0].peakBps).toBeCloseTo(20, 8)
+    expect(episodes[0].peakAt).toBe(2 * HOUR_MS)
+    expect(episodes[0].areaBpsHours).toBeCloseTo(30, 8)
+    expect(episodes[0].avgBps).toBeCloseTo(15, 8)
+    expect(episodes[0].recoveryHours).toBe(1)
+  })
+
+  it('marks an episode still running at the end of the series as ongoing', () => {
+    const [episode] = detectDepegEpisodes(hourly([1, 0.999, 0.999]), { thresholdPrice: THRESHOLD })
+    expect(episode).toMatchObject({ start: HOUR_MS, end: 3 * HOUR_MS, ongoing: true })
+  })
+
+  it('closes an episode across a gap in the data', () => {
+    const points = [
+      { timestamp: 0, price: 0.999 },
+      { timestamp: HOUR_MS, price: 0.999 },
+      { timestamp: 10 * HOUR_MS, price: 0.999 },
+      { timestamp: 11 * HOUR_MS, price: 1 },
+    ]
+    const episodes = detectDepegEpisodes(points, { thresholdPrice: THRESHOLD })
+    expect(episodes).toHaveLength(2)
+    expect(episodes[0]).toMatchObject({ end: 2 * HOUR_MS, ongoing: false })
+  })
+
+  it('skips null prices and returns nothing for an empty series', () => {
+    expect(detectDepegEpisodes([], { thresholdPrice: THRESHOLD })).toEqual([])
+    expect(detectDepegEpisodes(hourly([null, null]), { thresholdPrice: THRESHOLD })).toEqual([])
+  })
+})
+
+describe('summarizeDepegEpisodes', () => {
+  it('returns zeros without episodes', () => {
+    expect(summarizeDepegEpisodes([]).count).toBe(0)
+  })
+
+  it('aggregates durations and peaks', () => {
+    const episodes = detectDepegEpisodes(hourly([0.999, 0.998, 1, 0.997, 1]), { thresholdPrice: THRESHOLD })
+    const summary = summarizeDepegEpisodes(episodes)
+    expect(summary.count).toBe(2)
+    expect(summary.totalHours).toBe(3)
+    expect(summary.longestHours).toBe(2)
+    expect(summary.maxPeakBps).toBeCloseTo(30, 8)
+  })
+})
+
+describe('buildEpisodeDurationHistogram', () => {
+  it('counts each episode in the first bucket that fits it', () => {
+    const histogram = buildEpisodeDurationHistogram([{ durationHours: 0.1 }, { durationHours: 1 }, { durationHours: 100 }])
+    expect(histogram.map(bucket => bucket.count)).toEqual([1, 1, 0, 0, 0, 0, 1])
+  })
+})
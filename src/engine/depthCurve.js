@@ -0,0 +1,53 @@
+/**
+ * @typedef {Object} DepthPoint
+ * @property {number} size - Input size in asset tokens (≈ USD)
+ * @property {number|null} effectivePrice - Stable received per token at this size
+ * @property {number|null} spreadBps - Effective spread below peg at this size
+ * @property {number|null} priceImpactBps - Extra slippage vs the smallest quoted size
+ */
+
+/**
+ * Turn raw quotes at a ladder of sizes into a depth curve
+ * @param {number[]} sizes - Input sizes in asset tokens
+ * @param {Array<number|null>} effectivePrices - Stable received per token at each size (null = no quote at that size)
+ * @returns {DepthPoint[]}
+ */
+export function buildDepthCurve(sizes, effectivePrices) {
+  // Marginal price is approximated by the smallest size that quoted successfully
+  let marginalIndex = -1
+  sizes.forEach((size, i) => {
+    if (effectivePrices[i] === null || effectivePrices[i] === undefined) return
+    if (marginalIndex === -1 || size < sizes[marginalIndex]) marginalIndex = i
+  })
+  const marginalPrice = marginalIndex === -1 ? null : effectivePrices[marginalIndex]
+
+  return sizes.map((size, i) => {
+    const effectivePrice = effectivePrices[i] ?? null
+    if (effectivePrice === null) {
+      return { size, effectivePrice: null, spreadBps: null, priceImpactBps: null }
+    }
+    return {
+      size,
+      effectivePrice,
+      spreadBps: Math.max(0, (1.0 - effectivePrice) * 10000),
+      priceImpactBps: marginalPrice ? Math.max(0, ((marginalPrice - effectivePrice) / marginalPrice) * 10000) : null,
+    }
+  })
+}
+
+/**
+ * Spread available at each tier size across all sources. Matches the
+ * dashboard's aggregate spread, which takes the widest DEX depeg.
+ * @param {Object<string, DepthPoint[]>} curves - Depth curve per source
+ * @param {import('./reserveModel.js').SwapTier[]} swapDistribution - Tiers to read spreads for
+ * @returns {Array<number|null>} - Spread in bps per tier, null where no source quoted that size
+ */
+export function aggregateTierSpreads(curves, swapDistribution) {
+  return swapDistribution.map(tier => {
+    // Match on size so curves quoted for a previous distribution are ignored
+    const spreads = Object.values(curves)
+      .map(curve => curve?.find(point => point.size === tier.avgSize)?.spreadBps)
+      .filter(bps => bps !== null && bps !== undefined)
+    return spreads.length > 0 ? Math.max(...spreads) : null
+  })
+}
@@ -0,0 +1,130 @@
+import { calculateCoverage, calculateIOUShares, DEFAULT_SWAP_DISTRIBUTION, PROTOCOL_FEES_SHARE } from './reserveModel.js'
+
+export const GOAL_TYPES = {
+  dailyVolume: { label: 'Daily volume', unit: 'USD' },
+  dailyFees: { label: 'Daily protocol fees', unit: 'USD' },
+  solverIOUs: { label: 'Solver IOUs per day', unit: 'USD' },
+  volumeCoverage: { label: '% of volume tiers covered', unit: '%' },
+}
+
+/**
+ * Smallest max-single-swap that covers the target share of volume, as calculateCoverage measures it
+ * @param {Object[]} swapDistribution - Swap size tiers
+ * @param {number} targetPct - Required volume coverage (0-100)
+ * @returns {number} - Required swap size in USD, Infinity if unreachable
+ */
+export function requiredSwapSizeForCoverage(swapDistribution, targetPct) {
+  if (targetPct <= 0) return 0
+
+  const sizes = [...new Set(swapDistribution.map(tier => tier.avgSize))].sort((a, b) => a - b)
+  const size = sizes.find(avgSize => calculateCoverage(swapDistribution, avgSize).volumeCoverage >= targetPct - 1e-9)
+  return size ?? Infinity
+}
+
+/**
+ * Translate a goal into the two reserve constraints it implies
+ * @param {Object} options
+ * @param {string} options.type - Key of GOAL_TYPES
+ * @param {number} options.value - Target value
+ * @param {number} options.spreadBps - Spread assumed for fee/IOU goals
+ * @param {number} options.solverShareOfFees - % of protocol fees paid to the solver
+ * @param {number} [options.minVolumeCoverage] - Extra coverage requirement (0-100)
+ * @param {Object[]} [options.swapDistribution] - Swap size tiers
+ * @returns {Object} - requiredCapacity (USD/day) and requiredSwapSize (USD)
+ */
+export function goalToConstraints({
+  type,
+  value,
+  spreadBps,
+  solverShareOfFees,
+  minVolumeCoverage = 0,
+  swapDistribution = DEFAULT_SWAP_DISTRIBUTION,
+}) {
+  const spread = spreadBps / 10000
+  const solverShare = calculateIOUShares(solverShareOfFees).solver
+
+  let requiredCapacity = 0
+  let coverageTarget = minVolumeCoverage
+
+  switch (type) {
+    case 'dailyVolume':
+      requiredCapacity = value
+      break
+    case 'dailyFees':
+      requiredCapacity = spread > 0 ? value / (spread * PROTOCOL_FEES_SHARE) : Infinity
+      break
+    case 'solverIOUs':
+      requiredCapacity = spread > 0 && solverShare > 0 ? value / (spread * solverShare) : Infinity
+      break
+    case 'volumeCoverage':
+      coverageTarget = Math.max(coverageTarget, value)
+      break
+    default:
+      throw new Error(`Unknown goal type: ${type}`)
+  }
+
+  return {
+    requiredCapacity,
+    requiredSwapSize: requiredSwapSizeForCoverage(swapDistribution, coverageTarget),
+  }
+}
+
+// Pick the larger requirement and report which constraint produced it
+const bind = (throughputValue, singleSwapValue) => ({
+  throughputValue,
+  singleSwapValue,
+  value: Math.max(throughputValue, singleSwapValue),
+  binding: singleSwapValue > throughputValue ? 'single-swap' : 'throughput',
+})
+
+/**
+ * Solve a goal for minimum TVL, required rebalances/day and required USDC weight,
+ * each holding the other parameters fixed
+ * @param {Object} options - Goal (see goalToConstraints) plus params (ReserveParams)
+ * @returns {Object} - { constraints, tvl, rebalanceCyclesPerDay, usdcWeight }
+ */
+export function solveGoal({ params, ...goal }) {
+  const constraints = goalToConstraints({
+    ...goal,
+    solverShareOfFees: params.solverShareOfFees,
+    swapDistribution: params.swapDistribution,
+  })
+  const { requiredCapacity, requiredSwapSize } = constraints
+
+  const weight = params.usdcWeight / 100
+  const efficiency = params.rebalanceEfficiency / 100
+  const usdcBuffer = params.tvl * weight
+
+  // Minimum TVL: buffer × cycles × efficiency ≥ capacity, buffer ≥ largest covered swap
+  const tvl = bind(
+    weight > 0 && efficiency > 0 && params.rebalanceCyclesPerDay > 0
+      ? requiredCapacity / (weight * params.rebalanceCyclesPerDay * efficiency)
+      : Infinity,
+    weight > 0 ? requiredSwapSize / weight : Infinity
+  )
+
+  // Rebalances/day at fixed TVL: more cycles cannot make a single swap fit
+  const cycles = usdcBuffer > 0 && efficiency > 0
+    ? Math.ceil(requiredCapacity / (usdcBuffer * efficiency))
+    : Infinity
+  const rebalanceCyclesPerDay = {
+    value: Math.max(1, cycles),
+    binding: requiredSwapSize > usdcBuffer ? 'single-swap' : 'throughput',
+    feasible: Number.isFinite(cycles) && requiredSwapSize <= usdcBuffer,
+  }
+
+  // USDC weight at fixed TVL and cadence, capped at 100%
+  const usdcWeight = bind(
+    params.tvl > 0 && efficiency > 0 && params.rebalanceCyclesPerDay > 0
+      ? (requiredCapacity / (params.tvl * params.rebalanceCyclesPerDay * efficiency)) * 100
+      : Infinity,
+    params.tvl > 0 ? (requiredSwapSize / params.tvl) * 100 : Infinity
+  )
+
+  return {
+    constraints,
+    tvl: { ...tvl, feasible: Number.isFinite(tvl.value) },
+    rebalanceCyclesPerDay,
+    usdcWeight: { ...usdcWeight, feasible: usdcWeight.value <= 100 },
+  }
+}
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest'
+import { requiredSwapSizeForCoverage, goalToConstraints, solveGoal } from './goalSeek.js'
+import { DEFAULT_SWAP_DISTRIBUTION, calculateReserveMetrics } from './reserveModel.js'
+
+const PARAMS = {
+  tvl: 250000,
+  usdcWeight: 80,
+  rebalanceCyclesPerDay: 12,
+  rebalanceEfficiency: 90,
+  solverShareOfFees: 50,
+}
+
+describe('requiredSwapSizeForCoverage', () => {
+  it('returns the smallest tier size that reaches the target', () => {
+    expect(requiredSwapSizeForCoverage(DEFAULT_SWAP_DISTRIBUTION, 0)).toBe(0)
+    expect(requiredSwapSizeForCoverage(DEFAULT_SWAP_DISTRIBUTION, 25)).toBe(50000)
+    expect(requiredSwapSizeForCoverage(DEFAULT_SWAP_DISTRIBUTION, 60)).toBe(500000)
+  })
+
+  it('reaches 100% with the stock tiers, whose shares sum to 99.9', () => {
+    expect(requiredSwapSizeForCoverage(DEFAULT_SWAP_DISTRIBUTION, 100)).toBe(2000000)
+  })
+
+  it('is unreachable for an empty distribution', () => {
+    expect(requiredSwapSizeForCoverage([], 50)).toBe(Infinity)
+  })
+})
+
+describe('goalToConstraints', () => {
+  it('converts a fee goal to required daily capacity', () => {
+    const { requiredCapacity } = goalToConstraints({ type: 'dailyFees', value: 3456, spreadBps: 20, solverShareOfFees: 50 })
+    expect(requiredCapacity).toBeCloseTo(2160000, 6)
+  })
+
+  it('rejects unknown goals', () => {
+    expect(() => goalToConstraints({ type: 'nope', value: 1, spreadBps: 1, solverShareOfFees: 50 })).toThrow('Unknown goal type')
+  })
+})
+
+describe('solveGoal', () => {
+  it('solves the default capacity back to the default TVL', () => {
+    const result = solveGoal({ type: 'dailyVolume', value: 2160000, spreadBps: 20, params: PARAMS })
+    expect(result.tvl.value).toBeCloseTo(250000, 6)
+    expect(result.tvl.binding).toBe('throughput')
+    expect(result.rebalanceCyclesPerDay.value).toBe(12)
+  })
+
+  it.each([25, 60, 100])('meets a %i% coverage goal once the solved TVL is applied', (target) => {
+    const result = solveGoal({ type: 'volumeCoverage', value: target, spreadBps: 20, params: PARAMS })
+    const metrics = calculateReserveMetrics({ ...PARAMS, tvl: result.tvl.value, avgSpreadBps: 20 })
+    expect(metrics.volumeCoverage).toBeGreaterThanOrEqual(target - 1e-9)
+  })
+
+  it('keeps a 100% coverage goal feasible by raising TVL', () => {
+    const result = solveGoal({ type: 'volumeCoverage', value: 100, spreadBps: 20, params: PARAMS })
+    expect(result.tvl.feasible).toBe(true)
+    expect(result.tvl.value).toBe(2500000)
+    expect(result.tvl.binding).toBe('single-swap')
+    expect(result.rebalanceCyclesPerDay.feasible).toBe(false)
+  })
+})
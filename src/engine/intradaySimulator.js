@@ -0,0 +1,188 @@
+import { createRandom, pickWeighted } from './random.js'
+import { calculateIOUShares, DEFAULT_SWAP_DISTRIBUTION } from './reserveModel.js'
+
+/**
+ * @typedef {Object} IntradayParams
+ * @property {number} usdcBuffer - Full USDC buffer (USD)
+ * @property {number} rebalanceCyclesPerDay - Rebalancing events per day
+ * @property {number} rebalanceEfficiency - % of the full buffer restored per rebalance (0-100)
+ * @property {number} dailyVolume - Target volume routed during the day (USD)
+ * @property {number} depegTimePercent - % of the day the route is open (0-100)
+ * @property {number} spreadBps - Spread below peg while the route is open (bps)
+ * @property {number} solverShareOfFees - % of the protocol fees paid to the solver (0-100)
+ * @property {Object[]} [swapDistribution] - Swap size tiers
+ * @property {number} [depegWindows] - Number of separate depeg windows in the day
+ * @property {boolean} [allowPartialFills] - Partially fill swaps larger than the remaining buffer
+ * @property {number} [seed] - Random seed for reproducible runs
+ */
+
+/**
+ * Place depeg windows across the day: the day is split into equal slots and
+ * one window of equal length sits at a random offset inside each slot
+ * @param {Function} random - Seeded generator
+ * @param {number} activeHours - Total hours the route is open
+ * @param {number} count - Number of windows
+ * @returns {Object[]} - Sorted windows with start/end in hours
+ */
+function generateDepegWindows(random, activeHours, count) {
+  if (activeHours <= 0 || count <= 0) return []
+
+  const slotHours = 24 / count
+  const windowHours = Math.min(activeHours / count, slotHours)
+
+  return Array.from({ length: count }, (_, i) => {
+    const start = i * slotHours + random() * (slotHours - windowHours)
+    return { start, end: start + windowHours }
+  })
+}
+
+// Upper bound on sampling attempts so large volumes stay responsive
+const MAX_SWAPS_PER_DAY = 20000
+
+// Tier a swap of this size is reported under: the largest whose average it reaches, else the smallest
+const tierForSize = (swapDistribution, size) => {
+  const bySize = [...swapDistribution].sort((a, b) => a.avgSize - b.avgSize)
+  return bySize.filter(tier => tier.avgSize <= size).pop() ?? bySize[0]
+}
+
+/**
+ * Sample individual swaps from the tier distribution (weighted by count)
+ * until the requested daily volume has arrived. A draw that would overshoot
+ * the target by more than it fills it becomes a final swap of the remaining
+ * volume, so small daily volumes still produce a swap.
+ */
+function generateSwaps(random, dailyVolume, swapDistribution, windows) {
+  const countWeights = swapDistribution.map(tier => tier.pctCount)
+  const totalCountPct = countWeights.reduce((sum, w) => sum + w, 0)
+  if (dailyVolume <= 0 || windows.length === 0 || totalCountPct <= 0) return []
+
+  const windowWeights = windows.map(w => w.end - w.start)
+  const swaps = []
+  let arrivedVolume = 0
+
+  for (let attempt = 0; attempt < MAX_SWAPS_PER_DAY && arrivedVolume < dailyVolume; attempt++) {
+    const drawnTier = swapDistribution[pickWeighted(random, countWeights)]
+    const window = windows[pickWeighted(random, windowWeights)]
+    const drawnSize = drawnTier.avgSize * (0.5 + random()) // ±50% around the tier average
+
+    const remaining = dailyVolume - arrivedVolume
+    const overshoots = drawnSize - remaining > remaining
+    const size = overshoots ? remaining : drawnSize
+
+    swaps.push({
+      hour: window.start + random() * (window.end - window.start),
+      tier: overshoots ? tierForSize(swapDistribution, size).label : drawnTier.label,
+      size,
+    })
+    arrivedVolume += size
+  }
+
+  return swaps.sort((a, b) => a.hour - b.hour)
+}
+
+/**
+ * Discrete-event simulation of one day of swaps against the USDC buffer.
+ * Swaps arrive only during depeg windows; each one is filled, partially
+ * filled or rejected depending on the buffer left since the last rebalance.
+ * @param {IntradayParams} params - Reserve, market and simulation parameters
+ * @returns {Object} - Per-swap results, buffer path, windows, rebalances and totals
+ */
+export function simulateIntradaySwaps({
+  usdcBuffer,
+  rebalanceCyclesPerDay,
+  rebalanceEfficiency,
+  dailyVolume,
+  depegTimePercent,
+  spreadBps,
+  solverShareOfFees,
+  swapDistribution = DEFAULT_SWAP_DISTRIBUTION,
+  depegWindows = 4,
+  allowPartialFills = true,
+  seed = 1,
+}) {
+  const random = createRandom(seed)
+  const shares = calculateIOUShares(solverShareOfFees)
+  const refillAmount = usdcBuffer * (rebalanceEfficiency / 100)
+
+  const windows = generateDepegWindows(random, 24 * (depegTimePercent / 100), depegWindows)
+  const arrivals = generateSwaps(random, dailyVolume, swapDistribution, windows)
+
+  const cycles = Math.max(1, Math.floor(rebalanceCyclesPerDay))
+  const rebalances = Array.from({ length: cycles - 1 }, (_, i) => ((i + 1) * 24) / cycles)
+
+  // Merge rebalances and swaps into one time-ordered event stream
+  const events = [
+    ...rebalances.map(hour => ({ type: 'rebalance', hour })),
+    ...arrivals.map(swap => ({ type: 'swap', ...swap })),
+  ].sort((a, b) => a.hour - b.hour || (a.type === 'rebalance' ? -1 : 1))
+
+  let buffer = usdcBuffer
+  const path = [{ hour: 0, buffer }]
+  const swaps = []
+
+  events.forEach(event => {
+    if (event.type === 'rebalance') {
+      buffer = Math.min(usdcBuffer, buffer + refillAmount)
+      path.push({ hour: event.hour, buffer, event: 'rebalance' })
+      return
+    }
+
+    let filled = 0
+    if (event.size <= buffer) {
+      filled = event.size
+    } else if (allowPartialFills) {
+      filled = buffer
+    }
+
+    const rejected = event.size - filled
+    const totalIOUs = filled * (spreadBps / 10000)
+    buffer -= filled
+
+    swaps.push({
+      ...event,
+      filled,
+      rejected,
+      // Larger than the full buffer: no amount of remaining buffer could have filled it
+      oversize: event.size > usdcBuffer,
+      status: rejected === 0 ? 'filled' : (filled > 0 ? 'partial' : 'rejected'),
+      ious: {
+        total: totalIOUs,
+        trader: totalIOUs * shares.trader,
+        solver: totalIOUs * shares.solver,
+        protocol: totalIOUs * shares.protocol,
+      },
+    })
+    path.push({ hour: event.hour, buffer, event: 'swap' })
+  })
+
+  path.push({ hour: 24, buffer })
+
+  const sum = (key) => swaps.reduce((total, swap) => total + swap[key], 0)
+  const sumIOUs = (key) => swaps.reduce((total, swap) => total + swap.ious[key], 0)
+  const requestedVolume = sum('size')
+
+  return {
+    swaps,
+    path,
+    windows,
+    rebalances,
+    totals: {
+      swapCount: swaps.length,
+      filledCount: swaps.filter(s => s.status === 'filled').length,
+      partialCount: swaps.filter(s => s.status === 'partial').length,
+      rejectedCount: swaps.filter(s => s.status === 'rejected').length,
+      // Swaps that would fit a full buffer but were cut short by what was left of it
+      exhaustedCount: swaps.filter(s => !s.oversize && s.rejected > 0).length,
+      oversizeCount: swaps.filter(s => s.oversize).length,
+      requestedVolume,
+      filledVolume: sum('filled'),
+      rejectedVolume: sum('rejected'),
+      fillRate: requestedVolume > 0 ? (sum('filled') / requestedVolume) * 100 : 0,
+      minBuffer: Math.min(...path.map(p => p.buffer)),
+      totalIOUs: sumIOUs('total'),
+      traderIOUs: sumIOUs('trader'),
+      solverIOUs: sumIOUs('solver'),
+      protocolIOUs: sumIOUs('protocol'),
+    },
+  }
+}
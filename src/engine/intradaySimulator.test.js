@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest'
+import { simulateIntradaySwaps } from './intradaySimulator.js'
+
+const PARAMS = {
+  usdcBuffer: 200000,
+  rebalanceCyclesPerDay: 12,
+  rebalanceEfficiency: 90,
+  dailyVolume: 1000000,
+  depegTimePercent: 20,
+  spreadBps: 10,
+  solverShareOfFees: 50,
+  seed: 7,
+}
+
+describe('simulateIntradaySwaps', () => {
+  it('is reproducible for a seed', () => {
+    expect(simulateIntradaySwaps(PARAMS).totals).toEqual(simulateIntradaySwaps(PARAMS).totals)
+  })
+
+  it('accounts for every requested dollar as filled or rejected', () => {
+    const { totals, swaps } = simulateIntradaySwaps(PARAMS)
+    expect(totals.filledVolume + totals.rejectedVolume).toBeCloseTo(totals.requestedVolume, 6)
+    expect(totals.filledCount + totals.partialCount + totals.rejectedCount).toBe(swaps.length)
+    expect(totals.traderIOUs + totals.solverIOUs + totals.protocolIOUs).toBeCloseTo(totals.totalIOUs, 8)
+  })
+
+  it('only places swaps inside depeg windows and never overdraws the buffer', () => {
+    const { swaps, windows, path } = simulateIntradaySwaps(PARAMS)
+    swaps.forEach(swap => {
+      expect(windows.some(w => swap.hour >= w.start && swap.hour <= w.end)).toBe(true)
+    })
+    path.forEach(point => {
+      expect(point.buffer).toBeGreaterThanOrEqual(0)
+      expect(point.buffer).toBeLessThanOrEqual(PARAMS.usdcBuffer)
+    })
+  })
+
+  it('rejects rather than partially fills when partial fills are off', () => {
+    const { totals } = simulateIntradaySwaps({ ...PARAMS, usdcBuffer: 10000, allowPartialFills: false })
+    expect(totals.partialCount).toBe(0)
+  })
+
+  it('flags swaps larger than the whole buffer as oversize, not exhaustion', () => {
+    const { swaps, totals } = simulateIntradaySwaps({
+      ...PARAMS,
+      swapDistribution: [{ label: '$1M+', pctCount: 100, pctVolume: 100, avgSize: 2000000 }],
+      dailyVolume: 2000000,
+    })
+    const oversize = swaps.filter(swap => swap.size > PARAMS.usdcBuffer)
+    expect(oversize.length).toBeGreaterThan(0)
+    expect(oversize.every(swap => swap.oversize)).toBe(true)
+    expect(totals.oversizeCount).toBe(oversize.length)
+    expect(totals.exhaustedCount).toBeLessThanOrEqual(swaps.length - oversize.length)
+  })
+
+  it('still routes a swap when daily volume is below the smallest tier', () => {
+    const { swaps, totals } = simulateIntradaySwaps({ ...PARAMS, dailyVolume: 100 })
+    expect(swaps).toHaveLength(1)
+    expect(swaps[0].size).toBe(100)
+    expect(swaps[0].tier).toBe('<$1k')
+    expect(totals.requestedVolume).toBeCloseTo(100, 8)
+  })
+
+  it('ends the day with a remainder swap instead of redrawing a tier that cannot fit', () => {
+    const { swaps, totals } = simulateIntradaySwaps({
+      ...PARAMS,
+      swapDistribution: [{ label: '$1M+', pctCount: 100, pctVolume: 100, avgSize: 2000000 }],
+      dailyVolume: 300000,
+    })
+    expect(swaps).toHaveLength(1)
+    expect(totals.requestedVolume).toBeCloseTo(300000, 6)
+  })
+
+  it('routes nothing when the route never opens', () => {
+    const { totals } = simulateIntradaySwaps({ ...PARAMS, depegTimePercent: 0 })
+    expect(totals.swapCount).toBe(0)
+    expect(totals.fillRate).toBe(0)
+  })
+})
@@ -0,0 +1,160 @@
+import { createRandom, sampleNormal } from './random.js'
+import { calculateReserveMetrics, DEPEG_THRESHOLD_BPS } from './reserveModel.js'
+import { simulateIntradaySwaps } from './intradaySimulator.js'
+
+/**
+ * @typedef {Object} VolumeDistribution
+ * @property {'lognormal'|'uniform'|'fixed'} type - Distribution family
+ * @property {number} [mean] - Mean daily volume (lognormal/fixed)
+ * @property {number} [stdDev] - Standard deviation of daily volume (lognormal)
+ * @property {number} [min] - Lower bound (uniform)
+ * @property {number} [max] - Upper bound (uniform)
+ */
+
+/**
+ * Reduce an hourly price series to the empirical samples the Monte Carlo draws from
+ * @param {Object[]} historicalData - Hourly points with isDepegged and depegBps
+ * @returns {Object} - spreadBps of depegged hours and depeg % of every 24h window
+ */
+export function buildHistoricalSamples(historicalData) {
+  const spreadBps = historicalData.filter(d => d.isDepegged).map(d => d.depegBps)
+
+  const depegPercents = []
+  for (let i = 0; i + 24 <= historicalData.length; i++) {
+    const window = historicalData.slice(i, i + 24)
+    depegPercents.push((window.filter(d => d.isDepegged).length / 24) * 100)
+  }
+
+  return { spreadBps, depegPercents }
+}
+
+/**
+ * Draw one daily volume from the configured distribution
+ * @param {Function} random - Seeded generator
+ * @param {VolumeDistribution} distribution - Volume distribution
+ * @returns {number} - Daily volume in USD (never negative)
+ */
+export function sampleVolume(random, distribution) {
+  switch (distribution.type) {
+    case 'uniform':
+      return distribution.min + random() * (distribution.max - distribution.min)
+    case 'lognormal': {
+      const { mean, stdDev } = distribution
+      if (mean <= 0) return 0
+      // Match the lognormal's mean and variance to the requested ones
+      const sigma2 = Math.log(1 + (stdDev * stdDev) / (mean * mean))
+      const mu = Math.log(mean) - sigma2 / 2
+      return Math.exp(mu + Math.sqrt(sigma2) * sampleNormal(random))
+    }
+    default:
+      return Math.max(0, distribution.mean || 0)
+  }
+}
+
+/**
+ * Value at percentile p of an ascending-sorted array (linear interpolation)
+ * @param {number[]} sorted - Ascending values
+ * @param {number} p - Percentile (0-100)
+ * @returns {number}
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return 0
+  const index = (p / 100) * (sorted.length - 1)
+  const lower = Math.floor(index)
+  const upper = Math.ceil(index)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower)
+}
+
+const summarize = (values) => {
+  const sorted = [...values].sort((a, b) => a - b)
+  return {
+    p5: percentile(sorted, 5),
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    mean: values.reduce((sum, v) => sum + v, 0) / (values.length || 1),
+  }
+}
+
+/**
+ * Run many simulated days, drawing spread and depeg time from the historical
+ * series and volume from the user's distribution
+ * @param {Object} options
+ * @param {Object} options.params - Reserve parameters (see ReserveParams)
+ * @param {Object} options.samples - Output of buildHistoricalSamples
+ * @param {VolumeDistribution} options.volumeDistribution - Daily volume distribution
+ * @param {number} [options.iterations] - Number of simulated days
+ * @param {number} [options.seed] - Random seed; the same seed and inputs reproduce the same result
+ * @param {Function} [options.onProgress] - Called with completed fraction (0-1)
+ * @returns {Object} - Seed used, P5/P50/P95 per metric, plus the probability of days over capacity, days where the
+ *   buffer ran short of a swap it could otherwise fill, and days with swaps larger than the whole buffer
+ */
+export function runMonteCarlo({
+  params,
+  samples,
+  volumeDistribution,
+  iterations = 2000,
+  seed = 1,
+  onProgress,
+}) {
+  const random = createRandom(seed)
+  const maxDailyFees = []
+  const dailySolverIOUs = []
+  const capacityUtilization = []
+  let overCapacityDays = 0
+  let exhaustedDays = 0
+  let oversizeDays = 0
+
+  const progressStep = Math.max(1, Math.floor(iterations / 20))
+
+  for (let i = 0; i < iterations; i++) {
+    // No observed depegs means the route would open at the threshold at best
+    const spreadBps = samples.spreadBps.length > 0
+      ? samples.spreadBps[Math.floor(random() * samples.spreadBps.length)]
+      : params.depegThresholdBps ?? DEPEG_THRESHOLD_BPS
+    const depegTimePercent = samples.depegPercents.length > 0
+      ? samples.depegPercents[Math.floor(random() * samples.depegPercents.length)]
+      : params.depegTimePercent
+    const dailyVolume = sampleVolume(random, volumeDistribution)
+
+    const metrics = calculateReserveMetrics({
+      ...params,
+      dailyVolume,
+      avgSpreadBps: spreadBps,
+      depegTimePercent,
+    })
+
+    maxDailyFees.push(metrics.maxDailyFees)
+    dailySolverIOUs.push(metrics.dailySolverIOUs)
+    capacityUtilization.push(metrics.capacityUtilization)
+    if (metrics.capacityUtilization > 100) overCapacityDays++
+
+    // Replay the day swap by swap to catch intraday buffer exhaustion. Swaps larger than the
+    // whole buffer can never be filled, so they are counted apart rather than as exhaustion.
+    const intraday = simulateIntradaySwaps({
+      usdcBuffer: metrics.usdcBuffer,
+      rebalanceCyclesPerDay: params.rebalanceCyclesPerDay,
+      rebalanceEfficiency: params.rebalanceEfficiency,
+      dailyVolume,
+      depegTimePercent,
+      spreadBps: metrics.effectiveSpreadBps,
+      solverShareOfFees: params.solverShareOfFees,
+      swapDistribution: params.swapDistribution,
+      seed: seed + i + 1,
+    })
+    if (intraday.totals.exhaustedCount > 0) exhaustedDays++
+    if (intraday.totals.oversizeCount > 0) oversizeDays++
+
+    if (onProgress && (i + 1) % progressStep === 0) onProgress((i + 1) / iterations)
+  }
+
+  return {
+    iterations,
+    seed,
+    maxDailyFees: summarize(maxDailyFees),
+    dailySolverIOUs: summarize(dailySolverIOUs),
+    capacityUtilization: summarize(capacityUtilization),
+    probOverCapacity: (overCapacityDays / iterations) * 100,
+    probBufferExhausted: (exhaustedDays / iterations) * 100,
+    probOversizeSwap: (oversizeDays / iterations) * 100,
+  }
+}
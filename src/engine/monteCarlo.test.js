@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest'
+import { runMonteCarlo, buildHistoricalSamples, percentile, sampleVolume } from './monteCarlo.js'
+import { createRandom } from './random.js'
+
+// Dashboard defaults: $200k buffer, so the $1M+ tier never fits
+const PARAMS = {
+  tvl: 250000,
+  usdcWeight: 80,
+  rebalanceCyclesPerDay: 12,
+  rebalanceEfficiency: 90,
+  solverShareOfFees: 50,
+  depegTimePercent: 20,
+}
+
+const SAMPLES = { spreadBps: [10], depegPercents: [20] }
+
+describe('percentile', () => {
+  it('interpolates between ranks', () => {
+    expect(percentile([0, 10, 20], 50)).toBe(10)
+    expect(percentile([0, 10], 25)).toBe(2.5)
+    expect(percentile([], 50)).toBe(0)
+  })
+})
+
+describe('sampleVolume', () => {
+  it('stays within uniform bounds', () => {
+    const random = createRandom(3)
+    for (let i = 0; i < 100; i++) {
+      const volume = sampleVolume(random, { type: 'uniform', min: 100, max: 200 })
+      expect(volume).toBeGreaterThanOrEqual(100)
+      expect(volume).toBeLessThanOrEqual(200)
+    }
+  })
+})
+
+describe('buildHistoricalSamples', () => {
+  it('collects depegged spreads and the depeg % of each 24h window', () => {
+    const hours = Array.from({ length: 25 }, (_, i) => ({ isDepegged: i < 6, depegBps: i < 6 ? 10 : 0 }))
+    const samples = buildHistoricalSamples(hours)
+    expect(samples.spreadBps).toHaveLength(6)
+    expect(samples.depegPercents).toEqual([25, 20.833333333333336])
+  })
+})
+
+describe('runMonteCarlo', () => {
+  it('counts swaps larger than the buffer apart from buffer exhaustion', () => {
+    const result = runMonteCarlo({
+      params: PARAMS,
+      samples: SAMPLES,
+      volumeDistribution: { type: 'fixed', mean: 1000000 },
+      iterations: 200,
+    })
+
+    // Most days draw a $1M+ swap, but the buffer itself only runs short on some days
+    expect(result.probOversizeSwap).toBeGreaterThan(50)
+    expect(result.probBufferExhausted).toBeLessThan(result.probOversizeSwap)
+  })
+
+  it('reports no exhaustion when every swap fits and volume stays within one buffer', () => {
+    const result = runMonteCarlo({
+      params: {
+        ...PARAMS,
+        swapDistribution: [{ label: '<$1k', pctCount: 100, pctVolume: 100, avgSize: 500 }],
+      },
+      samples: SAMPLES,
+      volumeDistribution: { type: 'fixed', mean: 100000 },
+      iterations: 50,
+    })
+    expect(result.probBufferExhausted).toBe(0)
+    expect(result.probOversizeSwap).toBe(0)
+  })
+
+  it('flags exhaustion when swaps that fit outrun the buffer', () => {
+    const result = runMonteCarlo({
+      params: {
+        ...PARAMS,
+        rebalanceCyclesPerDay: 1,
+        swapDistribution: [{ label: '$10k-$100k', pctCount: 100, pctVolume: 100, avgSize: 50000 }],
+      },
+      samples: SAMPLES,
+      volumeDistribution: { type: 'fixed', mean: 1000000 },
+      iterations: 50,
+    })
+    expect(result.probBufferExhausted).toBe(100)
+    expect(result.probOversizeSwap).toBe(0)
+  })
+
+  it('reproduces a run from the seed it reports', () => {
+    const options = {
+      params: PARAMS,
+      samples: { spreadBps: [5, 10, 20], depegPercents: [10, 20, 40] },
+      volumeDistribution: { type: 'lognormal', mean: 500000, stdDev: 250000 },
+      iterations: 100,
+      seed: 424242,
+    }
+    const first = runMonteCarlo(options)
+    const second = runMonteCarlo({ ...options, seed: first.seed })
+
+    expect(first.seed).toBe(424242)
+    expect(second).toEqual(first)
+    expect(runMonteCarlo({ ...options, seed: 7 })).not.toEqual(first)
+  })
+})
@@ -0,0 +1,45 @@
+/**
+ * Seeded pseudo-random generator (mulberry32) so simulations are reproducible
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} - Returns a float in [0, 1) on each call
+ */
+export function createRandom(seed = 1) {
+  let state = seed >>> 0
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Pick an index from a list of non-negative weights
+ * @param {Function} random - Generator from createRandom
+ * @param {number[]} weights - Relative weights
+ * @returns {number} - Chosen index
+ */
+export function pickWeighted(random, weights) {
+  const total = weights.reduce((sum, w) => sum + w, 0)
+  if (total <= 0) return 0
+
+  let target = random() * total
+  for (let i = 0; i < weights.length; i++) {
+    target -= weights[i]
+    if (target < 0) return i
+  }
+  return weights.length - 1
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ * @param {Function} random - Generator from createRandom
+ * @returns {number} - Sample from N(0, 1)
+ */
+export function sampleNormal(random) {
+  const u = 1 - random() // (0, 1] so log() stays finite
+  const v = random()
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+}
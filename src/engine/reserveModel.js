@@ -0,0 +1,193 @@
+// IOU Distribution Constants
+export const TRADER_SHARE = 0.20 // 20% of IOUs go to trader
+export const PROTOCOL_FEES_SHARE = 0.80 // 80% of IOUs are protocol fees
+
+// Default route-open threshold: $0.9995 = 5 bps below peg (configurable per scenario)
+export const DEPEG_THRESHOLD_BPS = 5
+
+// Swap Distribution (realistic market data)
+export const DEFAULT_SWAP_DISTRIBUTION = [
+  { label: '<$1k', pctCount: 45, pctVolume: 0.3, avgSize: 500 },
+  { label: '$1k-$10k', pctCount: 30, pctVolume: 3.2, avgSize: 5000 },
+  { label: '$10k-$100k', pctCount: 20, pctVolume: 21.5, avgSize: 50000 },
+  { label: '$100k-$1M', pctCount: 4, pctVolume: 41.3, avgSize: 500000 },
+  { label: '$1M+', pctCount: 1, pctVolume: 33.6, avgSize: 2000000 },
+]
+
+/**
+ * @typedef {Object} SwapTier
+ * @property {string} label - Display label for the size bucket
+ * @property {number} pctCount - % of swaps (by count) in this tier
+ * @property {number} pctVolume - % of volume in this tier
+ * @property {number} avgSize - Average swap size in USD
+ */
+
+/**
+ * @typedef {Object} ReserveParams
+ * @property {number} tvl - Total value locked in the reserve (USD)
+ * @property {number} usdcWeight - USDC share of TVL (0-100)
+ * @property {number} rebalanceCyclesPerDay - Full reserve cycles per day
+ * @property {number} rebalanceEfficiency - % of theoretical rebalance achieved (0-100)
+ * @property {number} solverShareOfFees - % of the protocol fees paid to the solver (0-100)
+ * @property {number} dailyVolume - Volume processed per day (USD)
+ * @property {number} avgSpreadBps - Spread below peg available to the route (bps)
+ * @property {number} depegTimePercent - % of time the route is open (0-100)
+ * @property {number} [depegThresholdBps] - Spread at which the route opens, defaults to DEPEG_THRESHOLD_BPS
+ * @property {SwapTier[]} [swapDistribution] - Swap size tiers, defaults to DEFAULT_SWAP_DISTRIBUTION
+ * @property {Array<number|null>} [tierSpreadsBps] - Spread quoted at each tier's size; falls back to avgSpreadBps
+ */
+
+/**
+ * Effective shares of total IOUs for trader, solver and protocol
+ * @param {number} solverShareOfFees - % of the protocol fees paid to the solver (0-100)
+ * @returns {Object} - Shares as fractions of total IOUs (sum to 1)
+ */
+export function calculateIOUShares(solverShareOfFees) {
+  const solverShareOfProtocolFees = solverShareOfFees / 100
+  const protocolShareOfProtocolFees = 1 - solverShareOfProtocolFees
+
+  return {
+    trader: TRADER_SHARE,
+    solver: PROTOCOL_FEES_SHARE * solverShareOfProtocolFees, // e.g., 80% × 50% = 40%
+    protocol: PROTOCOL_FEES_SHARE * protocolShareOfProtocolFees, // e.g., 80% × 50% = 40%
+  }
+}
+
+/**
+ * Protocol fees (80% of IOUs) earned on a given volume
+ * @param {number} volume - Volume swapped (USD)
+ * @param {number} spreadBps - Spread below peg (bps)
+ * @returns {number} - Protocol fees in USD
+ */
+export function calculateProtocolFees(volume, spreadBps) {
+  return volume * (spreadBps / 10000) * PROTOCOL_FEES_SHARE
+}
+
+/**
+ * Share of volume and of swap count in the tiers whose average size fits one swap.
+ * Tier shares may not sum to exactly 100 (validateSwapDistribution allows some rounding),
+ * so both are measured against the distribution's own totals.
+ * @param {SwapTier[]} swapDistribution - Swap size tiers
+ * @param {number} maxSingleSwap - Largest swap the buffer can fill (USD)
+ * @returns {Object} - supportedTiers, volumeCoverage and countCoverage (0-100)
+ */
+export function calculateCoverage(swapDistribution, maxSingleSwap) {
+  const supportedTiers = swapDistribution.filter(tier => tier.avgSize <= maxSingleSwap)
+  const shareOfTotal = (key) => {
+    const total = swapDistribution.reduce((sum, tier) => sum + tier[key], 0)
+    return total > 0 ? (supportedTiers.reduce((sum, tier) => sum + tier[key], 0) / total) * 100 : 0
+  }
+
+  return {
+    supportedTiers,
+    volumeCoverage: shareOfTotal('pctVolume'),
+    countCoverage: shareOfTotal('pctCount'),
+  }
+}
+
+/**
+ * Calculate capacity, coverage and IOU metrics for a reserve configuration
+ * @param {ReserveParams} params - Reserve, rebalancing and market parameters
+ * @returns {Object} - Full metrics object consumed by the dashboard
+ */
+export function calculateReserveMetrics({
+  tvl,
+  usdcWeight,
+  rebalanceCyclesPerDay,
+  rebalanceEfficiency,
+  solverShareOfFees,
+  dailyVolume = 0,
+  avgSpreadBps = 0,
+  depegTimePercent = 0,
+  depegThresholdBps = DEPEG_THRESHOLD_BPS,
+  swapDistribution = DEFAULT_SWAP_DISTRIBUTION,
+  tierSpreadsBps = [],
+}) {
+  const usdcBuffer = tvl * (usdcWeight / 100)
+  const efficiency = rebalanceEfficiency / 100
+  const effectiveCycles = rebalanceCyclesPerDay * efficiency
+
+  // Core capacity metrics
+  const maxSingleSwap = usdcBuffer
+  const dailyCapacity = usdcBuffer * effectiveCycles
+  const hourlyCapacity = dailyCapacity / 24
+
+  // Route availability
+  const activeHoursPerDay = 24 * (depegTimePercent / 100)
+  const activeCapacityPerHour = hourlyCapacity * (depegTimePercent / 100)
+
+  // For fee calculations: use threshold spread as minimum (route only opens at threshold)
+  // If current spread is higher, use that instead
+  const effectiveSpreadBps = avgSpreadBps >= depegThresholdBps ? avgSpreadBps : depegThresholdBps
+
+  const shares = calculateIOUShares(solverShareOfFees)
+
+  // Profit per swap tier (in IOUs) - uses the spread quoted at the tier's size when available
+  const profitByTier = swapDistribution.map((tier, i) => {
+    const spreadBps = tierSpreadsBps[i] ?? avgSpreadBps
+    const totalIOUs = tier.avgSize * (spreadBps / 10000) // Total IOUs minted at the tier spread
+    return {
+      ...tier,
+      spreadBps,
+      totalIOUs,
+      traderIOUs: totalIOUs * shares.trader,
+      solverIOUs: totalIOUs * shares.solver,
+      protocolIOUs: totalIOUs * shares.protocol,
+    }
+  })
+
+  // Max daily fees calculation (uses effective spread)
+  const maxDailyFees = calculateProtocolFees(dailyCapacity, effectiveSpreadBps)
+
+  // Coverage analysis
+  const { supportedTiers, volumeCoverage, countCoverage } = calculateCoverage(swapDistribution, maxSingleSwap)
+
+  // Daily metrics using ACTUAL volume
+  const totalDailyIOUs = dailyVolume * (avgSpreadBps / 10000)
+  const dailyTraderIOUs = totalDailyIOUs * shares.trader
+  const dailySolverIOUs = totalDailyIOUs * shares.solver
+  const dailyProtocolIOUs = totalDailyIOUs * shares.protocol
+
+  return {
+    // Liquidity
+    tvl,
+    usdcBuffer,
+    maxSingleSwap,
+    liquidityRefreshRate: rebalanceCyclesPerDay,
+
+    // Capacity
+    dailyCapacity,
+    hourlyCapacity,
+    activeCapacityPerHour,
+
+    // Availability
+    depegTimePercent,
+    activeHoursPerDay,
+
+    // IOU Economics
+    avgSpreadBps,
+    effectiveSpreadBps,
+    depegThresholdBps,
+    traderEffectiveShare: shares.trader * 100,
+    solverEffectiveShare: shares.solver * 100,
+    protocolEffectiveShare: shares.protocol * 100,
+    solverShareOfFees,
+    profitByTier,
+    maxDailyFees,
+
+    // Daily Metrics
+    dailyVolume,
+    totalDailyIOUs,
+    dailyTraderIOUs,
+    dailySolverIOUs,
+    dailyProtocolIOUs,
+
+    // Coverage
+    volumeCoverage,
+    countCoverage,
+    supportedTiers,
+
+    // Utilization (based on actual volume)
+    capacityUtilization: dailyVolume > 0 ? (dailyVolume / dailyCapacity) * 100 : 0,
+  }
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest'
+import {
+  calculateIOUShares,
+  calculateProtocolFees,
+  calculateReserveMetrics,
+  DEFAULT_SWAP_DISTRIBUTION,
+  DEPEG_THRESHOLD_BPS,
+} from './reserveModel.js'
+
+// Dashboard defaults
+const DEFAULT_PARAMS = {
+  tvl: 250000,
+  usdcWeight: 80,
+  rebalanceCyclesPerDay: 12,
+  rebalanceEfficiency: 90,
+  solverShareOfFees: 50,
+}
+
+describe('calculateIOUShares', () => {
+  it('splits IOUs 20% trader and 80% protocol fees between solver and protocol', () => {
+    expect(calculateIOUShares(50)).toEqual({ trader: 0.2, solver: 0.4, protocol: 0.4 })
+  })
+
+  it.each([0, 25, 50, 75, 100])('sums to 1 at a %i% solver share', (solverShare) => {
+    const shares = calculateIOUShares(solverShare)
+    expect(shares.trader + shares.solver + shares.protocol).toBeCloseTo(1, 12)
+  })
+})
+
+describe('calculateProtocolFees', () => {
+  it('takes 80% of the spread on the volume', () => {
+    expect(calculateProtocolFees(1000000, 20)).toBeCloseTo(1600, 8)
+  })
+})
+
+describe('calculateReserveMetrics', () => {
+  it('matches the original inline formulas for the default scenario', () => {
+    const metrics = calculateReserveMetrics({ ...DEFAULT_PARAMS, avgSpreadBps: 20 })
+
+    // Buffer = TVL × weight; capacity = buffer × cycles × efficiency
+    expect(metrics.usdcBuffer).toBe(200000)
+    expect(metrics.maxSingleSwap).toBe(200000)
+    expect(metrics.dailyCapacity).toBeCloseTo(2160000, 6)
+    expect(metrics.hourlyCapacity).toBeCloseTo(90000, 6)
+    expect(metrics.maxDailyFees).toBeCloseTo(3456, 6)
+    expect(metrics.traderEffectiveShare).toBeCloseTo(20, 12)
+    expect(metrics.solverEffectiveShare).toBeCloseTo(40, 12)
+    expect(metrics.protocolEffectiveShare).toBeCloseTo(40, 12)
+  })
+
+  it('prices fees at the threshold when the current spread is below it', () => {
+    const metrics = calculateReserveMetrics({ ...DEFAULT_PARAMS, avgSpreadBps: 1 })
+    expect(metrics.effectiveSpreadBps).toBe(DEPEG_THRESHOLD_BPS)
+    expect(metrics.maxDailyFees).toBeCloseTo(2160000 * (DEPEG_THRESHOLD_BPS / 10000) * 0.8, 6)
+  })
+
+  it('covers only the tiers whose average size fits in one buffer', () => {
+    const metrics = calculateReserveMetrics(DEFAULT_PARAMS)
+    expect(metrics.supportedTiers.map(tier => tier.label)).toEqual(['<$1k', '$1k-$10k', '$10k-$100k'])
+    // Stock volume shares sum to 99.9, so coverage is measured against that total
+    expect(metrics.volumeCoverage).toBeCloseTo((25 / 99.9) * 100, 8)
+    expect(metrics.countCoverage).toBe(95)
+  })
+
+  it('uses the quoted spread per tier and falls back to the average spread', () => {
+    const metrics = calculateReserveMetrics({ ...DEFAULT_PARAMS, avgSpreadBps: 10, tierSpreadsBps: [5, null] })
+    expect(metrics.profitByTier[0].spreadBps).toBe(5)
+    expect(metrics.profitByTier[1].spreadBps).toBe(10)
+    expect(metrics.profitByTier[0].totalIOUs).toBeCloseTo(DEFAULT_SWAP_DISTRIBUTION[0].avgSize * 0.0005, 10)
+  })
+
+  it('reports daily IOUs and utilization against actual volume', () => {
+    const metrics = calculateReserveMetrics({ ...DEFAULT_PARAMS, avgSpreadBps: 20, dailyVolume: 1080000 })
+    expect(metrics.totalDailyIOUs).toBeCloseTo(2160, 8)
+    expect(metrics.dailyTraderIOUs + metrics.dailySolverIOUs + metrics.dailyProtocolIOUs).toBeCloseTo(2160, 8)
+    expect(metrics.capacityUtilization).toBeCloseTo(50, 8)
+  })
+
+  it('reports zero utilization and IOUs with zero volume', () => {
+    const metrics = calculateReserveMetrics({ ...DEFAULT_PARAMS, avgSpreadBps: 20, dailyVolume: 0 })
+    expect(metrics.capacityUtilization).toBe(0)
+    expect(metrics.totalDailyIOUs).toBe(0)
+  })
+
+  it('handles a reserve with no capacity', () => {
+    const metrics = calculateReserveMetrics({ ...DEFAULT_PARAMS, tvl: 0, avgSpreadBps: 20 })
+    expect(metrics.dailyCapacity).toBe(0)
+    expect(metrics.maxDailyFees).toBe(0)
+    expect(metrics.supportedTiers).toEqual([])
+    expect(metrics.volumeCoverage).toBe(0)
+    expect(metrics.capacityUtilization).toBe(0)
+
+    // Any volume is over capacity
+    expect(calculateReserveMetrics({ ...DEFAULT_PARAMS, rebalanceEfficiency: 0, dailyVolume: 1000 }).capacityUtilization).toBe(Infinity)
+  })
+})
@@ -0,0 +1,133 @@
+import { DEPEG_THRESHOLD_BPS } from './reserveModel.js'
+import { sampleHoldMs } from './sampleStats.js'
+
+/**
+ * @typedef {Object} RouteRule
+ * @property {number} depegThresholdBps - Spread below peg at which a pool counts as depegged
+ * @property {number} routeMinPools - Depegged DEX pools needed to open the route (1 = any pool)
+ * @property {number} routeRequireOracle - 1 to also require the oracle price below the threshold
+ * @property {number} routeOpenAfterMinutes - How long the signal must hold before the route opens
+ * @property {number} routeCloseAfterMinutes - How long the signal must be clear before the route closes
+ */
+
+// The protocol's current rule: open as soon as any pool is 5 bps below peg
+export const DEFAULT_ROUTE_RULE = {
+  depegThresholdBps: DEPEG_THRESHOLD_BPS,
+  routeMinPools: 1,
+  routeRequireOracle: 0,
+  routeOpenAfterMinutes: 0,
+  routeCloseAfterMinutes: 0,
+}
+
+export const ROUTE_RULE_KEYS = Object.keys(DEFAULT_ROUTE_RULE)
+
+/**
+ * Route rule fields of a scenario parameter set
+ * @param {Object} params - Scenario parameters
+ * @returns {RouteRule}
+ */
+export const pickRouteRule = (params) => Object.fromEntries(
+  ROUTE_RULE_KEYS.map(key => [key, params[key] ?? DEFAULT_ROUTE_RULE[key]])
+)
+
+/**
+ * Price below which a pool counts as depegged
+ * @param {number} thresholdBps - Spread below peg (bps)
+ * @returns {number}
+ */
+export const thresholdPriceFor = (thresholdBps) => 1 - thresholdBps / 10000
+
+/**
+ * One-line description of a rule, e.g. "2 of 4 pools below $0.9995, oracle-confirmed"
+ * @param {RouteRule} rule
+ * @param {number} poolCount - DEX pools monitored
+ * @returns {string}
+ */
+export function describeRouteRule(rule, poolCount) {
+  const pools = rule.routeMinPools <= 1 ? 'any pool' : `${Math.min(rule.routeMinPools, poolCount)} of ${poolCount} pools`
+  const parts = [`${pools} below $${thresholdPriceFor(rule.depegThresholdBps).toFixed(4)}`]
+  if (rule.routeRequireOracle) parts.push('oracle-confirmed')
+  if (rule.routeOpenAfterMinutes > 0) parts.push(`open after ${rule.routeOpenAfterMinutes}m`)
+  if (rule.routeCloseAfterMinutes > 0) parts.push(`close after ${rule.routeCloseAfterMinutes}m at peg`)
+  return parts.join(', ')
+}
+
+/**
+ * Whether the prices at one instant meet the rule's open condition (before hysteresis)
+ * @param {Object} prices - Source id → price (null when unavailable)
+ * @param {string[]} poolIds - DEX pools the rule counts
+ * @param {number|null} oraclePrice - Reference price for oracle confirmation
+ * @param {RouteRule} rule
+ * @returns {Object} - { signal, depeggedPools }
+ */
+export function evaluateRouteSignal(prices, poolIds, oraclePrice, rule) {
+  const thresholdPrice = thresholdPriceFor(rule.depegThresholdBps)
+  const depeggedPools = poolIds.filter(id => prices[id] !== null && prices[id] !== undefined && prices[id] < thresholdPrice).length
+  // N-of-M can't ask for more pools than are monitored
+  const poolsMet = depeggedPools >= Math.max(1, Math.min(rule.routeMinPools, poolIds.length))
+  const oracleMet = !rule.routeRequireOracle || (oraclePrice !== null && oraclePrice !== undefined && oraclePrice < thresholdPrice)
+  return { signal: poolsMet && oracleMet, depeggedPools }
+}
+
+/**
+ * Apply the rule's open/close delays to a signal timeline. The route opens once
+ * the signal has held for routeOpenAfterMinutes and closes once it has been
+ * clear for routeCloseAfterMinutes.
+ * @param {Object[]} timeline - { timestamp, signal } entries, oldest first
+ * @param {RouteRule} rule
+ * @returns {Object[]} - The entries with an `open` flag added
+ */
+export function applyRouteHysteresis(timeline, rule) {
+  const openAfterMs = rule.routeOpenAfterMinutes * 60 * 1000
+  const closeAfterMs = rule.routeCloseAfterMinutes * 60 * 1000
+  let open = false
+  let signalSince = null
+  let clearSince = null
+
+  return timeline.map(entry => {
+    if (entry.signal) {
+      signalSince = signalSince ?? entry.timestamp
+      clearSince = null
+      if (!open && entry.timestamp - signalSince >= openAfterMs) open = true
+    } else {
+      clearSince = clearSince ?? entry.timestamp
+      signalSince = null
+      if (open && entry.timestamp - clearSince >= closeAfterMs) open = false
+    }
+    return { ...entry, open }
+  })
+}
+
+/**
+ * Route-open timeline over multi-source samples
+ * @param {Object[]} samples - { timestamp, prices } samples, oldest first
+ * @param {string[]} poolIds - DEX pools the rule counts
+ * @param {string|null} oracleId - Source id of the oracle price inside each sample
+ * @param {RouteRule} rule
+ * @returns {Object[]} - { timestamp, signal, depeggedPools, open }
+ */
+export function buildRouteTimeline(samples, poolIds, oracleId, rule) {
+  return applyRouteHysteresis(samples.map(sample => ({
+    timestamp: sample.timestamp,
+    ...evaluateRouteSignal(sample.prices, poolIds, oracleId ? sample.prices[oracleId] : null, rule),
+  })), rule)
+}
+
+/**
+ * Share of time in a trailing window during which the route was open, weighting each
+ * entry by the time it covers (see sampleHoldMs)
+ * @param {Object[]} timeline - From buildRouteTimeline
+ * @param {Object} options - { windowMs, now }
+ * @returns {Object} - { openPercent, openSamples, totalSamples }
+ */
+export function calculateRouteOpenStats(timeline, { windowMs, now = Date.now() }) {
+  const windowEntries = timeline.filter(entry => entry.timestamp > now - windowMs && entry.timestamp <= now)
+  const holds = sampleHoldMs(windowEntries.map(entry => entry.timestamp))
+  const totalMs = holds.reduce((sum, ms) => sum + ms, 0)
+  const openMs = windowEntries.reduce((sum, entry, i) => sum + (entry.open ? holds[i] : 0), 0)
+  return {
+    openPercent: totalMs > 0 ? (openMs / totalMs) * 100 : 0,
+    openSamples: windowEntries.filter(entry => entry.open).length,
+    totalSamples: windowEntries.length,
+  }
+}
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_ROUTE_RULE,
+  pickRouteRule,
+  thresholdPriceFor,
+  describeRouteRule,
+  evaluateRouteSignal,
+  applyRouteHysteresis,
+  buildRouteTimeline,
+  calculateRouteOpenStats,
+} from './routeRules.js'
+
+const MINUTE_MS = 60 * 1000
+const POOLS = ['A', 'B', 'C']
+
+const rule = (overrides = {}) => ({ ...DEFAULT_ROUTE_RULE, ...overrides })
+
+describe('thresholdPriceFor', () => {
+  it('converts a spread in bps to a price below peg', () => {
+    expect(thresholdPriceFor(5)).toBeCloseTo(0.9995, 12)
+  })
+})
+
+describe('pickRouteRule', () => {
+  it('fills missing fields from the default rule', () => {
+    expect(pickRouteRule({ tvl: 1, routeMinPools: 2 })).toEqual(rule({ routeMinPools: 2 }))
+  })
+})
+
+describe('describeRouteRule', () => {
+  it('describes N-of-M, oracle confirmation and delays', () => {
+    expect(describeRouteRule(rule({ routeMinPools: 2, routeRequireOracle: 1, routeOpenAfterMinutes: 5 }), 4))
+      .toBe('2 of 4 pools below $0.9995, oracle-confirmed, open after 5m')
+  })
+})
+
+describe('evaluateRouteSignal', () => {
+  it('opens on any depegged pool under the default rule', () => {
+    expect(evaluateRouteSignal({ A: 0.999, B: 1, C: null }, POOLS, null, rule())).toEqual({ signal: true, depeggedPools: 1 })
+  })
+
+  it('needs N depegged pools, capped at the pools monitored', () => {
+    const prices = { A: 0.999, B: 0.999, C: 1 }
+    expect(evaluateRouteSignal(prices, POOLS, null, rule({ routeMinPools: 3 })).signal).toBe(false)
+    expect(evaluateRouteSignal(prices, ['A', 'B'], null, rule({ routeMinPools: 3 })).signal).toBe(true)
+  })
+
+  it('requires the oracle below the threshold when oracle-confirmed', () => {
+    const prices = { A: 0.999 }
+    expect(evaluateRouteSignal(prices, POOLS, 1, rule({ routeRequireOracle: 1 })).signal).toBe(false)
+    expect(evaluateRouteSignal(prices, POOLS, null, rule({ routeRequireOracle: 1 })).signal).toBe(false)
+    expect(evaluateRouteSignal(prices, POOLS, 0.999, rule({ routeRequireOracle: 1 })).signal).toBe(true)
+  })
+})
+
+describe('applyRouteHysteresis', () => {
+  const timeline = [true, true, true, false, false, true].map((signal, i) => ({ timestamp: i * MINUTE_MS, signal }))
+
+  it('follows the signal without delays', () => {
+    expect(applyRouteHysteresis(timeline, rule()).map(e => e.open)).toEqual([true, true, true, false, false, true])
+  })
+
+  it('opens after the signal holds and closes after it stays clear', () => {
+    const delayed = applyRouteHysteresis(timeline, rule({ routeOpenAfterMinutes: 2, routeCloseAfterMinutes: 1 }))
+    expect(delayed.map(e => e.open)).toEqual([false, false, true, true, false, false])
+  })
+})
+
+describe('buildRouteTimeline and calculateRouteOpenStats', () => {
+  it('replays samples and reports the open share of a trailing window', () => {
+    const samples = [
+      { timestamp: 1 * MINUTE_MS, prices: { A: 1, ORACLE: 1 } },
+      { timestamp: 2 * MINUTE_MS, prices: { A: 0.999, ORACLE: 1 } },
+      { timestamp: 3 * MINUTE_MS, prices: { A: 0.999, ORACLE: 0.999 } },
+      { timestamp: 4 * MINUTE_MS, prices: { A: 0.999, ORACLE: 0.999 } },
+    ]
+    const timeline = buildRouteTimeline(samples, ['A'], 'ORACLE', rule({ routeRequireOracle: 1 }))
+    expect(timeline.map(e => e.open)).toEqual([false, false, true, true])
+
+    const stats = calculateRouteOpenStats(timeline, { windowMs: 4 * MINUTE_MS, now: 4 * MINUTE_MS })
+    expect(stats).toEqual({ openPercent: 50, openSamples: 2, totalSamples: 4 })
+  })
+
+  it('weights entries by the time they cover', () => {
+    const HOUR_MS = 60 * MINUTE_MS
+    const timeline = [
+      { timestamp: 0, open: false },
+      { timestamp: HOUR_MS, open: true },
+      { timestamp: HOUR_MS + MINUTE_MS, open: true },
+    ]
+    const stats = calculateRouteOpenStats(timeline, { windowMs: 2 * HOUR_MS, now: HOUR_MS + MINUTE_MS })
+    expect(stats.openPercent).toBeCloseTo((2 / 62) * 100, 8)
+    expect(stats.openSamples).toBe(2)
+  })
+
+  it('reports 0% with no samples in the window', () => {
+    expect(calculateRouteOpenStats([], { windowMs: MINUTE_MS, now: 0 }).openPercent).toBe(0)
+  })
+})
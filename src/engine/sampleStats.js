@@ -0,0 +1,147 @@
+// Windows offered for per-source historical depeg stats
+export const STATS_WINDOWS = [
+  { id: '1h', label: '1h', ms: 60 * 60 * 1000 },
+  { id: '24h', label: '24h', ms: 24 * 60 * 60 * 1000 },
+  { id: '7d', label: '7d', ms: 7 * 24 * 60 * 60 * 1000 },
+]
+
+// A sample stands for the time until the next one, up to this long; longer gaps are missing data.
+// Live samples are a minute apart and backfilled ones an hour, so both weigh by the time they cover.
+export const MAX_SAMPLE_HOLD_MS = 60 * 60 * 1000
+
+/**
+ * Time each sample of a series stands for: the gap to the next sample (the last one
+ * reuses the gap before it), capped at MAX_SAMPLE_HOLD_MS
+ * @param {number[]} timestamps - Ascending epoch ms
+ * @returns {number[]} - Milliseconds per sample
+ */
+export function sampleHoldMs(timestamps) {
+  return timestamps.map((timestamp, i) => {
+    const gap = i < timestamps.length - 1
+      ? timestamps[i + 1] - timestamp
+      : (i > 0 ? timestamp - timestamps[i - 1] : MAX_SAMPLE_HOLD_MS)
+    return Math.min(gap, MAX_SAMPLE_HOLD_MS)
+  })
+}
+
+/**
+ * Per-source depeg stats over the samples inside a trailing window. The depeg % is
+ * weighted by the time each sample covers, so hourly backfill and per-minute live
+ * samples in the same series count in proportion to the time they represent.
+ * @param {Object[]} samples - { timestamp, prices } samples, oldest first
+ * @param {string[]} sourceIds - Sources to report on
+ * @param {Object} options
+ * @param {number} options.windowMs - Trailing window length
+ * @param {number} options.thresholdPrice - Price below which a sample counts as depegged
+ * @param {number} [options.now] - End of the window (epoch ms)
+ * @returns {Object} - Source id → { depeggedSamples, totalSamples, depegPercent, samplePeriodHours }
+ */
+export function calculateSourceStats(samples, sourceIds, { windowMs, thresholdPrice, now = Date.now() }) {
+  const from = now - windowMs
+  const windowSamples = samples.filter(sample => sample.timestamp > from && sample.timestamp <= now)
+  const holds = sampleHoldMs(windowSamples.map(sample => sample.timestamp))
+
+  const counts = Object.fromEntries(sourceIds.map(id => [id, { depegged: 0, total: 0, depeggedMs: 0, totalMs: 0 }]))
+  windowSamples.forEach((sample, i) => {
+    sourceIds.forEach(id => {
+      const price = sample.prices[id]
+      if (price === null || price === undefined) return
+      counts[id].total++
+      counts[id].totalMs += holds[i]
+      if (price < thresholdPrice) {
+        counts[id].depegged++
+        counts[id].depeggedMs += holds[i]
+      }
+    })
+  })
+
+  const samplePeriodHours = windowSamples.length > 0
+    ? (now - windowSamples[0].timestamp) / (1000 * 60 * 60)
+    : 0
+
+  return Object.fromEntries(sourceIds.map(id => [id, {
+    depeggedSamples: counts[id].depegged,
+    totalSamples: counts[id].total,
+    depegPercent: counts[id].totalMs > 0 ? (counts[id].depeggedMs / counts[id].totalMs) * 100 : 0,
+    samplePeriodHours,
+  }]))
+}
+
+const HOUR_MS = 60 * 60 * 1000
+
+/**
+ * One source's samples as an hourly price series in the shape of the CoinGecko
+ * history (so backtests and depeg stats accept either). Samples within the
+ * same UTC hour are averaged; hours without a price are skipped.
+ * @param {Object[]} samples - { timestamp, prices } samples
+ * @param {string} sourceId - Price source id
+ * @param {number} thresholdPrice - Price below which an hour counts as depegged
+ * @returns {Object[]} - { timestamp, date, price, isDepegged, depegBps } points, oldest first
+ */
+export function toHourlySeries(samples, sourceId, thresholdPrice) {
+  const hours = new Map() // hour start → { sum, count }
+  samples.forEach(sample => {
+    const price = sample.prices[sourceId]
+    if (price === null || price === undefined) return
+    const hour = Math.floor(sample.timestamp / HOUR_MS) * HOUR_MS
+    const bucket = hours.get(hour) ?? { sum: 0, count: 0 }
+    bucket.sum += price
+    bucket.count++
+    hours.set(hour, bucket)
+  })
+
+  return [...hours.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([timestamp, { sum, count }]) => {
+      const price = sum / count
+      return {
+        timestamp,
+        date: new Date(timestamp).toISOString(),
+        price,
+        isDepegged: price < thresholdPrice,
+        depegBps: price < 1.0 ? ((1.0 - price) * 10000) : 0,
+      }
+    })
+}
+
+/**
+ * Depeg statistics over an hourly price series
+ * @param {Object[]} points - Hourly points with isDepegged and depegBps
+ * @returns {Object} - { depegPercent, avgDepegBps, maxDepegBps, depeggedHours, totalHours, atPegPercent, activeHoursPerDay }
+ */
+export function calculateDepegStats(points) {
+  if (points.length === 0) {
+    return {
+      depegPercent: 0,
+      avgDepegBps: 0,
+      maxDepegBps: 0,
+      depeggedHours: 0,
+      totalHours: 0,
+      atPegPercent: 100,
+      activeHoursPerDay: 0,
+    }
+  }
+
+  const depegPeriods = points.filter(d => d.isDepegged)
+  const depeggedHours = depegPeriods.length
+  const totalHours = points.length
+  const depegPercent = (depeggedHours / totalHours) * 100
+
+  const avgDepegBps = depegPeriods.length > 0
+    ? depegPeriods.reduce((sum, d) => sum + d.depegBps, 0) / depegPeriods.length
+    : 0
+
+  const maxDepegBps = depegPeriods.length > 0
+    ? Math.max(...depegPeriods.map(d => d.depegBps))
+    : 0
+
+  return {
+    depegPercent,
+    avgDepegBps,
+    maxDepegBps,
+    depeggedHours,
+    totalHours,
+    atPegPercent: 100 - depegPercent,
+    activeHoursPerDay: 24 * (depegPercent / 100),
+  }
+}
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest'
+import { sampleHoldMs, calculateSourceStats, MAX_SAMPLE_HOLD_MS } from './sampleStats.js'
+
+const MINUTE_MS = 60 * 1000
+const HOUR_MS = 60 * MINUTE_MS
+
+describe('sampleHoldMs', () => {
+  it('holds each sample until the next, capped across gaps', () => {
+    expect(sampleHoldMs([0, MINUTE_MS, 3 * HOUR_MS, 3 * HOUR_MS + MINUTE_MS]))
+      .toEqual([MINUTE_MS, MAX_SAMPLE_HOLD_MS, MINUTE_MS, MINUTE_MS])
+  })
+
+  it('gives a lone sample the full hold', () => {
+    expect(sampleHoldMs([5])).toEqual([MAX_SAMPLE_HOLD_MS])
+    expect(sampleHoldMs([])).toEqual([])
+  })
+})
+
+describe('calculateSourceStats', () => {
+  it('weights hourly backfill and per-minute live samples by the time they cover', () => {
+    // Two backfilled hours at peg, then one hour of live samples depegged
+    const samples = [
+      { timestamp: 0, prices: { A: 1 } },
+      { timestamp: HOUR_MS, prices: { A: 1 } },
+      ...Array.from({ length: 60 }, (_, i) => ({ timestamp: 2 * HOUR_MS + i * MINUTE_MS, prices: { A: 0.99 } })),
+    ]
+    const now = 2 * HOUR_MS + 59 * MINUTE_MS
+    const stats = calculateSourceStats(samples, ['A'], { windowMs: 3 * HOUR_MS, thresholdPrice: 0.9995, now })
+
+    expect(stats.A.totalSamples).toBe(62)
+    expect(stats.A.depeggedSamples).toBe(60)
+    // By count this would be 96.8%; by time it is one hour of three
+    expect(stats.A.depegPercent).toBeCloseTo(100 / 3, 8)
+  })
+
+  it('skips sources without a price and reports 0% with no samples', () => {
+    const stats = calculateSourceStats([{ timestamp: 1, prices: { A: null } }], ['A', 'B'], { windowMs: 10, thresholdPrice: 1, now: 1 })
+    expect(stats.A).toMatchObject({ totalSamples: 0, depegPercent: 0 })
+    expect(stats.B).toMatchObject({ totalSamples: 0, depegPercent: 0 })
+  })
+})
@@ -0,0 +1,152 @@
+import { DEFAULT_SWAP_DISTRIBUTION } from './reserveModel.js'
+
+// Tier edges used when bucketing raw swap sizes (USD)
+export const DEFAULT_TIER_BOUNDARIES = [
+  { label: '<$1k', max: 1000 },
+  { label: '$1k-$10k', max: 10000 },
+  { label: '$10k-$100k', max: 100000 },
+  { label: '$100k-$1M', max: 1000000 },
+  { label: '$1M+', max: Infinity },
+]
+
+// Sums within this many percentage points of 100 are accepted
+const SUM_TOLERANCE = 0.5
+const MAX_TIERS = 12
+
+/**
+ * Check a tier list is usable by the engine
+ * @param {Object[]} tiers - Swap size tiers
+ * @returns {Object} - { valid, errors, countTotal, volumeTotal }
+ */
+export function validateSwapDistribution(tiers) {
+  const errors = []
+
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return { valid: false, errors: ['At least one tier is required'], countTotal: 0, volumeTotal: 0 }
+  }
+  if (tiers.length > MAX_TIERS) errors.push(`At most ${MAX_TIERS} tiers are supported`)
+
+  tiers.forEach((tier, i) => {
+    const name = tier.label || `Tier ${i + 1}`
+    if (!tier.label || !String(tier.label).trim()) errors.push(`Tier ${i + 1} needs a label`)
+    if (!(tier.avgSize > 0)) errors.push(`${name}: average size must be positive`)
+    if (!(tier.pctCount >= 0)) errors.push(`${name}: count % must be zero or more`)
+    if (!(tier.pctVolume >= 0)) errors.push(`${name}: volume % must be zero or more`)
+  })
+
+  const countTotal = tiers.reduce((sum, t) => sum + (Number(t.pctCount) || 0), 0)
+  const volumeTotal = tiers.reduce((sum, t) => sum + (Number(t.pctVolume) || 0), 0)
+  if (Math.abs(countTotal - 100) > SUM_TOLERANCE) errors.push(`Count % sums to ${countTotal.toFixed(1)}, not 100`)
+  if (Math.abs(volumeTotal - 100) > SUM_TOLERANCE) errors.push(`Volume % sums to ${volumeTotal.toFixed(1)}, not 100`)
+
+  return { valid: errors.length === 0, errors, countTotal, volumeTotal }
+}
+
+/**
+ * Coerce untrusted input (URL, localStorage) to a valid distribution
+ * @param {*} tiers - Candidate tier list
+ * @returns {Object[]} - The tiers with numeric fields, or the default distribution
+ */
+export function normalizeSwapDistribution(tiers) {
+  if (!Array.isArray(tiers)) return DEFAULT_SWAP_DISTRIBUTION
+
+  const normalized = tiers.map(tier => ({
+    label: String(tier?.label ?? ''),
+    pctCount: Number(tier?.pctCount),
+    pctVolume: Number(tier?.pctVolume),
+    avgSize: Number(tier?.avgSize),
+  }))
+
+  return validateSwapDistribution(normalized).valid ? normalized : DEFAULT_SWAP_DISTRIBUTION
+}
+
+/**
+ * Bucket individual swap sizes into tiers
+ * @param {number[]} sizes - Swap sizes in USD
+ * @param {Object[]} [boundaries] - Ascending tier edges ({ label, max })
+ * @returns {Object[]} - Non-empty tiers with count %, volume % and average size
+ */
+export function bucketSwapSizes(sizes, boundaries = DEFAULT_TIER_BOUNDARIES) {
+  const valid = sizes.filter(size => Number.isFinite(size) && size > 0)
+  const totalCount = valid.length
+  const totalVolume = valid.reduce((sum, size) => sum + size, 0)
+  if (totalCount === 0) return []
+
+  const buckets = boundaries.map(b => ({ label: b.label, max: b.max, count: 0, volume: 0 }))
+  valid.forEach(size => {
+    const bucket = buckets.find(b => size < b.max) || buckets[buckets.length - 1]
+    bucket.count++
+    bucket.volume += size
+  })
+
+  return buckets
+    .filter(b => b.count > 0)
+    .map(b => ({
+      label: b.label,
+      pctCount: (b.count / totalCount) * 100,
+      pctVolume: (b.volume / totalVolume) * 100,
+      avgSize: b.volume / b.count,
+    }))
+}
+
+// Split one CSV line on , ; or tab, keeping separators inside double quotes ("2,500")
+// and unescaping doubled quotes
+const splitCsvLine = (line) => {
+  const cells = []
+  let cell = ''
+  let quoted = false
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else {
+        quoted = !quoted
+      }
+    } else if (!quoted && (char === ',' || char === ';' || char === '\t')) {
+      cells.push(cell.trim())
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+  cells.push(cell.trim())
+  return cells
+}
+
+/**
+ * Extract swap sizes from CSV text. Uses a column named size/amount/amountUsd/
+ * volume/usd/value if the header has one, otherwise the first numeric column.
+ * @param {string} text - CSV file contents
+ * @returns {number[]} - Parsed sizes
+ */
+export function parseSwapSizesCsv(text) {
+  const rows = text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(splitCsvLine)
+  if (rows.length === 0) return []
+
+  // Plain decimals only, so tx hashes like 0x12ab are not read as numbers
+  const toNumber = (cell) => {
+    let cleaned = String(cell).replace(/[$_\s]/g, '')
+    // Thousands separators only survive inside quoted cells, e.g. "2,500.00"
+    if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(cleaned)) cleaned = cleaned.replace(/,/g, '')
+    return /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(cleaned) ? parseFloat(cleaned) : NaN
+  }
+  const hasHeader = rows[0].every(cell => !Number.isFinite(toNumber(cell)))
+
+  const dataRows = hasHeader ? rows.slice(1) : rows
+  if (dataRows.length === 0) return []
+
+  const header = hasHeader ? rows[0].map(cell => cell.toLowerCase()) : []
+  const named = header.findIndex(cell => ['size', 'amount', 'amountusd', 'amount_usd', 'volume', 'usd', 'value'].includes(cell))
+  const firstNumeric = dataRows[0].findIndex(cell => Number.isFinite(toNumber(cell)))
+  const column = named >= 0 ? named : Math.max(0, firstNumeric)
+
+  return dataRows
+    .map(row => toNumber(row[column]))
+    .filter(size => Number.isFinite(size) && size > 0)
+}
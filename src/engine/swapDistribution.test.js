@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest'
+import {
+  validateSwapDistribution,
+  normalizeSwapDistribution,
+  bucketSwapSizes,
+  parseSwapSizesCsv,
+} from './swapDistribution.js'
+import { DEFAULT_SWAP_DISTRIBUTION } from './reserveModel.js'
+
+describe('validateSwapDistribution', () => {
+  it('accepts the stock tiers, whose volume shares round to 99.9', () => {
+    expect(validateSwapDistribution(DEFAULT_SWAP_DISTRIBUTION).valid).toBe(true)
+  })
+
+  it('rejects sums away from 100 and bad sizes', () => {
+    const { valid, errors } = validateSwapDistribution([{ label: 'A', pctCount: 50, pctVolume: 100, avgSize: 0 }])
+    expect(valid).toBe(false)
+    expect(errors).toContain('A: average size must be positive')
+    expect(errors).toContain('Count % sums to 50.0, not 100')
+  })
+})
+
+describe('normalizeSwapDistribution', () => {
+  it('falls back to the defaults for invalid input', () => {
+    expect(normalizeSwapDistribution('nope')).toBe(DEFAULT_SWAP_DISTRIBUTION)
+    expect(normalizeSwapDistribution([{ label: 'A' }])).toBe(DEFAULT_SWAP_DISTRIBUTION)
+  })
+})
+
+describe('bucketSwapSizes', () => {
+  it('buckets sizes into the tiers they fall in', () => {
+    const tiers = bucketSwapSizes([500, 2000, 2500, 0, NaN])
+    expect(tiers.map(tier => tier.label)).toEqual(['<$1k', '$1k-$10k'])
+    expect(tiers[1].pctCount).toBeCloseTo(66.667, 3)
+    expect(tiers[1].pctVolume).toBeCloseTo(90, 8)
+    expect(tiers[1].avgSize).toBe(2250)
+  })
+})
+
+describe('parseSwapSizesCsv', () => {
+  it('reads a named size column', () => {
+    expect(parseSwapSizesCsv('tx,amountUsd\n0xab,1200\n0xcd,$300')).toEqual([1200, 300])
+  })
+
+  it('uses the first numeric column without a header', () => {
+    expect(parseSwapSizesCsv('0xab;1200\n0xcd;300')).toEqual([1200, 300])
+  })
+
+  it('keeps thousands separators inside quoted cells', () => {
+    expect(parseSwapSizesCsv('tx,size\n0xab,"2,500"\n0xcd,"1,250,000.50"\n0xef,"750"')).toEqual([2500, 1250000.5, 750])
+  })
+
+  it('handles quoted labels containing separators and escaped quotes', () => {
+    expect(parseSwapSizesCsv('note,size\n"swap, ""big""",100')).toEqual([100])
+  })
+
+  it('skips non-positive and non-numeric sizes', () => {
+    expect(parseSwapSizesCsv('size\n-5\n0\nabc\n10')).toEqual([10])
+  })
+})
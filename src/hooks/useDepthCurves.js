@@ -0,0 +1,72 @@
+import { useEffect, useMemo } from 'react'
+import { getPriceSources } from '../utils/priceSources'
+import { DEFAULT_CHAIN_ID } from '../utils/chains'
+import { registerTask } from '../utils/priceStore'
+import { buildDepthCurve, aggregateTierSpreads } from '../engine/depthCurve'
+import { usePriceStore } from './usePriceStore'
+
+// Depth quotes cost one call per source per tier, so refresh less often than spot prices
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000
+
+const EMPTY_CURVES = {}
+const EMPTY_ERRORS = {}
+
+// Quote every Mainnet source of an asset that can quote at size (the reserve sized here is on Mainnet).
+// One failing source keeps its error beside the others' curves; the task fails only if all do.
+async function fetchAllCurves(assetId, sizes) {
+  const depthSources = getPriceSources(assetId)
+    .filter(source => source.fetchQuotes && source.chainId === DEFAULT_CHAIN_ID)
+  const settled = await Promise.allSettled(depthSources.map(source => source.fetchQuotes(sizes)))
+  const failed = settled.filter(outcome => outcome.status === 'rejected')
+  if (failed.length > 0 && failed.length === settled.length) throw failed[0].reason
+
+  const curves = {}
+  const errors = {}
+  depthSources.forEach((source, i) => {
+    if (settled[i].status === 'fulfilled') {
+      curves[source.id] = buildDepthCurve(sizes, settled[i].value)
+    } else {
+      errors[source.id] = settled[i].reason?.shortMessage || settled[i].reason?.message || String(settled[i].reason)
+    }
+  })
+  return { curves, errors }
+}
+
+/**
+ * Custom hook to quote every DEX source of an asset at the swap tier sizes
+ * @param {string} assetId - Asset to quote (see utils/assets)
+ * @param {import('../engine/reserveModel').SwapTier[]} swapDistribution - Tiers to quote at
+ * @returns {Object} - Depth curve per source, widest spread per tier, the task error and per-source
+ *   errors (a failed quote is not a loading one), loading and lastUpdate
+ */
+export function useDepthCurves(assetId, swapDistribution) {
+  // Only refetch when the asset or quoted sizes change, not on label edits
+  const sizesKey = swapDistribution.map(tier => tier.avgSize).join(',')
+  const taskId = `depth-${assetId}-${sizesKey}`
+
+  useEffect(() => {
+    const sizes = sizesKey.split(',').map(Number)
+    return registerTask(taskId, () => fetchAllCurves(assetId, sizes), { intervalMs: REFRESH_INTERVAL_MS })
+  }, [taskId, assetId, sizesKey])
+
+  const store = usePriceStore()
+  const curves = store.results[taskId]?.curves ?? EMPTY_CURVES
+  const sourceErrors = store.results[taskId]?.errors ?? EMPTY_ERRORS
+  const error = store.errors[taskId] ?? null
+  const loading = store.pending[taskId] ?? true
+  const lastUpdate = store.updatedAt[taskId] ?? null
+
+  const tierSpreadsBps = useMemo(
+    () => aggregateTierSpreads(curves, swapDistribution),
+    [curves, swapDistribution]
+  )
+
+  return {
+    curves,
+    tierSpreadsBps,
+    error,
+    sourceErrors,
+    loading,
+    lastUpdate,
+  }
+}
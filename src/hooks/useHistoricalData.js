@@ -0,0 +1,79 @@
+import { useEffect, useMemo } from 'react'
+import { registerTask, refreshTask } from '../utils/priceStore'
+import { usePriceStore } from './usePriceStore'
+import { calculateDepegStats } from '../engine/sampleStats'
+import { DEPEG_THRESHOLD_BPS } from '../engine/reserveModel'
+import { thresholdPriceFor } from '../engine/routeRules'
+import { DEFAULT_ASSET_ID, getAsset } from '../utils/assets'
+
+const EMPTY_HISTORY = []
+
+/**
+ * Fetch hourly prices for a coin from CoinGecko
+ * @param {string} coingeckoId - CoinGecko coin id
+ * @param {number} days - Number of days of history
+ * @returns {Promise<Object[]>} - Hourly { timestamp, date, price } points
+ */
+async function fetchHistoricalData(coingeckoId, days) {
+  const response = await fetch(
+    `https://api.coingecko.com/api/v3/coins/${coingeckoId}/market_chart?vs_currency=usd&days=${days}&interval=hourly`
+  )
+
+  if (!response.ok) {
+    throw new Error(`CoinGecko API error: ${response.status}`)
+  }
+
+  const data = await response.json()
+
+  return data.prices.map(([timestamp, price]) => ({
+    timestamp,
+    date: new Date(timestamp).toISOString(),
+    price,
+  }))
+}
+
+/**
+ * Custom hook to fetch and analyze an asset's CoinGecko price history
+ * @param {string} assetId - Asset to fetch (see utils/assets)
+ * @param {number} days - Number of days of historical data to fetch
+ * @param {number} [thresholdBps] - Spread below peg at which an hour counts as depegged
+ * @returns {Object} - Historical data and depeg statistics
+ */
+export function useHistoricalData(assetId = DEFAULT_ASSET_ID, days = 30, thresholdBps = DEPEG_THRESHOLD_BPS) {
+  const { coingeckoId } = getAsset(assetId)
+  const taskId = `coingecko-history-${coingeckoId}-${days}`
+
+  // Polled through the shared store (every 5 minutes), keeping the last series on errors
+  useEffect(() => registerTask(taskId, () => fetchHistoricalData(coingeckoId, days), {
+    intervalMs: 5 * 60 * 1000,
+    retainOnError: true,
+  }), [taskId, coingeckoId, days])
+
+  const store = usePriceStore()
+  const prices = store.results[taskId] ?? EMPTY_HISTORY
+  const loading = store.pending[taskId] ?? true
+  const error = store.errors[taskId] ?? null
+  const lastUpdate = store.updatedAt[taskId] ?? null
+
+  // Depeg flags follow the configured threshold, so they're derived here rather than at fetch time
+  const historicalData = useMemo(() => {
+    const thresholdPrice = thresholdPriceFor(thresholdBps)
+    return prices.map(point => ({
+      ...point,
+      isDepegged: point.price < thresholdPrice,
+      depegBps: point.price < 1.0 ? ((1.0 - point.price) * 10000) : 0,
+    }))
+  }, [prices, thresholdBps])
+
+  // Calculate depeg statistics from historical data
+  const depegStats = useMemo(() => calculateDepegStats(historicalData), [historicalData])
+
+  return {
+    historicalData,
+    depegStats,
+    loading,
+    error,
+    lastUpdate,
+    refresh: () => refreshTask(taskId),
+  }
+}
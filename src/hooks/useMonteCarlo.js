@@ -0,0 +1,66 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+
+/**
+ * Custom hook to run the Monte Carlo simulation in a Web Worker
+ * @returns {Object} - Latest result, progress (0-1), running flag, error and run()
+ */
+export function useMonteCarlo() {
+  const workerRef = useRef(null)
+  const [result, setResult] = useState(null)
+  const [progress, setProgress] = useState(0)
+  const [running, setRunning] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Terminate any in-flight run on unmount
+  useEffect(() => () => workerRef.current?.terminate(), [])
+
+  const run = useCallback((options) => {
+    // A new run supersedes the previous one
+    workerRef.current?.terminate()
+
+    const worker = new Worker(
+      new URL('../workers/monteCarlo.worker.js', import.meta.url),
+      { type: 'module' }
+    )
+    workerRef.current = worker
+
+    setRunning(true)
+    setProgress(0)
+    setError(null)
+
+    worker.onmessage = (event) => {
+      const { type } = event.data
+      if (type === 'progress') {
+        setProgress(event.data.progress)
+        return
+      }
+
+      if (type === 'result') {
+        setResult(event.data.result)
+      } else if (type === 'error') {
+        setError(event.data.error)
+      }
+      setRunning(false)
+      worker.terminate()
+      workerRef.current = null
+    }
+
+    worker.onerror = (event) => {
+      console.error('Monte Carlo worker error:', event)
+      setError(event.message || 'Worker failed')
+      setRunning(false)
+      worker.terminate()
+      workerRef.current = null
+    }
+
+    worker.postMessage(options)
+  }, [])
+
+  return {
+    result,
+    progress,
+    running,
+    error,
+    run,
+  }
+}
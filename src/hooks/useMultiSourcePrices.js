@@ -1,155 +1,281 @@
-import { useState, useEffect, useMemo } from 'react'
-import { fetchAllCurvePrices } from '../utils/curvePools'
-import { fetchFluidGHOPrice } from '../utils/fluidPools'
+import { useState, useEffect, useMemo, useRef } from 'react'
+import { SOURCE_KINDS, getPriceSources, getSourcesByKind, getChainSourcesByKind, sourceTaskId } from '../utils/priceSources'
+import { DEFAULT_ASSET_ID } from '../utils/assets'
+import { CHAINS } from '../utils/chains'
+import { refreshTask } from '../utils/priceStore'
+import { lastEndpointsUsed } from '../utils/rpcHealth'
+import { calculateOracleDeviationBps } from '../utils/chainlinkFeeds'
+import { loadSamples, saveSample, pruneSamples } from '../utils/sampleDb'
+import { fetchCollectorSamples, COLLECTOR_ASSET_ID } from '../utils/collector'
+import { STATS_WINDOWS, calculateSourceStats } from '../engine/sampleStats'
+import {
+  DEFAULT_ROUTE_RULE,
+  thresholdPriceFor,
+  evaluateRouteSignal,
+  buildRouteTimeline,
+  calculateRouteOpenStats,
+} from '../engine/routeRules'
+import { useSourcePrices } from './usePriceStore'
+
+// Sources update on their own intervals; fold updates into one sample per minute
+const SAMPLE_INTERVAL_MS = 60000
+
+const DAY_MS = 24 * 60 * 60 * 1000
+export const RETENTION_OPTIONS = [1, 7, 14, 30] // days of samples kept in IndexedDB
+const RETENTION_STORAGE_KEY = 'clear-simulator:sampleRetentionDays'
+const DEFAULT_RETENTION_DAYS = 7
+
+const loadRetentionDays = () => {
+  const stored = Number(window.localStorage.getItem(RETENTION_STORAGE_KEY))
+  return RETENTION_OPTIONS.includes(stored) ? stored : DEFAULT_RETENTION_DAYS
+}
+
+// Same samples apart from refreshes of the current minute's sample
+const sameSampleSet = (a, b) => (
+  a.length === b.length &&
+  a[0]?.timestamp === b[0]?.timestamp &&
+  a[a.length - 1]?.timestamp === b[b.length - 1]?.timestamp
+)
+
+// Merge two timestamp-sorted sample lists, preferring the later entry for a shared timestamp
+const mergeSamples = (a, b) => {
+  const byTimestamp = new Map()
+  ;[...a, ...b].forEach(sample => byTimestamp.set(sample.timestamp, sample))
+  return [...byTimestamp.values()].sort((x, y) => x.timestamp - y.timestamp)
+}
 
 /**
- * Custom hook to fetch GHO prices from multiple sources and track depeg metrics
- * @returns {Object} - Current prices, depeg stats per source, and aggregated metrics
+ * Custom hook to read an asset's prices from the shared price store and track depeg metrics.
+ * Samples persist in IndexedDB (per asset), so historical stats survive reloads; when a local
+ * collector is configured its GHO samples fill in the time the dashboard was closed.
+ * @param {Object} [options]
+ * @param {string} [options.assetId] - Asset to track (see utils/assets)
+ * @param {string} [options.statsWindow] - STATS_WINDOWS id driving `historical` and the route-open %
+ * @param {import('../engine/routeRules').RouteRule} [options.routeRule] - Threshold and route-open rule (keep it memoized)
+ * @returns {Object} - Current prices, depeg stats per source, aggregated metrics, the raw samples and retention controls
  */
-export function useMultiSourcePrices() {
-  const [prices, setPrices] = useState({
-    COINGECKO: null,
-    CURVE_GHO_CRVUSD: null,
-    CURVE_GHO_USDE: null,
-    FLUID: null,
-  })
-  const [loading, setLoading] = useState(true)
-  const [lastUpdate, setLastUpdate] = useState(null)
+export function useMultiSourcePrices({
+  assetId = DEFAULT_ASSET_ID,
+  statsWindow = '24h',
+  routeRule = DEFAULT_ROUTE_RULE,
+} = {}) {
+  const store = useSourcePrices(assetId)
   const [historicalSamples, setHistoricalSamples] = useState([])
+  const [retentionDays, setRetentionDays] = useState(loadRetentionDays)
+  const retentionMs = retentionDays * DAY_MS
 
-  // Fetch CoinGecko price
-  const fetchCoinGeckoPrice = async () => {
-    try {
-      const response = await fetch(
-        'https://api.coingecko.com/api/v3/simple/price?ids=gho&vs_currencies=usd&include_24hr_change=true'
-      )
-      const data = await response.json()
-      return data.gho?.usd || null
-    } catch (error) {
-      console.error('CoinGecko fetch error:', error)
-      return null
-    }
-  }
+  // Sources tracked for depeg metrics; the oracle is kept apart as the reference price.
+  // Mainnet pools drive the route; every chain's pools also get their own route state.
+  const { trackedSources, dexSourceIds, dexSourceIdsByChain, oracleSource } = useMemo(() => ({
+    trackedSources: getPriceSources(assetId).filter(source => source.kind !== SOURCE_KINDS.ORACLE),
+    dexSourceIds: getChainSourcesByKind(assetId, SOURCE_KINDS.DEX).map(source => source.id),
+    dexSourceIdsByChain: Object.fromEntries(CHAINS.map(chain => [
+      chain.id,
+      getChainSourcesByKind(assetId, SOURCE_KINDS.DEX, chain.id).map(source => source.id),
+    ])),
+    oracleSource: getSourcesByKind(assetId, SOURCE_KINDS.ORACLE)[0],
+  }), [assetId])
 
-  // Fetch all prices
-  const fetchAllPrices = async () => {
-    setLoading(true)
-
-    try {
-      const [coinGeckoPrice, curvePrices, fluidPrice] = await Promise.all([
-        fetchCoinGeckoPrice(),
-        fetchAllCurvePrices(),
-        fetchFluidGHOPrice(),
-      ])
-
-      const newPrices = {
-        COINGECKO: coinGeckoPrice,
-        CURVE_GHO_CRVUSD: curvePrices.GHO_CRVUSD,
-        CURVE_GHO_USDE: curvePrices.GHO_USDE,
-        FLUID: fluidPrice,
-      }
+  // Samples belong to one asset, so switching assets starts from that asset's history
+  useEffect(() => {
+    setHistoricalSamples([])
+  }, [assetId])
 
-      setPrices(newPrices)
+  // Load persisted samples and drop anything past retention
+  useEffect(() => {
+    window.localStorage.setItem(RETENTION_STORAGE_KEY, String(retentionDays))
+    const cutoff = Date.now() - retentionMs
+    let cancelled = false
 
-      // Add to historical samples with timestamp
-      const sample = {
-        timestamp: Date.now(),
-        prices: newPrices,
-      }
+    const collected = assetId !== COLLECTOR_ASSET_ID ? Promise.resolve([]) : fetchCollectorSamples({ from: cutoff }).catch(error => {
+      console.error('Error loading collector samples:', error)
+      return []
+    })
 
-      setHistoricalSamples(prev => {
-        // Keep last 24 hours of samples (at 1 min intervals = max 1440 samples)
-        const oneDayAgo = Date.now() - 24 * 60 * 60 * 1000
-        const filtered = prev.filter(s => s.timestamp > oneDayAgo)
-        return [...filtered, sample]
+    pruneSamples(assetId, cutoff)
+      .then(() => Promise.all([loadSamples(assetId, cutoff), collected]))
+      .then(([persisted, fromCollector]) => {
+        if (cancelled) return
+        setHistoricalSamples(prev => mergeSamples(
+          mergeSamples(fromCollector, persisted),
+          prev.filter(s => s.timestamp > cutoff)
+        ))
       })
+      .catch(error => console.error('Error loading persisted price samples:', error))
 
-      setLastUpdate(new Date())
-    } catch (error) {
-      console.error('Error fetching all prices:', error)
-    } finally {
-      setLoading(false)
-    }
-  }
+    return () => { cancelled = true }
+  }, [assetId, retentionDays, retentionMs])
+
+  const prices = useMemo(() => Object.fromEntries(
+    trackedSources.map(source => [source.id, store.results[source.id]?.price ?? null])
+  ), [trackedSources, store.results])
+
+  // Chainlink reference price, kept apart from the per-source depeg tracking
+  const oracle = oracleSource ? store.results[oracleSource.id] ?? null : null
+
+  const loading = trackedSources.some(source => store.pending[source.id])
+  const lastUpdate = useMemo(() => {
+    const times = Object.values(store.updatedAt)
+    return times.length > 0 ? new Date(Math.max(...times)) : null
+  }, [store.updatedAt])
+
+  // Samples also record the oracle price, so oracle-confirmed rules can be replayed
+  const samplePrices = useMemo(() => (
+    oracleSource ? { ...prices, [oracleSource.id]: oracle?.price ?? null } : prices
+  ), [prices, oracle, oracleSource])
+
+  // Last sample recorded from live prices, per asset; later updates in the same minute refresh it
+  const liveSampleRef = useRef(null)
+
+  // Add to historical samples with timestamp. The sample is built and persisted here,
+  // outside the state updater, so the IndexedDB write happens once per update.
+  useEffect(() => {
+    if (Object.values(samplePrices).every(price => price === null)) return
+
+    const now = Date.now()
+    // Last endpoint used on each chain when the sample was taken (read, not subscribed,
+    // so RPC traffic alone doesn't rewrite the sample)
+    const endpoints = lastEndpointsUsed(getPriceSources(assetId).map(source => source.chainId).filter(Boolean))
+    const last = liveSampleRef.current?.assetId === assetId ? liveSampleRef.current.sample : null
+    const sample = last && now - last.timestamp < SAMPLE_INTERVAL_MS
+      ? { timestamp: last.timestamp, prices: samplePrices, endpoints }
+      : { timestamp: now, prices: samplePrices, endpoints }
+    liveSampleRef.current = { assetId, sample }
+    saveSample(assetId, sample)
 
+    setHistoricalSamples(prev => {
+      // Keep samples within retention (at 1 min intervals = 1440 samples per day)
+      const filtered = prev.filter(s => s.timestamp > now - retentionMs)
+      return filtered[filtered.length - 1]?.timestamp === sample.timestamp
+        ? [...filtered.slice(0, -1), sample]
+        : [...filtered, sample]
+    })
+  }, [assetId, samplePrices, retentionMs])
+
+  const refresh = () => Promise.all(getPriceSources(assetId).map(source => refreshTask(sourceTaskId(assetId, source.id))))
+
+  // Windowed stats and route timelines scan every retained sample (tens of thousands at
+  // 30 days), so they follow the sample list only when a sample is added or dropped (once
+  // per SAMPLE_INTERVAL_MS from live prices), not on every refresh of the current minute
+  const [statsSamples, setStatsSamples] = useState(historicalSamples)
   useEffect(() => {
-    fetchAllPrices()
+    setStatsSamples(prev => (sameSampleSet(prev, historicalSamples) ? prev : historicalSamples))
+  }, [historicalSamples])
+
+  const sampleStats = useMemo(() => {
+    const thresholdPrice = thresholdPriceFor(routeRule.depegThresholdBps)
+    const trackedIds = trackedSources.map(source => source.id)
+    const now = Date.now()
 
-    // Refresh every 60 seconds
-    const interval = setInterval(fetchAllPrices, 60000)
-    return () => clearInterval(interval)
-  }, [])
+    const statsByWindow = Object.fromEntries(STATS_WINDOWS.map(range => [
+      range.id,
+      calculateSourceStats(statsSamples, trackedIds, { windowMs: range.ms, thresholdPrice, now }),
+    ]))
+
+    // Route timeline per pool set under the rule; its last entry is the route state
+    // as of the latest sample
+    const routeHistoryFor = (poolIds) => {
+      const timeline = buildRouteTimeline(statsSamples, poolIds, oracleSource?.id, routeRule)
+      return {
+        lastEntry: timeline[timeline.length - 1],
+        openPercentByWindow: Object.fromEntries(STATS_WINDOWS.map(range => [
+          range.id,
+          calculateRouteOpenStats(timeline, { windowMs: range.ms, now }).openPercent,
+        ])),
+      }
+    }
+
+    return {
+      trackedIds,
+      statsByWindow,
+      route: routeHistoryFor(dexSourceIds),
+      routeByChain: Object.fromEntries(CHAINS
+        .filter(chain => dexSourceIdsByChain[chain.id].length > 0)
+        .map(chain => [chain.id, routeHistoryFor(dexSourceIdsByChain[chain.id])])),
+    }
+  }, [statsSamples, routeRule, trackedSources, dexSourceIds, dexSourceIdsByChain, oracleSource])
 
   // Calculate depeg metrics per source
   const depegMetrics = useMemo(() => {
-    const DEPEG_THRESHOLD = 0.9995
+    const thresholdPrice = thresholdPriceFor(routeRule.depegThresholdBps)
 
     const sourceMetrics = {}
 
     Object.entries(prices).forEach(([source, price]) => {
-      const isDepegged = price !== null && price < DEPEG_THRESHOLD
+      const isDepegged = price !== null && price < thresholdPrice
       const depegBps = price !== null && price < 1.0 ? ((1.0 - price) * 10000) : 0
 
       sourceMetrics[source] = {
         price,
         isDepegged,
         depegBps,
-        status: price === null ? 'loading' : (isDepegged ? 'depegged' : 'pegged'),
+        error: price === null ? store.errors[source] ?? null : null,
+        // A failed fetch is an error, not a source that is still loading
+        status: price === null ? (store.errors[source] ? 'error' : 'loading') : (isDepegged ? 'depegged' : 'pegged'),
       }
     })
 
-    // Calculate historical metrics from samples
-    const sourceSampleCounts = {
-      COINGECKO: { depegged: 0, total: 0 },
-      CURVE_GHO_CRVUSD: { depegged: 0, total: 0 },
-      CURVE_GHO_USDE: { depegged: 0, total: 0 },
-      FLUID: { depegged: 0, total: 0 },
-    }
-
-    historicalSamples.forEach(sample => {
-      Object.entries(sample.prices).forEach(([source, price]) => {
-        if (price !== null) {
-          sourceSampleCounts[source].total++
-          if (price < DEPEG_THRESHOLD) {
-            sourceSampleCounts[source].depegged++
-          }
-        }
-      })
-    })
-
-    // Add historical stats to each source
-    Object.entries(sourceSampleCounts).forEach(([source, counts]) => {
-      const depegPercent = counts.total > 0
-        ? (counts.depegged / counts.total) * 100
-        : 0
-
+    // Historical stats per window; `historical` follows the selected window
+    const { trackedIds, statsByWindow } = sampleStats
+    trackedIds.forEach(source => {
       sourceMetrics[source] = {
         ...sourceMetrics[source],
-        historical: {
-          depeggedSamples: counts.depegged,
-          totalSamples: counts.total,
-          depegPercent,
-          samplePeriodHours: historicalSamples.length > 0
-            ? (Date.now() - historicalSamples[0].timestamp) / (1000 * 60 * 60)
-            : 0,
-        }
+        historical: statsByWindow[statsWindow][source],
+        historicalByWindow: Object.fromEntries(
+          STATS_WINDOWS.map(range => [range.id, statsByWindow[range.id][source]])
+        ),
       }
     })
 
-    // Aggregated metrics across all DEX sources (excluding CoinGecko)
-    const dexSources = ['CURVE_GHO_CRVUSD', 'CURVE_GHO_USDE', 'FLUID']
-    const anyDexDepegged = dexSources.some(source => sourceMetrics[source].isDepegged)
+    // Aggregated metrics across Mainnet DEX sources (excluding CEX and oracle)
+    const anyDexDepegged = dexSourceIds.some(source => sourceMetrics[source].isDepegged)
+
+    // Deviation from the oracle separates a real depeg from a pool-local imbalance
+    dexSourceIds.forEach(source => {
+      sourceMetrics[source].oracleDeviationBps = calculateOracleDeviationBps(
+        sourceMetrics[source].price,
+        oracle?.price
+      )
+    })
 
     const dexDepegBps = Math.max(
-      ...dexSources
+      ...dexSourceIds
         .map(source => sourceMetrics[source].depegBps)
         .filter(bps => bps > 0)
     )
 
     // Calculate average depeg % across DEX pools (from historical samples)
-    const avgDexDepegPercent = dexSources
+    const avgDexDepegPercent = dexSourceIds
       .map(source => sourceMetrics[source].historical.depegPercent)
-      .reduce((sum, pct) => sum + pct, 0) / dexSources.length
+      .reduce((sum, pct) => sum + pct, 0) / dexSourceIds.length
+
+    // Route state for a set of pools under the rule: the timeline's last entry (the latest
+    // minute's sample) gives the hysteresis-adjusted state; the signal follows live prices
+    const routeFor = (poolIds, { lastEntry, openPercentByWindow }) => {
+      const current = evaluateRouteSignal(prices, poolIds, oracle?.price, routeRule)
+      return {
+        isOpen: lastEntry ? lastEntry.open : current.signal && routeRule.routeOpenAfterMinutes === 0,
+        signal: current.signal,
+        depeggedPools: current.depeggedPools,
+        requiredPools: Math.max(1, Math.min(routeRule.routeMinPools, poolIds.length)),
+        openPercent: openPercentByWindow[statsWindow],
+        openPercentByWindow,
+      }
+    }
+
+    // Per-chain depeg status and route availability, for comparing where to deploy reserves
+    const byChain = CHAINS.map(chain => {
+      const poolIds = dexSourceIdsByChain[chain.id]
+      const pools = poolIds.map(id => sourceMetrics[id] ?? { price: null, isDepegged: false, depegBps: 0 })
+      return {
+        chainId: chain.id,
+        poolCount: poolIds.length,
+        pricedPools: pools.filter(pool => pool.price !== null).length,
+        failedPools: pools.filter(pool => pool.status === 'error').length,
+        maxDepegBps: Math.max(0, ...pools.map(pool => pool.depegBps)),
+        route: poolIds.length > 0 ? routeFor(poolIds, sampleStats.routeByChain[chain.id]) : null,
+      }
+    })
 
     return {
       bySource: sourceMetrics,
@@ -157,19 +283,31 @@ export function useMultiSourcePrices() {
         anyDexDepegged,
         maxDexDepegBps: dexDepegBps > 0 ? dexDepegBps : 0,
         avgDexDepegPercent,
+        dexSourceCount: dexSourceIds.length,
+        route: routeFor(dexSourceIds, sampleStats.route),
+        byChain,
+        oracle: oracle && {
+          ...oracle,
+          isDepegged: oracle.price < thresholdPrice,
+          depegBps: oracle.price < 1.0 ? (1.0 - oracle.price) * 10000 : 0,
+        },
         depeggedSources: Object.entries(sourceMetrics)
           .filter(([_, metrics]) => metrics.isDepegged)
           .map(([source]) => source),
       }
     }
-  }, [prices, historicalSamples])
+  }, [prices, store.errors, oracle, sampleStats, statsWindow, routeRule, dexSourceIds, dexSourceIdsByChain])
 
   return {
     prices,
     depegMetrics,
     loading,
     lastUpdate,
+    samples: historicalSamples,
     sampleCount: historicalSamples.length,
-    refresh: fetchAllPrices,
+    oldestSample: historicalSamples[0]?.timestamp ?? null,
+    retentionDays,
+    setRetentionDays,
+    refresh,
   }
 }
@@ -0,0 +1,58 @@
+import { useEffect, useMemo } from 'react'
+import { fetchCollectorSamples, isCollectorConfigured, COLLECTOR_ASSET_ID } from '../utils/collector'
+import { getPriceSource } from '../utils/priceSources'
+import { DEFAULT_ASSET_ID } from '../utils/assets'
+import { registerTask } from '../utils/priceStore'
+import { toHourlySeries, calculateDepegStats } from '../engine/sampleStats'
+import { DEPEG_THRESHOLD_BPS } from '../engine/reserveModel'
+import { thresholdPriceFor } from '../engine/routeRules'
+import { BACKFILL_SOURCES } from '../utils/poolBackfill'
+import { usePriceStore } from './usePriceStore'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const EMPTY_SAMPLES = []
+
+/**
+ * Custom hook to read per-pool hourly price history (backfilled and collected
+ * samples) from the local collector. Empty when VITE_COLLECTOR_URL is unset or
+ * for assets the collector doesn't record.
+ * @param {string} assetId - Asset being viewed (see utils/assets)
+ * @param {number} days - Number of days of history
+ * @param {number} [thresholdBps] - Spread below peg at which an hour counts as depegged
+ * @returns {Object} - Per-pool series ({ id, name, historicalData, depegStats }[]), loading and error
+ */
+export function usePoolHistory(assetId = DEFAULT_ASSET_ID, days = 30, thresholdBps = DEPEG_THRESHOLD_BPS) {
+  const taskId = `collector-history-${days}`
+  const enabled = isCollectorConfigured() && assetId === COLLECTOR_ASSET_ID
+
+  useEffect(() => {
+    if (!enabled) return undefined
+    return registerTask(taskId, () => fetchCollectorSamples({ from: Date.now() - days * DAY_MS }), {
+      intervalMs: 5 * 60 * 1000,
+      retainOnError: true,
+    })
+  }, [taskId, days, enabled])
+
+  const store = usePriceStore()
+  const samples = (enabled && store.results[taskId]) || EMPTY_SAMPLES
+
+  // Only pools with at least one hour of history
+  const series = useMemo(() => BACKFILL_SOURCES
+    .map(source => {
+      const historicalData = toHourlySeries(samples, source.id, thresholdPriceFor(thresholdBps))
+      return {
+        id: source.id,
+        name: getPriceSource(COLLECTOR_ASSET_ID, source.id)?.name ?? source.name,
+        historicalData,
+        depegStats: calculateDepegStats(historicalData),
+      }
+    })
+    .filter(entry => entry.historicalData.length > 0), [samples, thresholdBps])
+
+  return {
+    series,
+    loading: enabled && (store.pending[taskId] ?? true),
+    error: enabled ? store.errors[taskId] ?? null : null,
+    enabled,
+  }
+}
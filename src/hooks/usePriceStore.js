@@ -0,0 +1,43 @@
+import { useEffect, useMemo, useSyncExternalStore } from 'react'
+import { registerTask, subscribe, getSnapshot } from '../utils/priceStore'
+import { getPriceSources, sourceTaskId } from '../utils/priceSources'
+
+/**
+ * Subscribe to the shared price store
+ * @returns {Object} - { results, errors, updatedAt, pending } keyed by task id
+ */
+export function usePriceStore() {
+  return useSyncExternalStore(subscribe, getSnapshot)
+}
+
+// One asset's entries of a store map (task id → value), keyed by source id
+const pickSourceEntries = (map, assetId) => Object.fromEntries(getPriceSources(assetId)
+  .filter(source => sourceTaskId(assetId, source.id) in map)
+  .map(source => [source.id, map[sourceTaskId(assetId, source.id)]]))
+
+/**
+ * Keep every price source of an asset polling while the calling component is mounted.
+ * Any number of components can call this; each source is still fetched once per interval.
+ * @param {string} assetId - Asset whose sources to poll
+ * @returns {Object} - { results, errors, updatedAt, pending } for the asset, keyed by source id
+ */
+export function useSourcePrices(assetId) {
+  useEffect(() => {
+    const unregister = getPriceSources(assetId).map(source => registerTask(
+      sourceTaskId(assetId, source.id),
+      source.fetchPrice,
+      { intervalMs: source.refreshIntervalMs }
+    ))
+    return () => unregister.forEach(fn => fn())
+  }, [assetId])
+
+  const store = usePriceStore()
+
+  // Re-key the asset's tasks by source id; each map keeps its identity until that map changes
+  const results = useMemo(() => pickSourceEntries(store.results, assetId), [store.results, assetId])
+  const errors = useMemo(() => pickSourceEntries(store.errors, assetId), [store.errors, assetId])
+  const updatedAt = useMemo(() => pickSourceEntries(store.updatedAt, assetId), [store.updatedAt, assetId])
+  const pending = useMemo(() => pickSourceEntries(store.pending, assetId), [store.pending, assetId])
+
+  return { results, errors, updatedAt, pending }
+}
@@ -0,0 +1,10 @@
+import { useSyncExternalStore } from 'react'
+import { subscribe, getSnapshot } from '../utils/rpcHealth'
+
+/**
+ * Subscribe to per-endpoint RPC health (latency, failures, last endpoint used per chain)
+ * @returns {Object} - { endpoints, servedBy, lastError }
+ */
+export function useRpcHealth() {
+  return useSyncExternalStore(subscribe, getSnapshot)
+}
@@ -0,0 +1,81 @@
+import { useState, useEffect } from 'react'
+import { normalizeScenario } from '../utils/scenario'
+
+const STORAGE_KEY = 'clear-simulator:scenarios'
+
+// Read saved scenarios, dropping anything malformed
+const loadScenarios = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]')
+    if (!Array.isArray(stored)) return []
+    return stored
+      .filter(s => s && typeof s.id === 'string' && typeof s.name === 'string')
+      .map(s => ({ ...s, params: normalizeScenario(s.params) }))
+  } catch (error) {
+    console.error('Error reading saved scenarios:', error)
+    return []
+  }
+}
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+
+/**
+ * Custom hook for the named scenario library persisted in localStorage
+ * @returns {Object} - Saved scenarios and save/rename/remove/duplicate actions
+ */
+export function useScenarioLibrary() {
+  const [scenarios, setScenarios] = useState(loadScenarios)
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(scenarios))
+    } catch (error) {
+      console.error('Error saving scenarios:', error)
+    }
+  }, [scenarios])
+
+  const save = (name, params) => {
+    const now = Date.now()
+    const scenario = {
+      id: createId(),
+      name: name.trim() || `Scenario ${scenarios.length + 1}`,
+      params: normalizeScenario(params),
+      createdAt: now,
+      updatedAt: now,
+    }
+    setScenarios(prev => [...prev, scenario])
+    return scenario
+  }
+
+  const update = (id, params) => {
+    setScenarios(prev => prev.map(s => (
+      s.id === id ? { ...s, params: normalizeScenario(params), updatedAt: Date.now() } : s
+    )))
+  }
+
+  const rename = (id, name) => {
+    if (!name.trim()) return
+    setScenarios(prev => prev.map(s => (
+      s.id === id ? { ...s, name: name.trim(), updatedAt: Date.now() } : s
+    )))
+  }
+
+  const remove = (id) => {
+    setScenarios(prev => prev.filter(s => s.id !== id))
+  }
+
+  const duplicate = (id) => {
+    const source = scenarios.find(s => s.id === id)
+    if (!source) return null
+    return save(`${source.name} (copy)`, source.params)
+  }
+
+  return {
+    scenarios,
+    save,
+    update,
+    rename,
+    remove,
+    duplicate,
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * @typedef {Object} Asset
+ * @property {string} id - Stable key used in URLs, scenarios, store task ids and sample databases
+ * @property {string} symbol - Ticker shown in the UI
+ * @property {string} name - Display name
+ * @property {string} address - Token on Mainnet
+ * @property {number} decimals - Token decimals (quote sizes are scaled by this)
+ * @property {string} coingeckoId - CoinGecko coin id for spot and hourly history
+ * @property {string[]} curvePools - Keys into CURVE_POOLS quoting this asset against a USD stable
+ * @property {string|null} chainlinkFeed - Key into CHAINLINK_FEEDS, or null without a USD feed
+ */
+
+/**
+ * Depegging stables Clear can route, in selector order. The first entry is the default.
+ * Adding an asset only requires a new entry here (plus its pools in the adapter configs).
+ * @type {Asset[]}
+ */
+export const ASSETS = [
+  {
+    id: 'GHO',
+    symbol: 'GHO',
+    name: 'Aave GHO',
+    address: '0x40D16FC0246aD3160Ccc09B8D0D3A2cD28aE6C2f',
+    decimals: 18,
+    coingeckoId: 'gho',
+    curvePools: ['GHO_CRVUSD', 'GHO_USDE'],
+    chainlinkFeed: 'GHO_USD',
+  },
+  {
+    id: 'USDE',
+    symbol: 'USDe',
+    name: 'Ethena USDe',
+    address: '0x4c9EDD5852cd905f086C759E8383e09bff1E68B3',
+    decimals: 18,
+    coingeckoId: 'ethena-usde',
+    curvePools: ['USDE_USDC'],
+    chainlinkFeed: 'USDE_USD',
+  },
+  {
+    id: 'CRVUSD',
+    symbol: 'crvUSD',
+    name: 'Curve crvUSD',
+    address: '0xf939E0A03FB07F59A73314E73794Be0E57ac1b4E',
+    decimals: 18,
+    coingeckoId: 'crvusd',
+    curvePools: ['CRVUSD_USDC', 'CRVUSD_USDT'],
+    chainlinkFeed: 'CRVUSD_USD',
+  },
+  {
+    id: 'FRAX',
+    symbol: 'FRAX',
+    name: 'Frax',
+    address: '0x853d955aCEf822Db058eb8505911ED77F175b99e',
+    decimals: 18,
+    coingeckoId: 'frax',
+    curvePools: ['FRAX_USDC'],
+    chainlinkFeed: 'FRAX_USD',
+  },
+]
+
+export const DEFAULT_ASSET_ID = ASSETS[0].id
+
+/**
+ * Look up an asset by id, falling back to the default for unknown ids
+ * @param {string} id
+ * @returns {Asset}
+ */
+export const getAsset = (id) => ASSETS.find(asset => asset.id === id) ?? ASSETS[0]
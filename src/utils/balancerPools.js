@@ -0,0 +1,127 @@
+import { zeroAddress } from 'viem'
+import { getClient, getCycleBlockNumber, isContractRevert } from './ethClient.js'
+
+// Balancer V2 Vault on Mainnet
+const BALANCER_VAULT = '0xBA12222222228d8Ba445958a75a0704d566BF2C8'
+
+const GHO = '0x40D16FC0246aD3160Ccc09B8D0D3A2cD28aE6C2f'
+
+// Balancer GHO pools on Mainnet, quoted GHO → stableOut
+export const BALANCER_POOLS = {
+  GHO_USDC_USDT: {
+    poolId: '0x8353157092ed8be69a9df8f95af097bbf33cb2af0000000000000000000005d9',
+    name: 'GHO/USDC/USDT',
+    stableOut: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', // USDC
+    stableDecimals: 6,
+  }
+}
+
+// Vault ABI - queryBatchSwap is non-view but safe to eth_call (it reverts internally with the result)
+const VAULT_ABI = [
+  {
+    stateMutability: 'nonpayable',
+    type: 'function',
+    name: 'queryBatchSwap',
+    inputs: [
+      { name: 'kind', type: 'uint8' },
+      {
+        name: 'swaps',
+        type: 'tuple[]',
+        components: [
+          { name: 'poolId', type: 'bytes32' },
+          { name: 'assetInIndex', type: 'uint256' },
+          { name: 'assetOutIndex', type: 'uint256' },
+          { name: 'amount', type: 'uint256' },
+          { name: 'userData', type: 'bytes' }
+        ]
+      },
+      { name: 'assets', type: 'address[]' },
+      {
+        name: 'funds',
+        type: 'tuple',
+        components: [
+          { name: 'sender', type: 'address' },
+          { name: 'fromInternalBalance', type: 'bool' },
+          { name: 'recipient', type: 'address' },
+          { name: 'toInternalBalance', type: 'bool' }
+        ]
+      }
+    ],
+    outputs: [{ name: 'assetDeltas', type: 'int256[]' }]
+  }
+]
+
+const SWAP_KIND_GIVEN_IN = 0
+
+// Stable received for amountIn GHO (raw units), via the Vault's swap simulation.
+// Each query is its own eth_call: batched queries could see each other's pool balance changes.
+const queryGHOOut = async (client, pool, amountIn, blockNumber) => {
+  const { result: assetDeltas } = await client.simulateContract({
+    address: BALANCER_VAULT,
+    abi: VAULT_ABI,
+    functionName: 'queryBatchSwap',
+    args: [
+      SWAP_KIND_GIVEN_IN,
+      [{
+        poolId: pool.poolId,
+        assetInIndex: 0n,
+        assetOutIndex: 1n,
+        amount: amountIn,
+        userData: '0x'
+      }],
+      [GHO, pool.stableOut],
+      {
+        sender: zeroAddress,
+        fromInternalBalance: false,
+        recipient: zeroAddress,
+        toInternalBalance: false
+      }
+    ],
+    blockNumber
+  })
+
+  // Vault deltas are negative for tokens leaving the pool
+  return Number(-assetDeltas[1]) / (10 ** pool.stableDecimals)
+}
+
+/**
+ * Fetch GHO price from a Balancer pool by quoting 1 GHO through the Vault
+ * @param {Object} pool - Entry from BALANCER_POOLS
+ * @returns {Promise<number>} - GHO price in USD; rejects with the RPC or contract error
+ */
+export async function fetchBalancerPoolPrice(pool) {
+  const blockNumber = await getCycleBlockNumber()
+  return await queryGHOOut(getClient(), pool, BigInt(1e18), blockNumber) // 1 GHO
+}
+
+/**
+ * Quote a Balancer pool at a ladder of GHO input sizes
+ * @param {Object} pool - Entry from BALANCER_POOLS
+ * @param {number[]} sizes - Input sizes in GHO
+ * @returns {Promise<Array<number|null>>} - Effective price (stable per GHO) at each size, null where the quote reverted; rejects on RPC failure
+ */
+export async function fetchBalancerPoolQuotes(pool, sizes) {
+  const client = getClient()
+  const blockNumber = await getCycleBlockNumber().catch(() => undefined)
+
+  return Promise.all(sizes.map(async (size) => {
+    try {
+      return (await queryGHOOut(client, pool, BigInt(Math.round(size)) * 10n ** 18n, blockNumber)) / size
+    } catch (error) {
+      // A revert means no quote at this size; anything else is an RPC failure
+      if (!isContractRevert(error)) throw error
+      return null
+    }
+  }))
+}
+
+/**
+ * Fetch GHO prices from all Balancer pools
+ * @returns {Promise<Object>} - Object with pool keys and prices as values; rejects if any pool read fails
+ */
+export async function fetchAllBalancerPrices() {
+  const entries = Object.entries(BALANCER_POOLS)
+  const results = await Promise.all(entries.map(([, pool]) => fetchBalancerPoolPrice(pool)))
+
+  return Object.fromEntries(entries.map(([key], i) => [key, results[i]]))
+}
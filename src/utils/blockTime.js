@@ -0,0 +1,55 @@
+import { getClient } from './ethClient.js'
+
+// Block timestamps never change, so every block looked up is remembered and
+// used to narrow later searches
+const knownBlocks = new Map() // block number (bigint) → timestamp (seconds)
+
+const getBlockTimestamp = async (blockNumber) => {
+  if (!knownBlocks.has(blockNumber)) {
+    const block = await getClient().getBlock({ blockNumber })
+    knownBlocks.set(blockNumber, Number(block.timestamp))
+  }
+  return knownBlocks.get(blockNumber)
+}
+
+// Tightest known [low, high] block bounds around a timestamp
+const knownBounds = (timestamp, latest) => {
+  let low = { number: 0n, timestamp: 0 }
+  let high = latest
+  knownBlocks.forEach((blockTimestamp, number) => {
+    if (blockTimestamp <= timestamp && number > low.number) low = { number, timestamp: blockTimestamp }
+    if (blockTimestamp > timestamp && number < high.number) high = { number, timestamp: blockTimestamp }
+  })
+  return [low, high]
+}
+
+/**
+ * Find the last block mined at or before a timestamp (binary search over block headers)
+ * @param {number} timestamp - Epoch ms
+ * @returns {Promise<bigint|null>} - Block number, or null if the timestamp is in the future
+ */
+export async function findBlockAtTimestamp(timestamp) {
+  const target = Math.floor(timestamp / 1000)
+  const latestNumber = await getClient().getBlockNumber()
+  const latest = { number: latestNumber, timestamp: await getBlockTimestamp(latestNumber) }
+  if (target >= latest.timestamp) return target > latest.timestamp + 12 ? null : latest.number
+
+  let [low, high] = knownBounds(target, latest)
+  let interpolate = true
+  while (high.number - low.number > 1n) {
+    // Alternate a ~12s-block interpolation with plain bisection: interpolation lands
+    // close on regular block times, bisection bounds the worst case
+    const estimate = low.number + BigInt(Math.floor((target - low.timestamp) / 12))
+    const middle = (low.number + high.number) / 2n
+    const probe = interpolate && estimate > low.number && estimate < high.number ? estimate : middle
+    interpolate = !interpolate
+    const probeTimestamp = await getBlockTimestamp(probe)
+
+    if (probeTimestamp <= target) {
+      low = { number: probe, timestamp: probeTimestamp }
+    } else {
+      high = { number: probe, timestamp: probeTimestamp }
+    }
+  }
+  return low.number
+}
@@ -0,0 +1,103 @@
+import { getClient, getCycleBlockNumber } from './ethClient.js'
+
+// Chainlink USD aggregators on Mainnet. Feeds update on deviation or at least once per heartbeat.
+export const CHAINLINK_FEEDS = {
+  GHO_USD: {
+    name: 'GHO/USD',
+    aggregator: '0x3f12643D3f6f874d39C2a4c9f2Cd6f2DbAC877FC',
+    heartbeatSeconds: 86400,
+  },
+  USDE_USD: {
+    name: 'USDe/USD',
+    aggregator: '0xa569d910839Ae8865Da8F8e70FfFb0cBA869F961',
+    heartbeatSeconds: 86400,
+  },
+  CRVUSD_USD: {
+    name: 'crvUSD/USD',
+    aggregator: '0xEEf0C605546958c1f899b6fB336C20671f9cD49F',
+    heartbeatSeconds: 86400,
+  },
+  FRAX_USD: {
+    name: 'FRAX/USD',
+    aggregator: '0xB9E1E3A9feFf48998E45Fa90847ed4D467E8BcfD',
+    heartbeatSeconds: 3600,
+  },
+}
+
+// Aggregator V3 ABI - minimal for price reading
+const AGGREGATOR_ABI = [
+  {
+    stateMutability: 'view',
+    type: 'function',
+    name: 'decimals',
+    inputs: [],
+    outputs: [{ name: '', type: 'uint8' }]
+  },
+  {
+    stateMutability: 'view',
+    type: 'function',
+    name: 'latestRoundData',
+    inputs: [],
+    outputs: [
+      { name: 'roundId', type: 'uint80' },
+      { name: 'answer', type: 'int256' },
+      { name: 'startedAt', type: 'uint256' },
+      { name: 'updatedAt', type: 'uint256' },
+      { name: 'answeredInRound', type: 'uint80' }
+    ]
+  }
+]
+
+// Aggregator decimals are fixed at deployment, so read them once per aggregator
+const decimalsCache = new Map()
+
+/**
+ * Fetch the latest round from a Chainlink aggregator
+ * @param {Object} feed - Entry from CHAINLINK_FEEDS
+ * @returns {Promise<Object>} - { price, roundId, updatedAt, ageSeconds, isStale, heartbeatSeconds }; rejects with the RPC or contract error
+ */
+export async function fetchChainlinkPrice(feed) {
+  const client = getClient()
+
+  const blockNumber = await getCycleBlockNumber()
+
+  const [decimals, roundData] = await Promise.all([
+    decimalsCache.get(feed.aggregator) ?? client.readContract({
+      address: feed.aggregator,
+      abi: AGGREGATOR_ABI,
+      functionName: 'decimals',
+      blockNumber
+    }),
+    client.readContract({
+      address: feed.aggregator,
+      abi: AGGREGATOR_ABI,
+      functionName: 'latestRoundData',
+      blockNumber
+    })
+  ])
+  decimalsCache.set(feed.aggregator, decimals)
+
+  const [roundId, answer, , updatedAt] = roundData
+  const updatedAtMs = Number(updatedAt) * 1000
+  const ageSeconds = Math.max(0, (Date.now() - updatedAtMs) / 1000)
+
+  return {
+    price: Number(answer) / (10 ** decimals),
+    roundId: roundId.toString(),
+    updatedAt: new Date(updatedAtMs),
+    ageSeconds,
+    isStale: ageSeconds > feed.heartbeatSeconds,
+    heartbeatSeconds: feed.heartbeatSeconds,
+  }
+}
+
+/**
+ * Deviation of a quote from the oracle reference price
+ * @param {number} price - DEX quote
+ * @param {number} oraclePrice - Chainlink answer
+ * @returns {number|null} - Signed deviation in bps (negative = quote below oracle)
+ */
+export function calculateOracleDeviationBps(price, oraclePrice) {
+  if (price === null || price === undefined || !oraclePrice) return null
+  return ((price - oraclePrice) / oraclePrice) * 10000
+}
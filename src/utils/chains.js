@@ -0,0 +1,128 @@
+import { mainnet, arbitrum, base } from 'viem/chains'
+
+/**
+ * @typedef {Object} ChainConfig
+ * @property {string} id - Stable key used in source configs and per-chain stats
+ * @property {string} name - Display name
+ * @property {import('viem').Chain} chain - viem chain definition (includes Multicall3)
+ * @property {string} rpcEnvVar - Env var holding the RPC URL (or a comma-separated list, tried in order)
+ * @property {string[]} publicRpcUrls - Public RPCs tried after the configured ones, in order
+ * @property {string} color - Tailwind color name for this chain's sources
+ * @property {Object} uniswapV3 - { factory, quoter } deployments
+ * @property {Object<string, Object[]>} pools - Uniswap V3 pools outside Mainnet, keyed by asset id
+ *   ({ name, token, stable, fee, tokenDecimals, stableDecimals }). Mainnet pools live in the adapter configs.
+ */
+
+/**
+ * Chains Clear can deploy reserves on. The first entry is Mainnet, whose pools drive
+ * the route and reserve sizing; the others are compared side by side.
+ * @type {ChainConfig[]}
+ */
+export const CHAINS = [
+  {
+    id: 'ethereum',
+    name: 'Ethereum',
+    chain: mainnet,
+    rpcEnvVar: 'VITE_ETHEREUM_RPC_URL',
+    publicRpcUrls: ['https://eth.public-rpc.com', 'https://ethereum-rpc.publicnode.com', 'https://eth.llamarpc.com'],
+    color: 'blue',
+    uniswapV3: {
+      factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+      quoter: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e', // QuoterV2
+    },
+    pools: {},
+  },
+  {
+    id: 'arbitrum',
+    name: 'Arbitrum',
+    chain: arbitrum,
+    rpcEnvVar: 'VITE_ARBITRUM_RPC_URL',
+    publicRpcUrls: ['https://arb1.arbitrum.io/rpc', 'https://arbitrum-one-rpc.publicnode.com'],
+    color: 'sky',
+    uniswapV3: {
+      factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+      quoter: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+    },
+    pools: {
+      GHO: [
+        {
+          name: 'GHO/USDC',
+          token: '0x7dfF72693f6A4149b17e7C6314655f6A9F7c8B33', // GHO (CCIP)
+          stable: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', // Native USDC
+          fee: 100, // 0.01% stable tier
+          tokenDecimals: 18,
+          stableDecimals: 6,
+        },
+      ],
+    },
+  },
+  {
+    id: 'base',
+    name: 'Base',
+    chain: base,
+    rpcEnvVar: 'VITE_BASE_RPC_URL',
+    publicRpcUrls: ['https://mainnet.base.org', 'https://base-rpc.publicnode.com'],
+    color: 'teal',
+    uniswapV3: {
+      factory: '0x33128a8fC17869897dcE68Ed026d694621f6FDfD',
+      quoter: '0x3d4e44Eb1374240CE5F1B871ab261CD16335B76a',
+    },
+    pools: {
+      GHO: [
+        {
+          name: 'GHO/USDC',
+          token: '0x6Bb7a212910682DCFdbd5BCBb3e28FB4E8da10Ee', // GHO (CCIP)
+          stable: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', // Native USDC
+          fee: 100,
+          tokenDecimals: 18,
+          stableDecimals: 6,
+        },
+      ],
+    },
+  },
+]
+
+export const DEFAULT_CHAIN_ID = CHAINS[0].id
+
+/**
+ * Look up a chain by id, falling back to Mainnet for unknown ids
+ * @param {string} id
+ * @returns {ChainConfig}
+ */
+export const getChain = (id) => CHAINS.find(chain => chain.id === id) ?? CHAINS[0]
+
+const warnedPublicRpc = new Set()
+
+/**
+ * Ordered RPC endpoints for a chain: the env var's URLs first, then the public fallbacks.
+ * Without the env var every read goes through public endpoints, so that is logged once per chain.
+ * @param {string} chainId
+ * @returns {Object} - { urls, configured }
+ */
+export function getRpcConfig(chainId) {
+  const chain = getChain(chainId)
+  // import.meta.env only exists under Vite; the Node collector passes URLs via process.env
+  const env = import.meta.env ?? process.env
+  const configuredUrls = (env[chain.rpcEnvVar] || '').split(',').map(url => url.trim()).filter(Boolean)
+  if (configuredUrls.length === 0 && !warnedPublicRpc.has(chain.id)) {
+    warnedPublicRpc.add(chain.id)
+    console.warn(`${chain.rpcEnvVar} is not set; ${chain.name} reads use public RPCs (${chain.publicRpcUrls.length} endpoints)`)
+  }
+  return {
+    urls: [...new Set([...configuredUrls, ...chain.publicRpcUrls])],
+    configured: configuredUrls.length > 0,
+  }
+}
+
+/**
+ * Display label for an RPC endpoint: the host only, since URLs often embed API keys
+ * @param {string} url
+ * @returns {string}
+ */
+export function rpcEndpointLabel(url) {
+  try {
+    return new URL(url).host
+  } catch {
+    return url
+  }
+}
@@ -0,0 +1,20 @@
+/**
+ * Fetch the current price of a coin from CoinGecko
+ * @param {string} [coingeckoId] - CoinGecko coin id (defaults to GHO)
+ * @returns {Promise<Object>} - { price, change24h } (nulls on error)
+ */
+export async function fetchCoinGeckoPrice(coingeckoId = 'gho') {
+  try {
+    const response = await fetch(
+      `https://api.coingecko.com/api/v3/simple/price?ids=${coingeckoId}&vs_currencies=usd&include_24hr_change=true`
+    )
+    const data = await response.json()
+    return {
+      price: data[coingeckoId]?.usd || null,
+      change24h: data[coingeckoId]?.usd_24h_change || null,
+    }
+  } catch (error) {
+    console.error('CoinGecko fetch error:', error)
+    return { price: null, change24h: null }
+  }
+}
@@ -0,0 +1,34 @@
+// Client for the local collector service (collector/index.js). Enabled by
+// setting VITE_COLLECTOR_URL; without it every call resolves to no samples.
+
+// import.meta.env only exists under Vite; the collector itself imports COLLECTOR_ASSET_ID under Node
+const COLLECTOR_URL = (import.meta.env ?? process.env).VITE_COLLECTOR_URL
+
+// The collector records GHO's sources only
+export const COLLECTOR_ASSET_ID = 'GHO'
+
+export const isCollectorConfigured = () => Boolean(COLLECTOR_URL)
+
+/**
+ * Fetch samples recorded by the collector
+ * @param {Object} [filters]
+ * @param {number} [filters.from] - Epoch ms
+ * @param {number} [filters.to] - Epoch ms
+ * @param {string} [filters.source] - Price source id, e.g. 'FLUID'
+ * @returns {Promise<Object[]>} - { timestamp, prices } samples, oldest first
+ */
+export async function fetchCollectorSamples({ from, to, source } = {}) {
+  if (!COLLECTOR_URL) return []
+
+  const params = new URLSearchParams()
+  if (from !== undefined) params.set('from', String(from))
+  if (to !== undefined) params.set('to', String(to))
+  if (source) params.set('source', source)
+
+  const response = await fetch(`${COLLECTOR_URL.replace(/\/$/, '')}/api/samples?${params}`)
+  if (!response.ok) {
+    throw new Error(`Collector request failed: ${response.status}`)
+  }
+  const data = await response.json()
+  return data.samples
+}
@@ -1,5 +1,4 @@
-import { createPublicClient, http } from 'viem'
-import { mainnet } from 'viem/chains'
+import { getClient, getCycleBlockNumber, isContractRevert } from './ethClient.js'
 
 // Curve Pool ABI - minimal for price reading
 const CURVE_POOL_ABI = [
@@ -16,89 +15,112 @@ const CURVE_POOL_ABI = [
   }
 ]
 
-// Curve Pool Addresses on Mainnet
+// Curve pools on Mainnet, quoted asset → stable. Decimals default to 18.
 export const CURVE_POOLS = {
   GHO_CRVUSD: {
     address: '0x635EF0056A597D13863B73825CcA297236578595',
     name: 'GHO/crvUSD',
-    ghoIndex: 0,
+    assetIndex: 0,
     stableIndex: 1,
   },
   GHO_USDE: {
     address: '0x670a72e6d22b0956c0d2573288f82dcc5d6e3a61',
     name: 'GHO/USDe',
-    ghoIndex: 1, // GHO is at index 1, not 0
+    assetIndex: 1, // GHO is at index 1, not 0
     stableIndex: 0, // USDe is at index 0
-  }
+  },
+  USDE_USDC: {
+    address: '0x02950460E2b9529D0E00284A5fA2d7bDF3fA4d72',
+    name: 'USDe/USDC',
+    assetIndex: 0,
+    stableIndex: 1,
+    stableDecimals: 6,
+  },
+  CRVUSD_USDC: {
+    address: '0x4DEcE678ceceb27446b35C672dC7d61F30bAD69E',
+    name: 'crvUSD/USDC',
+    assetIndex: 1, // crvUSD pairs list the external stable first
+    stableIndex: 0,
+    stableDecimals: 6,
+  },
+  CRVUSD_USDT: {
+    address: '0x390f3595bCa2Df7d23783dFd126427CCeb997BF4',
+    name: 'crvUSD/USDT',
+    assetIndex: 1,
+    stableIndex: 0,
+    stableDecimals: 6,
+  },
+  FRAX_USDC: {
+    address: '0xDcEF968d416a41Cdac0ED8702fAC8128A64241A2',
+    name: 'FRAX/USDC',
+    assetIndex: 0,
+    stableIndex: 1,
+    stableDecimals: 6,
+  },
 }
 
-// Create viem client
-const getClient = () => {
-  const rpcUrl = import.meta.env.VITE_ETHEREUM_RPC_URL || 'https://eth.public-rpc.com'
+const assetUnit = (pool) => 10n ** BigInt(pool.assetDecimals ?? 18)
+const stableScale = (pool) => 10 ** (pool.stableDecimals ?? 18)
+
+/**
+ * Fetch the asset price from a Curve pool by quoting one whole token
+ * @param {Object} pool - Entry from CURVE_POOLS (optionally with assetDecimals)
+ * @param {bigint} [atBlock] - Historical block to read at (defaults to the current cycle's block)
+ * @returns {Promise<number>} - Asset price in the pool's stable; rejects with the RPC or contract error
+ */
+export async function fetchCurvePoolPrice(pool, atBlock) {
+  const client = getClient()
+  const blockNumber = atBlock ?? await getCycleBlockNumber()
 
-  return createPublicClient({
-    chain: mainnet,
-    transport: http(rpcUrl)
+  const outputAmount = await client.readContract({
+    address: pool.address,
+    abi: CURVE_POOL_ABI,
+    functionName: 'get_dy',
+    args: [pool.assetIndex, pool.stableIndex, assetUnit(pool)], // 1 token
+    blockNumber
   })
+
+  // get_dy returns the output token's raw units
+  const price = Number(outputAmount) / stableScale(pool)
+
+  return price
 }
 
 /**
- * Fetch GHO price from a Curve pool
- * @param {string} poolAddress - Curve pool contract address
- * @param {number} ghoIndex - Index of GHO token in pool
- * @param {number} stableIndex - Index of stablecoin (USDC/USDT) in pool
- * @returns {Promise<number>} - GHO price in USD
+ * Quote a Curve pool at a ladder of input sizes
+ * @param {Object} pool - Entry from CURVE_POOLS (optionally with assetDecimals)
+ * @param {number[]} sizes - Input sizes in whole asset tokens
+ * @returns {Promise<Array<number|null>>} - Effective price (stable per token) at each size, null where the quote reverted; rejects on RPC failure
  */
-export async function fetchCurvePoolPrice(poolAddress, ghoIndex = 0, stableIndex = 1) {
-  try {
-    const client = getClient()
-
-    // Get output amount for 1 GHO (1e18)
-    const outputAmount = await client.readContract({
-      address: poolAddress,
-      abi: CURVE_POOL_ABI,
-      functionName: 'get_dy',
-      args: [ghoIndex, stableIndex, BigInt(1e18)] // 1 GHO
-    })
-
-    // Curve pools normalize to 18 decimals internally
-    const price = Number(outputAmount) / 1e18
+export async function fetchCurvePoolQuotes(pool, sizes) {
+  const client = getClient()
+  const blockNumber = await getCycleBlockNumber().catch(() => undefined)
 
-    return price
-  } catch (error) {
-    console.error(`Error fetching Curve pool price for ${poolAddress}:`, error)
-    return null
-  }
+  return Promise.all(sizes.map(async (size) => {
+    try {
+      const outputAmount = await client.readContract({
+        address: pool.address,
+        abi: CURVE_POOL_ABI,
+        functionName: 'get_dy',
+        args: [pool.assetIndex, pool.stableIndex, BigInt(Math.round(size)) * assetUnit(pool)],
+        blockNumber
+      })
+      return Number(outputAmount) / stableScale(pool) / size
+    } catch (error) {
+      // A revert means no quote at this size; anything else is an RPC failure
+      if (!isContractRevert(error)) throw error
+      return null
+    }
+  }))
 }
 
 /**
- * Fetch GHO prices from all Curve pools
- * @returns {Promise<Object>} - Object with pool names as keys and prices as values
+ * Fetch GHO prices from the GHO Curve pools (the collector's set)
+ * @returns {Promise<Object>} - Object with pool keys and prices as values; rejects if any pool read fails
  */
 export async function fetchAllCurvePrices() {
-  try {
-    const results = await Promise.all([
-      fetchCurvePoolPrice(
-        CURVE_POOLS.GHO_CRVUSD.address,
-        CURVE_POOLS.GHO_CRVUSD.ghoIndex,
-        CURVE_POOLS.GHO_CRVUSD.stableIndex
-      ),
-      fetchCurvePoolPrice(
-        CURVE_POOLS.GHO_USDE.address,
-        CURVE_POOLS.GHO_USDE.ghoIndex,
-        CURVE_POOLS.GHO_USDE.stableIndex
-      )
-    ])
+  const keys = ['GHO_CRVUSD', 'GHO_USDE']
+  const results = await Promise.all(keys.map(key => fetchCurvePoolPrice(CURVE_POOLS[key])))
 
-    return {
-      GHO_CRVUSD: results[0],
-      GHO_USDE: results[1]
-    }
-  } catch (error) {
-    console.error('Error fetching all Curve prices:', error)
-    return {
-      GHO_CRVUSD: null,
-      GHO_USDE: null
-    }
-  }
+  return Object.fromEntries(keys.map((key, i) => [key, results[i]]))
 }
@@ -0,0 +1,92 @@
+import { ContractFunctionRevertedError, createPublicClient, fallback, http } from 'viem'
+import { DEFAULT_CHAIN_ID, getChain, getRpcConfig } from './chains.js'
+import { registerEndpoints, recordSuccess, recordFailure } from './rpcHealth.js'
+
+// How long a fetched block number is reused; shorter than Mainnet's 12s block time
+const BLOCK_PIN_MS = 4000
+
+// A hung endpoint is abandoned after this long and the next one in the list is tried
+const RPC_TIMEOUT_MS = 8000
+// Passes over the whole endpoint list after the first, with exponential backoff from RPC_RETRY_DELAY_MS
+const RPC_RETRY_COUNT = 2
+const RPC_RETRY_DELAY_MS = 250
+
+// HTTP transport that reports each request's latency and outcome to the health store
+const trackedHttp = (chainId, url) => {
+  const transport = http(url, { timeout: RPC_TIMEOUT_MS, retryCount: 0 })
+  return (params) => {
+    const instance = transport(params)
+    return {
+      ...instance,
+      async request(args) {
+        const startedAt = Date.now()
+        try {
+          const response = await instance.request(args)
+          recordSuccess(chainId, url, Date.now() - startedAt)
+          return response
+        } catch (error) {
+          recordFailure(chainId, url, Date.now() - startedAt, error)
+          throw error
+        }
+      },
+    }
+  }
+}
+
+const clients = new Map()
+
+/**
+ * Shared client per chain (Mainnet by default). Concurrent view reads at the same
+ * block number are aggregated by viem into one Multicall3 `aggregate3` call.
+ * Requests go to the chain's endpoints in order, moving on when one errors or times out;
+ * when every endpoint fails the whole list is retried with exponential backoff.
+ * @param {string} [chainId] - Key in CHAINS
+ * @returns {import('viem').PublicClient}
+ */
+export const getClient = (chainId = DEFAULT_CHAIN_ID) => {
+  if (!clients.has(chainId)) {
+    const { urls } = getRpcConfig(chainId)
+    registerEndpoints(chainId, urls)
+    clients.set(chainId, createPublicClient({
+      chain: getChain(chainId).chain,
+      transport: fallback(urls.map(url => trackedHttp(chainId, url)), {
+        retryCount: RPC_RETRY_COUNT,
+        retryDelay: RPC_RETRY_DELAY_MS,
+      }),
+      batch: {
+        multicall: { wait: 16 }, // Collect reads issued within 16ms into one call
+      },
+    }))
+  }
+  return clients.get(chainId)
+}
+
+const pinnedBlocks = new Map() // chainId -> { blockNumber: Promise<bigint>, fetchedAt }
+
+/**
+ * Block number shared by every read on a chain in the current polling cycle, so all
+ * sources in a sample are from the same block (and batch into one multicall)
+ * @param {string} [chainId] - Key in CHAINS
+ * @returns {Promise<bigint>}
+ */
+export function getCycleBlockNumber(chainId = DEFAULT_CHAIN_ID) {
+  const now = Date.now()
+  const pinned = pinnedBlocks.get(chainId)
+  if (!pinned || now - pinned.fetchedAt > BLOCK_PIN_MS) {
+    const blockNumber = getClient(chainId).getBlockNumber({ cacheTime: 0 })
+    pinnedBlocks.set(chainId, { blockNumber, fetchedAt: now })
+    // Don't keep a failed lookup pinned
+    blockNumber.catch(() => {
+      if (pinnedBlocks.get(chainId)?.blockNumber === blockNumber) pinnedBlocks.delete(chainId)
+    })
+  }
+  return pinnedBlocks.get(chainId).blockNumber
+}
+
+/**
+ * Whether a failed read reverted in the contract, as opposed to failing at the RPC
+ * (timeout, HTTP error, every endpoint down)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isContractRevert = (error) => Boolean(error?.walk?.(cause => cause instanceof ContractFunctionRevertedError))
@@ -0,0 +1,25 @@
+// Minimal external store for module-level state read through useSyncExternalStore.
+
+/**
+ * Create a store holding one immutable state object
+ * @param {Object} initialState
+ * @returns {{ getSnapshot: function(): Object, setState: function(function(Object): Object): void, subscribe: function(function(): void): function(): void }}
+ *   getSnapshot returns the current state; setState replaces it via an updater and notifies
+ *   listeners; subscribe follows the useSyncExternalStore contract and returns an unsubscribe
+ */
+export function createExternalStore(initialState) {
+  let state = initialState
+  const listeners = new Set()
+
+  return {
+    getSnapshot: () => state,
+    setState: (updater) => {
+      state = updater(state)
+      listeners.forEach(listener => listener())
+    },
+    subscribe: (listener) => {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+  }
+}
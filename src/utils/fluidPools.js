@@ -1,5 +1,4 @@
-import { createPublicClient, http } from 'viem'
-import { mainnet } from 'viem/chains'
+import { getClient, getCycleBlockNumber, isContractRevert } from './ethClient.js'
 
 // Fluid configuration for GHO
 export const FLUID_GHO_CONFIG = {
@@ -36,55 +35,81 @@ const DEX_RESERVE_RESOLVER_ABI = [
   }
 ]
 
-// Create viem client
-const getClient = () => {
-  const rpcUrl = import.meta.env.VITE_ETHEREUM_RPC_URL || 'https://eth.public-rpc.com'
+// Pool token order never changes, so look it up once rather than every poll
+let swap0to1Cache = null
 
-  return createPublicClient({
-    chain: mainnet,
-    transport: http(rpcUrl)
-  })
+const resolveSwapDirection = async (client) => {
+  if (swap0to1Cache === null) {
+    const [token0] = await client.readContract({
+      address: FLUID_GHO_CONFIG.dexReserveResolver,
+      abi: DEX_RESERVE_RESOLVER_ABI,
+      functionName: 'getPoolTokens',
+      args: [FLUID_GHO_CONFIG.pool]
+    })
+    // Swapping GHO out means token0 → token1 when GHO is token0
+    swap0to1Cache = token0.toLowerCase() === FLUID_GHO_CONFIG.token.toLowerCase()
+  }
+  return swap0to1Cache
 }
 
 /**
  * Fetch GHO price from Fluid protocol
- * @returns {Promise<number>} - GHO price in USD
+ * @param {bigint} [atBlock] - Historical block to read at (defaults to the current cycle's block)
+ * @returns {Promise<number>} - GHO price in USD; rejects with the RPC or contract error
  */
-export async function fetchFluidGHOPrice() {
-  try {
-    const client = getClient()
+export async function fetchFluidGHOPrice(atBlock) {
+  const client = getClient()
+  const [swap0to1, blockNumber] = await Promise.all([
+    resolveSwapDirection(client),
+    atBlock ?? getCycleBlockNumber()
+  ])
 
-    // First, get pool tokens to determine which is GHO
-    const [token0, token1] = await client.readContract({
-      address: FLUID_GHO_CONFIG.dexReserveResolver,
-      abi: DEX_RESERVE_RESOLVER_ABI,
-      functionName: 'getPoolTokens',
-      args: [FLUID_GHO_CONFIG.pool]
-    })
+  // Estimate swap: 1 GHO → ? stablecoin
+  const amountOut = await client.readContract({
+    address: FLUID_GHO_CONFIG.dexReserveResolver,
+    abi: DEX_RESERVE_RESOLVER_ABI,
+    functionName: 'estimateSwapIn',
+    args: [
+      FLUID_GHO_CONFIG.pool,
+      swap0to1,
+      BigInt(FLUID_GHO_CONFIG.amountIn), // 1 GHO (18 decimals)
+      BigInt(0) // No minimum output requirement
+    ],
+    blockNumber
+  })
 
-    // Determine if we're swapping token0 to token1 or vice versa
-    const isGHOToken0 = token0.toLowerCase() === FLUID_GHO_CONFIG.token.toLowerCase()
-    const swap0to1 = isGHOToken0
+  // Convert based on output token decimals (6 for USDC/USDT)
+  const price = Number(amountOut) / (10 ** FLUID_GHO_CONFIG.amountOutDecimals)
 
-    // Estimate swap: 1 GHO → ? stablecoin
-    const amountOut = await client.readContract({
-      address: FLUID_GHO_CONFIG.dexReserveResolver,
-      abi: DEX_RESERVE_RESOLVER_ABI,
-      functionName: 'estimateSwapIn',
-      args: [
-        FLUID_GHO_CONFIG.pool,
-        swap0to1,
-        BigInt(FLUID_GHO_CONFIG.amountIn), // 1 GHO (18 decimals)
-        BigInt(0) // No minimum output requirement
-      ]
-    })
+  return price
+}
 
-    // Convert based on output token decimals (6 for USDC/USDT)
-    const price = Number(amountOut) / (10 ** FLUID_GHO_CONFIG.amountOutDecimals)
+/**
+ * Quote the Fluid GHO pool at a ladder of GHO input sizes
+ * @param {number[]} sizes - Input sizes in GHO
+ * @returns {Promise<Array<number|null>>} - Effective price (stable per GHO) at each size, null where the quote reverted; rejects on RPC failure
+ */
+export async function fetchFluidGHOQuotes(sizes) {
+  const client = getClient()
+  const [swap0to1, blockNumber] = await Promise.all([
+    resolveSwapDirection(client),
+    getCycleBlockNumber()
+  ])
 
-    return price
-  } catch (error) {
-    console.error('Error fetching Fluid GHO price:', error)
-    return null
-  }
+  return Promise.all(sizes.map(async (size) => {
+    try {
+      const amountOut = await client.readContract({
+        address: FLUID_GHO_CONFIG.dexReserveResolver,
+        abi: DEX_RESERVE_RESOLVER_ABI,
+        functionName: 'estimateSwapIn',
+        args: [FLUID_GHO_CONFIG.pool, swap0to1, BigInt(Math.round(size)) * 10n ** 18n, BigInt(0)],
+        blockNumber
+      })
+      return Number(amountOut) / (10 ** FLUID_GHO_CONFIG.amountOutDecimals) / size
+    } catch (error) {
+      // estimateSwapIn reverts when the size exceeds available liquidity; anything else is an RPC failure
+      if (!isContractRevert(error)) throw error
+      return null
+    }
+  }))
 }
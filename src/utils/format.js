@@ -0,0 +1,17 @@
+/**
+ * Format a USD amount compactly ($1.25M, $250k, $500)
+ * @param {number} value - Amount in USD
+ * @returns {string} - Formatted amount
+ */
+export const formatCurrency = (value) => {
+  if (value >= 1000000) return `$${(value / 1000000).toFixed(2)}M`
+  if (value >= 1000) return `$${(value / 1000).toFixed(0)}k`
+  return `$${value.toFixed(0)}`
+}
+
+/**
+ * Format a percentage with one decimal
+ * @param {number} value - Percentage (0-100)
+ * @returns {string} - Formatted percentage
+ */
+export const formatPercent = (value) => `${value.toFixed(1)}%`
@@ -0,0 +1,60 @@
+import { CURVE_POOLS, fetchCurvePoolPrice } from './curvePools.js'
+import { fetchFluidGHOPrice } from './fluidPools.js'
+import { findBlockAtTimestamp } from './blockTime.js'
+
+const HOUR_MS = 60 * 60 * 1000
+
+// GHO pools that can be read at a historical block; ids match the GHO price sources
+export const BACKFILL_SOURCES = [
+  {
+    id: 'CURVE_GHO_CRVUSD',
+    name: CURVE_POOLS.GHO_CRVUSD.name,
+    fetchPriceAt: (blockNumber) => fetchCurvePoolPrice(CURVE_POOLS.GHO_CRVUSD, blockNumber),
+  },
+  {
+    id: 'CURVE_GHO_USDE',
+    name: CURVE_POOLS.GHO_USDE.name,
+    fetchPriceAt: (blockNumber) => fetchCurvePoolPrice(CURVE_POOLS.GHO_USDE, blockNumber),
+  },
+  {
+    id: 'FLUID',
+    name: 'Fluid',
+    fetchPriceAt: (blockNumber) => fetchFluidGHOPrice(blockNumber),
+  },
+]
+
+/**
+ * Read every backfill pool at the first block of each step in a date range; each
+ * sample is labelled with its step's start time.
+ * Reads for one step share a block number, so they batch into one multicall.
+ * A pool that did not exist yet (or reverts) reads as null for that step.
+ * @param {Object} options
+ * @param {number} options.from - Epoch ms (rounded down to a whole step)
+ * @param {number} options.to - Epoch ms
+ * @param {number} [options.stepMs] - Spacing between samples (default hourly)
+ * @param {Function} [options.onSample] - Called with each sample as it is read
+ * @returns {Promise<Object[]>} - { timestamp, blockNumber, prices } samples, oldest first
+ */
+export async function backfillPoolPrices({ from, to, stepMs = HOUR_MS, onSample }) {
+  const samples = []
+
+  for (let timestamp = Math.floor(from / stepMs) * stepMs; timestamp <= to; timestamp += stepMs) {
+    const blockNumber = await findBlockAtTimestamp(timestamp)
+    if (blockNumber === null) break // Reached the chain head
+
+    const prices = await Promise.all(BACKFILL_SOURCES.map(source => source.fetchPriceAt(blockNumber).catch(error => {
+      console.warn(`Backfill read failed for ${source.name} at block ${blockNumber}:`, error.shortMessage || error.message)
+      return null
+    })))
+    const sample = {
+      timestamp,
+      blockNumber: Number(blockNumber),
+      prices: Object.fromEntries(BACKFILL_SOURCES.map((source, i) => [source.id, prices[i]])),
+    }
+
+    samples.push(sample)
+    if (onSample) await onSample(sample)
+  }
+
+  return samples
+}
@@ -0,0 +1,219 @@
+import { ASSETS, getAsset } from './assets.js'
+import { CHAINS, DEFAULT_CHAIN_ID } from './chains.js'
+import { fetchCoinGeckoPrice } from './coingecko.js'
+import { CURVE_POOLS, fetchCurvePoolPrice, fetchCurvePoolQuotes } from './curvePools.js'
+import { fetchFluidGHOPrice, fetchFluidGHOQuotes } from './fluidPools.js'
+import { UNISWAP_V3_GHO_CONFIG, fetchUniswapV3Price, fetchUniswapV3Quotes } from './uniswapPools.js'
+import { BALANCER_POOLS, fetchBalancerPoolPrice, fetchBalancerPoolQuotes } from './balancerPools.js'
+import { CHAINLINK_FEEDS, fetchChainlinkPrice } from './chainlinkFeeds.js'
+
+// Source kinds: DEX quotes drive the route, CEX is a reference, oracle is the arbiter
+export const SOURCE_KINDS = {
+  DEX: 'DEX',
+  CEX: 'CEX',
+  ORACLE: 'oracle',
+}
+
+// A result without a price resolves to null, which the price store records as an error
+const withPrice = (result) => (result?.price === null || result?.price === undefined ? null : result)
+
+/**
+ * @typedef {Object} PriceSource
+ * @property {string} id - Stable key used in hooks, samples and URLs
+ * @property {string} name - Display name
+ * @property {string} type - Display subtitle (venue type)
+ * @property {string} icon - Emoji shown on cards
+ * @property {string} color - Tailwind color name
+ * @property {string} kind - One of SOURCE_KINDS
+ * @property {string} [chainId] - Chain an on-chain source reads from (see utils/chains); unset for off-chain sources
+ * @property {string} [poolAddress] - On-chain pool, for reference
+ * @property {number} [refreshIntervalMs] - Polling interval in the shared price store (default 60s)
+ * @property {function(Object=): Promise<Object|null>} fetchPrice - Resolves to { price, ...extras }, or null without a price.
+ *   On-chain sources reject with the adapter's RPC or contract error.
+ * @property {function(number[]): Promise<Array<number|null>>} [fetchQuotes] - Effective price at each input size (whole tokens), null where the quote reverted
+ */
+
+// Curve pools take these colors in display order
+const CURVE_COLORS = ['blue', 'cyan']
+
+// Spot is the price; the TWAP rides along as an extra
+const fetchUniswapV3Spot = (config) => async ({ twapWindowSeconds } = {}) => {
+  const result = await fetchUniswapV3Price(config, twapWindowSeconds)
+  return withPrice({ ...result, price: result.spot })
+}
+
+// Venues whose Mainnet adapters only cover GHO pools so far, keyed by asset id
+const VENUE_SOURCES = {
+  GHO: [
+    {
+      id: 'UNISWAP_V3',
+      name: 'Uniswap V3 GHO/USDC',
+      type: 'On-chain DEX',
+      icon: '🦄',
+      color: 'pink',
+      kind: SOURCE_KINDS.DEX,
+      chainId: DEFAULT_CHAIN_ID,
+      fetchPrice: fetchUniswapV3Spot(UNISWAP_V3_GHO_CONFIG),
+      fetchQuotes: (sizes) => fetchUniswapV3Quotes(UNISWAP_V3_GHO_CONFIG, sizes),
+    },
+    {
+      id: 'BALANCER',
+      name: 'Balancer GHO/USDC/USDT',
+      type: 'On-chain DEX',
+      icon: '⚖️',
+      color: 'purple',
+      kind: SOURCE_KINDS.DEX,
+      chainId: DEFAULT_CHAIN_ID,
+      fetchPrice: async () => withPrice({ price: await fetchBalancerPoolPrice(BALANCER_POOLS.GHO_USDC_USDT) }),
+      fetchQuotes: (sizes) => fetchBalancerPoolQuotes(BALANCER_POOLS.GHO_USDC_USDT, sizes),
+    },
+    {
+      id: 'FLUID',
+      name: 'Fluid Protocol',
+      type: 'Lending Market',
+      icon: '💧',
+      color: 'indigo',
+      kind: SOURCE_KINDS.DEX,
+      chainId: DEFAULT_CHAIN_ID,
+      fetchPrice: async () => withPrice({ price: await fetchFluidGHOPrice() }),
+      fetchQuotes: fetchFluidGHOQuotes,
+    },
+  ],
+}
+
+// Uniswap V3 pools on the other chains, from each chain's pool set
+const chainPoolSources = (asset) => CHAINS
+  .filter(chain => chain.id !== DEFAULT_CHAIN_ID)
+  .flatMap(chain => (chain.pools[asset.id] ?? []).map(pool => {
+    const config = { ...pool, chainId: chain.id }
+    return {
+      id: `${chain.id.toUpperCase()}_UNISWAP_V3_${pool.name.replace('/', '_')}`,
+      name: `Uniswap V3 ${pool.name} (${chain.name})`,
+      type: `${chain.name} DEX`,
+      icon: '🦄',
+      color: chain.color,
+      kind: SOURCE_KINDS.DEX,
+      chainId: chain.id,
+      fetchPrice: fetchUniswapV3Spot(config),
+      fetchQuotes: (sizes) => fetchUniswapV3Quotes(config, sizes),
+    }
+  }))
+
+/**
+ * Every price source for one asset, in display order: CoinGecko, the asset's
+ * Curve pools, any single-venue pools, pools on other chains, then the Chainlink oracle
+ * @param {import('./assets.js').Asset} asset
+ * @returns {PriceSource[]}
+ */
+function buildPriceSources(asset) {
+  const feed = asset.chainlinkFeed ? CHAINLINK_FEEDS[asset.chainlinkFeed] : null
+
+  return [
+    {
+      id: 'COINGECKO',
+      name: 'CoinGecko',
+      type: 'Aggregated CEX',
+      icon: '🦎',
+      color: 'green',
+      kind: SOURCE_KINDS.CEX,
+      fetchPrice: async () => withPrice(await fetchCoinGeckoPrice(asset.coingeckoId)),
+    },
+    ...asset.curvePools.map((key, i) => {
+      const pool = { ...CURVE_POOLS[key], assetDecimals: asset.decimals }
+      return {
+        id: `CURVE_${key}`,
+        name: `Curve ${pool.name}`,
+        type: 'On-chain DEX',
+        icon: '🌊',
+        color: CURVE_COLORS[i % CURVE_COLORS.length],
+        kind: SOURCE_KINDS.DEX,
+        chainId: DEFAULT_CHAIN_ID,
+        poolAddress: pool.address,
+        fetchPrice: async () => withPrice({ price: await fetchCurvePoolPrice(pool) }),
+        fetchQuotes: (sizes) => fetchCurvePoolQuotes(pool, sizes),
+      }
+    }),
+    ...(VENUE_SOURCES[asset.id] ?? []),
+    ...chainPoolSources(asset),
+    ...(feed ? [{
+      id: 'CHAINLINK',
+      name: `Chainlink ${feed.name}`,
+      type: 'Oracle',
+      icon: '🔗',
+      color: 'blue',
+      kind: SOURCE_KINDS.ORACLE,
+      chainId: DEFAULT_CHAIN_ID,
+      refreshIntervalMs: 5 * 60 * 1000, // Rounds land on deviation or the heartbeat
+      fetchPrice: () => fetchChainlinkPrice(feed),
+    }] : []),
+  ]
+}
+
+/**
+ * Price sources per asset id. Source ids are unique within an asset, not across assets.
+ * Adding a pool only requires a new entry in the asset's config (or VENUE_SOURCES).
+ * @type {Object<string, PriceSource[]>}
+ */
+export const ASSET_PRICE_SOURCES = Object.fromEntries(ASSETS.map(asset => [asset.id, buildPriceSources(asset)]))
+
+/**
+ * Every source for an asset, in display order
+ * @param {string} assetId
+ * @returns {PriceSource[]}
+ */
+export const getPriceSources = (assetId) => ASSET_PRICE_SOURCES[getAsset(assetId).id]
+
+/**
+ * Shared price store task id for one asset's source, so assets never share results
+ * @param {string} assetId
+ * @param {string} sourceId
+ * @returns {string}
+ */
+export const sourceTaskId = (assetId, sourceId) => `${assetId}:${sourceId}`
+
+/**
+ * Look up one of an asset's sources by id
+ * @param {string} assetId
+ * @param {string} id
+ * @returns {PriceSource|undefined}
+ */
+export const getPriceSource = (assetId, id) => getPriceSources(assetId).find(source => source.id === id)
+
+/**
+ * An asset's sources of a given kind, in display order
+ * @param {string} assetId
+ * @param {string} kind - One of SOURCE_KINDS
+ * @returns {PriceSource[]}
+ */
+export const getSourcesByKind = (assetId, kind) => getPriceSources(assetId).filter(source => source.kind === kind)
+
+/**
+ * An asset's sources of a given kind on one chain, in display order
+ * @param {string} assetId
+ * @param {string} kind - One of SOURCE_KINDS
+ * @param {string} [chainId] - Key in CHAINS (defaults to Mainnet)
+ * @returns {PriceSource[]}
+ */
+export const getChainSourcesByKind = (assetId, kind, chainId = DEFAULT_CHAIN_ID) => (
+  getSourcesByKind(assetId, kind).filter(source => source.chainId === chainId)
+)
+
+/**
+ * Fetch every source of an asset in parallel. A failing adapter yields null rather than failing the batch.
+ * @param {string} assetId
+ * @param {Object} [options] - Passed to each adapter (e.g. { twapWindowSeconds })
+ * @returns {Promise<Object>} - Source id → { price, ...extras } or null
+ */
+export async function fetchAllSourcePrices(assetId, options = {}) {
+  const sources = getPriceSources(assetId)
+  const results = await Promise.all(sources.map(async (source) => {
+    try {
+      return await source.fetchPrice(options)
+    } catch (error) {
+      console.error(`Error fetching ${source.name} price:`, error)
+      return null
+    }
+  }))
+
+  return Object.fromEntries(sources.map((source, i) => [source.id, results[i]]))
+}
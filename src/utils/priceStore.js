@@ -0,0 +1,184 @@
+// Shared polling store: every view subscribes here instead of running its own interval,
+// so each endpoint is fetched once per interval no matter how many components need it.
+import { createExternalStore } from './externalStore.js'
+
+const DEFAULT_INTERVAL_MS = 60000
+const MAX_BACKOFF_MS = 10 * 60 * 1000
+
+// id -> { fetcher, intervalMs, options, retainOnError, refCount, failures, nextRunAt }
+const tasks = new Map()
+// Kept outside tasks so de-duplication and cadence survive unregister/re-register (StrictMode, tab switches)
+const inFlight = new Map()
+const lastRunAt = new Map()
+
+let timer = null
+let paused = typeof document !== 'undefined' && document.hidden
+
+const store = createExternalStore({
+  results: {}, // id -> last fetcher result (null when the last fetch failed, unless retainOnError)
+  errors: {}, // id -> error message from the last fetch, or null
+  updatedAt: {}, // id -> Date of the last successful fetch
+  pending: {}, // id -> true while a fetch is in flight
+})
+const { setState } = store
+
+const setEntry = (key, id, value) => setState(prev => ({ ...prev, [key]: { ...prev[key], [id]: value } }))
+
+// Exponential backoff on consecutive failures, capped
+const nextDelay = (task) => Math.min(task.intervalMs * 2 ** task.failures, Math.max(MAX_BACKOFF_MS, task.intervalMs))
+
+function runTask(id) {
+  if (inFlight.has(id)) return inFlight.get(id)
+  const task = tasks.get(id)
+  if (!task) return Promise.resolve(store.getSnapshot().results[id] ?? null)
+
+  task.nextRunAt = Infinity
+  setEntry('pending', id, true)
+  // Schedule from the start time so tasks started together stay in the same tick (and multicall)
+  const startedAt = Date.now()
+
+  const promise = (async () => {
+    let result = null
+    let error = null
+    try {
+      result = await task.fetcher(task.options)
+      if (result === null || result === undefined) error = 'No data returned'
+    } catch (err) {
+      console.error(`Price store fetch failed for ${id}:`, err)
+      // viem errors carry a one-line shortMessage; the full message includes request details
+      error = err.shortMessage || err.message || String(err)
+    }
+
+    const now = Date.now()
+    lastRunAt.set(id, now)
+    const current = tasks.get(id)
+    if (current) {
+      current.failures = error ? current.failures + 1 : 0
+      current.nextRunAt = startedAt + (error ? nextDelay(current) : current.intervalMs)
+    }
+
+    setState(prev => ({
+      results: { ...prev.results, [id]: error ? (task.retainOnError ? prev.results[id] ?? null : null) : result },
+      errors: { ...prev.errors, [id]: error },
+      updatedAt: error ? prev.updatedAt : { ...prev.updatedAt, [id]: new Date(now) },
+      pending: { ...prev.pending, [id]: false },
+    }))
+
+    return result
+  })()
+
+  inFlight.set(id, promise)
+  promise.finally(() => {
+    inFlight.delete(id)
+    scheduleNext()
+  })
+  return promise
+}
+
+function tick() {
+  timer = null
+  if (paused) return
+  const now = Date.now()
+  tasks.forEach((task, id) => {
+    if (task.nextRunAt <= now && !inFlight.has(id)) runTask(id)
+  })
+  scheduleNext()
+}
+
+// One timer for every task: wake up when the earliest task is due
+function scheduleNext() {
+  if (timer) clearTimeout(timer)
+  timer = null
+  if (paused || tasks.size === 0) return
+
+  // In-flight tasks reschedule themselves when they settle
+  const nextRunAt = Math.min(...[...tasks.entries()]
+    .filter(([id]) => !inFlight.has(id))
+    .map(([, task]) => task.nextRunAt))
+  if (!Number.isFinite(nextRunAt)) return
+  timer = setTimeout(tick, Math.max(0, nextRunAt - Date.now()))
+}
+
+// Pause polling while the tab is hidden; catch up on anything overdue when it returns
+if (typeof document !== 'undefined') {
+  document.addEventListener('visibilitychange', () => {
+    paused = document.hidden
+    if (paused) {
+      if (timer) clearTimeout(timer)
+      timer = null
+    } else {
+      tick()
+    }
+  })
+}
+
+/**
+ * Register a polled fetch. Registering the same id again only adds a reference.
+ * @param {string} id - Task key (a price source id, or e.g. 'coingecko-history-30')
+ * @param {function(Object): Promise<*>} fetcher - Resolves to the result, or null on failure
+ * @param {Object} [config]
+ * @param {number} [config.intervalMs] - Polling interval
+ * @param {Object} [config.options] - Initial options passed to the fetcher
+ * @param {boolean} [config.retainOnError] - Keep the last good result when a fetch fails
+ * @returns {function(): void} - Unregister
+ */
+export function registerTask(id, fetcher, { intervalMs = DEFAULT_INTERVAL_MS, options = {}, retainOnError = false } = {}) {
+  const existing = tasks.get(id)
+  if (existing) {
+    existing.refCount++
+  } else {
+    // Resume the previous cadence if this task ran recently
+    const previousRun = lastRunAt.get(id)
+    tasks.set(id, {
+      fetcher,
+      intervalMs,
+      options,
+      retainOnError,
+      refCount: 1,
+      failures: 0,
+      nextRunAt: previousRun ? previousRun + intervalMs : 0,
+    })
+    scheduleNext()
+  }
+
+  return () => {
+    const task = tasks.get(id)
+    if (!task) return
+    task.refCount--
+    if (task.refCount <= 0) {
+      tasks.delete(id)
+      scheduleNext()
+    }
+  }
+}
+
+/**
+ * Fetch a task now (shares the in-flight request if one is running)
+ * @param {string} id
+ * @returns {Promise<*>}
+ */
+export const refreshTask = (id) => runTask(id)
+
+/**
+ * Change a task's fetcher options and refetch with them
+ * @param {string} id
+ * @param {Object} options - Merged into the current options
+ */
+export function setTaskOptions(id, options) {
+  const task = tasks.get(id)
+  if (!task) return
+  const merged = { ...task.options, ...options }
+  if (JSON.stringify(merged) === JSON.stringify(task.options)) return
+  task.options = merged
+  // A fetch already running with the old options is followed by a fresh one
+  if (inFlight.has(id)) {
+    inFlight.get(id).finally(() => runTask(id))
+  } else {
+    runTask(id)
+  }
+}
+
+/**
+ * Read by usePriceStore; snapshots hold { results, errors, updatedAt, pending } per task id
+ */
+export const { subscribe, getSnapshot } = store
@@ -0,0 +1,111 @@
+// RPC endpoint health: every request through the shared clients is timed here, so the
+// dashboard can show per-endpoint latency, the last error and which endpoint served a read.
+import { rpcEndpointLabel } from './chains.js'
+import { createExternalStore } from './externalStore.js'
+
+// Weight of the newest request in the moving average latency
+const LATENCY_SMOOTHING = 0.3
+
+const store = createExternalStore({
+  endpoints: {}, // url -> { url, label, chainId, rank, requests, failures, lastLatencyMs, avgLatencyMs, lastError, lastErrorAt, lastSuccessAt }
+  servedBy: {}, // chainId -> url of the endpoint that answered the chain's most recent successful request
+  lastError: {}, // chainId -> message of the last failed request on that chain
+})
+const { setState } = store
+
+const updateEndpoint = (url, update) => setState(prev => ({
+  ...prev,
+  endpoints: { ...prev.endpoints, [url]: { ...prev.endpoints[url], ...update(prev.endpoints[url]) } },
+}))
+
+/**
+ * List a chain's endpoints before any request is made, so idle fallbacks show up too
+ * @param {string} chainId
+ * @param {string[]} urls - In fallback order
+ */
+export function registerEndpoints(chainId, urls) {
+  setState(prev => ({
+    ...prev,
+    endpoints: {
+      ...prev.endpoints,
+      ...Object.fromEntries(urls.filter(url => !prev.endpoints[url]).map(url => [url, {
+        url,
+        label: rpcEndpointLabel(url),
+        chainId,
+        rank: urls.indexOf(url),
+        requests: 0,
+        failures: 0,
+        lastLatencyMs: null,
+        avgLatencyMs: null,
+        lastError: null,
+        lastErrorAt: null,
+        lastSuccessAt: null,
+      }])),
+    },
+  }))
+}
+
+/**
+ * Record a successful request
+ * @param {string} chainId
+ * @param {string} url
+ * @param {number} latencyMs
+ */
+export function recordSuccess(chainId, url, latencyMs) {
+  updateEndpoint(url, (endpoint = {}) => ({
+    requests: (endpoint.requests ?? 0) + 1,
+    lastLatencyMs: latencyMs,
+    avgLatencyMs: endpoint.avgLatencyMs === null || endpoint.avgLatencyMs === undefined
+      ? latencyMs
+      : endpoint.avgLatencyMs + LATENCY_SMOOTHING * (latencyMs - endpoint.avgLatencyMs),
+    lastSuccessAt: new Date(),
+  }))
+  if (store.getSnapshot().servedBy[chainId] !== url) {
+    setState(prev => ({ ...prev, servedBy: { ...prev.servedBy, [chainId]: url } }))
+  }
+}
+
+/**
+ * Record a failed request (timeout, HTTP or RPC error)
+ * @param {string} chainId
+ * @param {string} url
+ * @param {number} latencyMs
+ * @param {Error} error
+ */
+export function recordFailure(chainId, url, latencyMs, error) {
+  // viem errors carry a one-line shortMessage; the full message includes request details
+  const message = error?.shortMessage || error?.message || String(error)
+  updateEndpoint(url, (endpoint = {}) => ({
+    requests: (endpoint.requests ?? 0) + 1,
+    failures: (endpoint.failures ?? 0) + 1,
+    lastLatencyMs: latencyMs,
+    lastError: message,
+    lastErrorAt: new Date(),
+  }))
+  setState(prev => ({ ...prev, lastError: { ...prev.lastError, [chainId]: message } }))
+}
+
+/**
+ * Last endpoint used on a chain: the one that answered its most recent successful request.
+ * Reads from every source batch into shared multicalls, so this is not attributed per read.
+ * @param {string} chainId
+ * @returns {string|null} - Endpoint label (host), or null before any success
+ */
+export function lastEndpointUsed(chainId) {
+  const url = store.getSnapshot().servedBy[chainId]
+  return url ? store.getSnapshot().endpoints[url]?.label ?? rpcEndpointLabel(url) : null
+}
+
+/**
+ * Last endpoint used on each of some chains, as recorded with a sample
+ * @param {string[]} chainIds
+ * @returns {Object<string, string>} - chainId -> endpoint label, for chains with a successful request
+ */
+export const lastEndpointsUsed = (chainIds) => Object.fromEntries(
+  [...new Set(chainIds)].map(chainId => [chainId, lastEndpointUsed(chainId)]).filter(([, label]) => label)
+)
+
+/**
+ * Read by useRpcHealth and the collector's health route: { endpoints, servedBy, lastError }
+ */
+export const { subscribe, getSnapshot } = store
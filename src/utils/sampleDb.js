@@ -0,0 +1,83 @@
+import { DEFAULT_ASSET_ID } from './assets.js'
+
+// IndexedDB persistence for live multi-source price samples, so depeg
+// history survives reloads. Every call degrades to a no-op without IndexedDB.
+// Each asset gets its own database, since source ids repeat across assets.
+
+const DB_NAME = 'clear-simulator'
+const DB_VERSION = 1
+const STORE_NAME = 'priceSamples'
+
+const dbPromises = new Map()
+
+// The default asset keeps the original database name, so existing history carries over
+const dbNameFor = (assetId) => (assetId === DEFAULT_ASSET_ID ? DB_NAME : `${DB_NAME}:${assetId}`)
+
+const openDb = (assetId) => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null)
+  if (!dbPromises.has(assetId)) {
+    dbPromises.set(assetId, new Promise((resolve) => {
+      const request = indexedDB.open(dbNameFor(assetId), DB_VERSION)
+      request.onupgradeneeded = () => {
+        // Samples are keyed by their (minute-bucket) timestamp
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'timestamp' })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        console.error('Error opening sample database:', request.error)
+        resolve(null)
+      }
+    }))
+  }
+  return dbPromises.get(assetId)
+}
+
+// Run one request in its own transaction and resolve with its result
+const runRequest = async (assetId, mode, makeRequest, fallback) => {
+  const db = await openDb(assetId)
+  if (!db) return fallback
+
+  return new Promise((resolve) => {
+    const transaction = db.transaction(STORE_NAME, mode)
+    const request = makeRequest(transaction.objectStore(STORE_NAME))
+    transaction.oncomplete = () => resolve(request.result ?? fallback)
+    transaction.onerror = () => {
+      console.error('Sample database error:', transaction.error)
+      resolve(fallback)
+    }
+  })
+}
+
+/**
+ * Load an asset's samples newer than a cutoff, oldest first
+ * @param {string} assetId
+ * @param {number} since - Epoch ms
+ * @returns {Promise<Object[]>} - { timestamp, prices } samples
+ */
+export const loadSamples = (assetId, since) => runRequest(
+  assetId,
+  'readonly',
+  store => store.getAll(IDBKeyRange.lowerBound(since, true)),
+  []
+)
+
+/**
+ * Insert or replace an asset's sample (same timestamp = same minute bucket)
+ * @param {string} assetId
+ * @param {Object} sample - { timestamp, prices }
+ * @returns {Promise<void>}
+ */
+export const saveSample = (assetId, sample) => runRequest(assetId, 'readwrite', store => store.put(sample), undefined)
+
+/**
+ * Delete an asset's samples at or before a cutoff
+ * @param {string} assetId
+ * @param {number} before - Epoch ms
+ * @returns {Promise<void>}
+ */
+export const pruneSamples = (assetId, before) => runRequest(
+  assetId,
+  'readwrite',
+  store => store.delete(IDBKeyRange.upperBound(before)),
+  undefined
+)
@@ -0,0 +1,120 @@
+import { DEFAULT_SWAP_DISTRIBUTION } from '../engine/reserveModel.js'
+import { normalizeSwapDistribution } from '../engine/swapDistribution.js'
+import { DEFAULT_ROUTE_RULE } from '../engine/routeRules.js'
+import { getAsset } from './assets.js'
+
+// Simulator parameters that make up a scenario, with defaults and valid ranges
+export const SCENARIO_PARAMS = {
+  tvl: { default: 250000, min: 1000, max: 1000000000 },
+  usdcWeight: { default: 80, min: 0, max: 100 },
+  rebalanceCyclesPerDay: { default: 12, min: 1, max: 1000, integer: true },
+  rebalanceEfficiency: { default: 90, min: 0, max: 100 },
+  solverShareOfFees: { default: 50, min: 0, max: 100 },
+  actualDailyVolume: { default: 0, min: 0, max: 100000000000 },
+  // Route-open rule (see engine/routeRules.js)
+  depegThresholdBps: { default: DEFAULT_ROUTE_RULE.depegThresholdBps, min: 0.5, max: 500 },
+  routeMinPools: { default: DEFAULT_ROUTE_RULE.routeMinPools, min: 1, max: 10, integer: true },
+  routeRequireOracle: { default: DEFAULT_ROUTE_RULE.routeRequireOracle, min: 0, max: 1, integer: true },
+  routeOpenAfterMinutes: { default: DEFAULT_ROUTE_RULE.routeOpenAfterMinutes, min: 0, max: 1440, integer: true },
+  routeCloseAfterMinutes: { default: DEFAULT_ROUTE_RULE.routeCloseAfterMinutes, min: 0, max: 1440, integer: true },
+}
+
+export const TABS = ['solver-metrics', 'price-feeds', 'backtest']
+export const DEFAULT_TAB = TABS[0]
+
+/**
+ * Parse a raw value into a clamped number for the given parameter
+ * @param {string} key - Key in SCENARIO_PARAMS
+ * @param {*} value - Raw value (string from URL, number from storage)
+ * @returns {number} - Valid value, or the default if unparseable
+ */
+export function clampParam(key, value) {
+  const spec = SCENARIO_PARAMS[key]
+  const number = typeof value === 'number' ? value : parseFloat(value)
+  if (!Number.isFinite(number)) return spec.default
+
+  const clamped = Math.min(spec.max, Math.max(spec.min, number))
+  return spec.integer ? Math.round(clamped) : clamped
+}
+
+/**
+ * Fill in defaults and clamp every parameter of a (possibly partial) scenario
+ * @param {Object} scenario - Raw parameter values
+ * @returns {Object} - Complete, valid parameter set
+ */
+export function normalizeScenario(scenario = {}) {
+  const normalized = {}
+  Object.keys(SCENARIO_PARAMS).forEach(key => {
+    normalized[key] = key in scenario ? clampParam(key, scenario[key]) : SCENARIO_PARAMS[key].default
+  })
+  normalized.swapDistribution = normalizeSwapDistribution(scenario.swapDistribution)
+  // Unknown or missing assets fall back to the default asset
+  normalized.asset = getAsset(scenario.asset).id
+  return normalized
+}
+
+// Swap tiers travel in the URL as compact JSON rows: [label, count %, volume %, avg size]
+const encodeSwapDistribution = (tiers = DEFAULT_SWAP_DISTRIBUTION) => JSON.stringify(
+  tiers.map(t => [t.label, t.pctCount, t.pctVolume, t.avgSize])
+)
+
+const decodeSwapDistribution = (value) => {
+  try {
+    const rows = JSON.parse(value)
+    if (!Array.isArray(rows)) return null
+    return rows.map(([label, pctCount, pctVolume, avgSize]) => ({ label, pctCount, pctVolume, avgSize }))
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Read a scenario and active tab from a URL query string
+ * @param {string} search - e.g. window.location.search
+ * @returns {Object} - { params, activeTab }
+ */
+export function parseScenarioFromUrl(search) {
+  const query = new URLSearchParams(search)
+  const raw = {}
+  Object.keys(SCENARIO_PARAMS).forEach(key => {
+    if (query.has(key)) raw[key] = query.get(key)
+  })
+  if (query.has('dist')) raw.swapDistribution = decodeSwapDistribution(query.get('dist'))
+  if (query.has('asset')) raw.asset = query.get('asset')
+
+  const tab = query.get('tab')
+  return {
+    params: normalizeScenario(raw),
+    activeTab: TABS.includes(tab) ? tab : DEFAULT_TAB,
+  }
+}
+
+/**
+ * Encode a scenario and active tab as a query string
+ * @param {Object} params - Scenario parameters
+ * @param {string} activeTab - Current tab id
+ * @returns {string} - Query string starting with '?'
+ */
+export function serializeScenario(params, activeTab) {
+  const query = new URLSearchParams()
+  query.set('tab', activeTab)
+  query.set('asset', params.asset)
+  Object.keys(SCENARIO_PARAMS).forEach(key => {
+    query.set(key, String(params[key]))
+  })
+  // Only custom distributions are encoded, to keep default links short
+  const dist = encodeSwapDistribution(params.swapDistribution)
+  if (dist !== encodeSwapDistribution(DEFAULT_SWAP_DISTRIBUTION)) query.set('dist', dist)
+  return `?${query.toString()}`
+}
+
+/**
+ * Absolute URL that reopens the dashboard with this scenario
+ * @param {Object} params - Scenario parameters
+ * @param {string} activeTab - Current tab id
+ * @returns {string}
+ */
+export function buildScenarioUrl(params, activeTab) {
+  const { origin, pathname, hash } = window.location
+  return `${origin}${pathname}${serializeScenario(params, activeTab)}${hash}`
+}
@@ -0,0 +1,239 @@
+import { zeroAddress } from 'viem'
+import { getClient, getCycleBlockNumber, isContractRevert } from './ethClient.js'
+import { DEFAULT_CHAIN_ID, getChain } from './chains.js'
+
+const DEFAULT_TWAP_WINDOW_SECONDS = 1800 // 30 minute TWAP by default
+
+/**
+ * @typedef {Object} UniswapV3PoolConfig
+ * @property {string} name - Display pair, e.g. 'GHO/USDC'
+ * @property {string} [chainId] - Key in CHAINS (defaults to Mainnet); picks the factory and QuoterV2
+ * @property {string} token - Asset being priced
+ * @property {string} stable - Quote stable
+ * @property {number} fee - Fee tier in hundredths of a bip
+ * @property {number} tokenDecimals
+ * @property {number} stableDecimals
+ * @property {number} [twapWindowSeconds] - Default TWAP window
+ */
+
+// Uniswap V3 configuration for GHO on Mainnet
+export const UNISWAP_V3_GHO_CONFIG = {
+  name: 'GHO/USDC',
+  chainId: DEFAULT_CHAIN_ID,
+  token: '0x40D16FC0246aD3160Ccc09B8D0D3A2cD28aE6C2f',
+  stable: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', // USDC
+  fee: 500, // 0.05% fee tier
+  tokenDecimals: 18,
+  stableDecimals: 6,
+  twapWindowSeconds: DEFAULT_TWAP_WINDOW_SECONDS,
+}
+
+const FACTORY_ABI = [
+  {
+    stateMutability: 'view',
+    type: 'function',
+    name: 'getPool',
+    inputs: [
+      { name: 'tokenA', type: 'address' },
+      { name: 'tokenB', type: 'address' },
+      { name: 'fee', type: 'uint24' }
+    ],
+    outputs: [{ name: 'pool', type: 'address' }]
+  }
+]
+
+// QuoterV2 ABI - quoteExactInputSingle is non-view but safe to eth_call
+const QUOTER_ABI = [
+  {
+    stateMutability: 'nonpayable',
+    type: 'function',
+    name: 'quoteExactInputSingle',
+    inputs: [
+      {
+        name: 'params',
+        type: 'tuple',
+        components: [
+          { name: 'tokenIn', type: 'address' },
+          { name: 'tokenOut', type: 'address' },
+          { name: 'amountIn', type: 'uint256' },
+          { name: 'fee', type: 'uint24' },
+          { name: 'sqrtPriceLimitX96', type: 'uint160' }
+        ]
+      }
+    ],
+    outputs: [
+      { name: 'amountOut', type: 'uint256' },
+      { name: 'sqrtPriceX96After', type: 'uint160' },
+      { name: 'initializedTicksCrossed', type: 'uint32' },
+      { name: 'gasEstimate', type: 'uint256' }
+    ]
+  }
+]
+
+// Uniswap V3 Pool ABI - minimal for price reading
+const POOL_ABI = [
+  {
+    stateMutability: 'view',
+    type: 'function',
+    name: 'slot0',
+    inputs: [],
+    outputs: [
+      { name: 'sqrtPriceX96', type: 'uint160' },
+      { name: 'tick', type: 'int24' },
+      { name: 'observationIndex', type: 'uint16' },
+      { name: 'observationCardinality', type: 'uint16' },
+      { name: 'observationCardinalityNext', type: 'uint16' },
+      { name: 'feeProtocol', type: 'uint8' },
+      { name: 'unlocked', type: 'bool' }
+    ]
+  },
+  {
+    stateMutability: 'view',
+    type: 'function',
+    name: 'observe',
+    inputs: [{ name: 'secondsAgos', type: 'uint32[]' }],
+    outputs: [
+      { name: 'tickCumulatives', type: 'int56[]' },
+      { name: 'secondsPerLiquidityCumulativeX128s', type: 'uint160[]' }
+    ]
+  }
+]
+
+// Pool addresses never change for a token pair + fee tier, so resolve once
+const poolAddressCache = new Map()
+
+const chainIdOf = (config) => config.chainId ?? DEFAULT_CHAIN_ID
+
+const resolvePoolAddress = async (client, config) => {
+  const key = `${chainIdOf(config)}-${config.token}-${config.stable}-${config.fee}`.toLowerCase()
+  if (!poolAddressCache.has(key)) {
+    const pool = await client.readContract({
+      address: getChain(chainIdOf(config)).uniswapV3.factory,
+      abi: FACTORY_ABI,
+      functionName: 'getPool',
+      args: [config.token, config.stable, config.fee]
+    })
+    if (pool === zeroAddress) {
+      throw new Error(`No Uniswap V3 ${config.name} pool on ${getChain(chainIdOf(config)).name} at fee tier ${config.fee}`)
+    }
+    poolAddressCache.set(key, pool)
+  }
+  return poolAddressCache.get(key)
+}
+
+/**
+ * Convert a Uniswap tick (or fractional average tick) to the token's price in the stable
+ * @param {number} tick - log base 1.0001 of token1/token0 in raw units
+ * @param {UniswapV3PoolConfig} config - Pool config with token addresses and decimals
+ * @returns {number} - Token price
+ */
+function tickToPrice(tick, config) {
+  // Uniswap orders tokens by address; token0 is the lower one
+  const tokenIsToken0 = config.token.toLowerCase() < config.stable.toLowerCase()
+  const rawToken1PerToken0 = Math.pow(1.0001, tick)
+
+  return tokenIsToken0
+    ? rawToken1PerToken0 * 10 ** (config.tokenDecimals - config.stableDecimals)
+    : (1 / rawToken1PerToken0) * 10 ** (config.tokenDecimals - config.stableDecimals)
+}
+
+/**
+ * Convert slot0's sqrtPriceX96 to the token's price in the stable
+ */
+function sqrtPriceToPrice(sqrtPriceX96, config) {
+  const tokenIsToken0 = config.token.toLowerCase() < config.stable.toLowerCase()
+  const sqrtPrice = Number(sqrtPriceX96) / 2 ** 96
+  const rawToken1PerToken0 = sqrtPrice * sqrtPrice
+
+  return tokenIsToken0
+    ? rawToken1PerToken0 * 10 ** (config.tokenDecimals - config.stableDecimals)
+    : (1 / rawToken1PerToken0) * 10 ** (config.tokenDecimals - config.stableDecimals)
+}
+
+// TWAP from the pool's tick accumulator. twap is null when the pool lacks enough history
+// (observe() reverts with 'OLD'); twapError is set when the read failed at the RPC instead.
+async function fetchTWAP(client, config, poolAddress, windowSeconds, blockNumber) {
+  try {
+    const [tickCumulatives] = await client.readContract({
+      address: poolAddress,
+      abi: POOL_ABI,
+      functionName: 'observe',
+      args: [[windowSeconds, 0]],
+      blockNumber
+    })
+
+    const averageTick = Number(tickCumulatives[1] - tickCumulatives[0]) / windowSeconds
+    return { twap: tickToPrice(averageTick, config), twapError: null }
+  } catch (error) {
+    if (isContractRevert(error)) return { twap: null, twapError: null }
+    return { twap: null, twapError: error.shortMessage || error.message }
+  }
+}
+
+/**
+ * Fetch spot and TWAP price from a Uniswap V3 pool
+ * @param {UniswapV3PoolConfig} config - Pool to read
+ * @param {number} [twapWindowSeconds] - TWAP window length in seconds
+ * @returns {Promise<Object>} - { spot, twap, twapError, twapWindowSeconds, poolAddress }; rejects with the RPC or contract error
+ */
+export async function fetchUniswapV3Price(config, twapWindowSeconds = config.twapWindowSeconds ?? DEFAULT_TWAP_WINDOW_SECONDS) {
+  const client = getClient(chainIdOf(config))
+  const [poolAddress, blockNumber] = await Promise.all([
+    resolvePoolAddress(client, config),
+    getCycleBlockNumber(chainIdOf(config))
+  ])
+
+  const [slot0, { twap, twapError }] = await Promise.all([
+    client.readContract({
+      address: poolAddress,
+      abi: POOL_ABI,
+      functionName: 'slot0',
+      blockNumber
+    }),
+    fetchTWAP(client, config, poolAddress, twapWindowSeconds, blockNumber)
+  ])
+
+  return {
+    spot: sqrtPriceToPrice(slot0[0], config),
+    twap,
+    twapError,
+    twapWindowSeconds,
+    poolAddress,
+  }
+}
+
+/**
+ * Quote a Uniswap V3 pool at a ladder of input sizes
+ * @param {UniswapV3PoolConfig} config - Pool to quote
+ * @param {number[]} sizes - Input sizes in whole tokens
+ * @returns {Promise<Array<number|null>>} - Effective price (stable per token) at each size, null where the quote reverted; rejects on RPC failure
+ */
+export async function fetchUniswapV3Quotes(config, sizes) {
+  const client = getClient(chainIdOf(config))
+  const { quoter } = getChain(chainIdOf(config)).uniswapV3
+  const blockNumber = await getCycleBlockNumber(chainIdOf(config)).catch(() => undefined)
+
+  // Quoter calls are simulations (eth_call each), pinned to the cycle block but not multicalled
+  return Promise.all(sizes.map(async (size) => {
+    try {
+      const { result } = await client.simulateContract({
+        address: quoter,
+        abi: QUOTER_ABI,
+        functionName: 'quoteExactInputSingle',
+        args: [{
+          tokenIn: config.token,
+          tokenOut: config.stable,
+          amountIn: BigInt(Math.round(size)) * 10n ** BigInt(config.tokenDecimals),
+          fee: config.fee,
+          sqrtPriceLimitX96: 0n
+        }],
+        blockNumber
+      })
+      return Number(result[0]) / (10 ** config.stableDecimals) / size
+    } catch (error) {
+      // A revert means no quote at this size; anything else is an RPC failure
+      if (!isContractRevert(error)) throw error
+      return null
+    }
+  }))
+}
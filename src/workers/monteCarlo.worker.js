@@ -0,0 +1,14 @@
+import { runMonteCarlo } from '../engine/monteCarlo.js'
+
+// Runs the Monte Carlo off the main thread so the dashboard stays responsive
+self.onmessage = (event) => {
+  try {
+    const result = runMonteCarlo({
+      ...event.data,
+      onProgress: (progress) => self.postMessage({ type: 'progress', progress }),
+    })
+    self.postMessage({ type: 'result', result })
+  } catch (error) {
+    self.postMessage({ type: 'error', error: error.message })
+  }
+}